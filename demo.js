@@ -9,6 +9,7 @@ const mongoose = require('mongoose');
 const User = require('./src/models/User');
 const Lead = require('./src/models/Lead');
 const CallLog = require('./src/models/CallLog');
+const { setAgentState } = require('./src/services/agentState');
 
 // Demo configuration
 const DEMO_CONFIG = {
@@ -227,18 +228,17 @@ const demonstrateUserManagement = async (users) => {
   log(`   📞 Salespeople: ${salespeople.length}`, 'info');
   
   // Show available salespeople
-  const availableSalespeople = salespeople.filter(s => s.isAvailable);
+  const availableSalespeople = salespeople.filter(s => s.agentState.state === 'available');
   log(`   ✅ Available Salespeople: ${availableSalespeople.length}`, 'success');
   
-  // Demonstrate availability toggle
+  // Demonstrate an agent state change
   if (salespeople.length > 0) {
     const salesperson = salespeople[0];
-    salesperson.isAvailable = false;
-    await salesperson.save();
-    log(`   🔴 Set ${salesperson.name} as unavailable`, 'warning');
+    await setAgentState(salesperson._id, 'break', { reason: 'lunch', source: 'demo' });
+    log(`   🔴 Set ${salesperson.name} on a lunch break`, 'warning');
     
     // Check available count again
-    const newAvailableCount = (await User.find({ role: 'salesperson', isAvailable: true })).length;
+    const newAvailableCount = (await User.find({ role: 'salesperson', 'agentState.state': 'available' })).length;
     log(`   📊 Available Salespeople: ${newAvailableCount}`, 'info');
   }
 };
@@ -1,4 +1,193 @@
 const Joi = require('joi');
+const { detectFormat } = require('../services/importFile');
+const { isValidPhone } = require('../services/phoneNumber');
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// IANA time zone name, e.g. Asia/Tashkent
+const timezone = Joi.string().custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+}, 'time zone');
+
+// Phone number in any common form (spaces, dashes, local Uzbek numbers); the models store it in E.164
+const phone = Joi.string().max(30).custom((value, helpers) => (
+  isValidPhone(value) ? value : helpers.error('phone.invalid')
+), 'phone number').messages({ 'phone.invalid': '{{#label}} must be a valid phone number' });
+
+// YYYY-MM-DD for a single date, MM-DD for every year
+const holidayDate = Joi.string().pattern(/^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/);
+
+// Lead and call statuses (transitions between them are checked by the models)
+const leadStatus = Joi.string().valid('pending', 'claimed', 'calling', 'answered', 'no_answer', 'busy', 'failed', 'completed', 'transferred');
+const callStatus = Joi.string().valid('initiated', 'ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed', 'canceled');
+
+// Page and limit of a list; lists with filters extend it with their own
+const pagination = Joi.object({
+  page: Joi.number().min(1).default(1),
+  limit: Joi.number().min(1).max(100).default(20)
+});
+
+// Optional date range of a list filter (either end may be left open)
+const dateRangeFields = {
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().min(Joi.ref('startDate'))
+  }).optional()
+};
+
+// Skills a lead or campaign requires from a salesperson
+const requiredSkills = Joi.object({
+  languages: Joi.array().items(Joi.string().valid('uz', 'ru', 'en')).optional(),
+  courses: Joi.array().items(Joi.string().max(50)).optional(),
+  minSeniority: Joi.string().valid('junior', 'middle', 'senior').allow(null).optional()
+});
+
+// Fields shared by campaign creation and update
+const campaignFields = {
+  name: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  status: Joi.string().valid('draft', 'active', 'paused').optional(),
+  leadFilter: Joi.object({
+    tags: Joi.array().items(Joi.string()).optional(),
+    priorities: Joi.array().items(Joi.string().valid('low', 'medium', 'high', 'urgent')).optional(),
+    sources: Joi.array().items(Joi.string()).optional(),
+    createdFrom: Joi.date().iso().optional(),
+    createdTo: Joi.date().iso().optional()
+  }).optional(),
+  leadIds: Joi.array().items(Joi.string().hex().length(24)).optional(),
+  greetingScript: Joi.string().max(1000).allow('').optional(),
+  callingHours: Joi.object({
+    start: timeOfDay.optional(),
+    end: timeOfDay.optional(),
+    days: Joi.array().items(Joi.number().integer().min(0).max(6)).optional()
+  }).optional(),
+  callingWindows: Joi.array().items(Joi.object({
+    day: Joi.number().integer().min(0).max(6).required(),
+    start: timeOfDay.required(),
+    end: timeOfDay.required()
+  })).optional(),
+  timezone: timezone.optional(),
+  holidayCalendar: Joi.string().hex().length(24).allow(null).optional(),
+  retryPolicy: Joi.string().hex().length(24).allow(null).optional(),
+  maxAttempts: Joi.number().integer().min(1).max(20).optional(),
+  concurrency: Joi.number().integer().min(1).max(50).optional(),
+  requiredSkills: requiredSkills.optional(),
+  skillFallback: Joi.array().items(Joi.string().valid('seniority', 'courses', 'languages')).unique().allow(null).optional(),
+  routingStrategy: Joi.string().valid('least-busy', 'round-robin', 'longest-idle', 'weighted', 'sticky').optional(),
+  salespeople: Joi.array().items(Joi.string().hex().length(24)).optional(),
+  startDate: Joi.date().iso().optional(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+};
+
+// Retry rule for one call outcome
+const retryOutcomeRule = Joi.object({
+  retry: Joi.boolean().optional(),
+  delayMinutes: Joi.number().min(0).optional(),
+  backoffMultiplier: Joi.number().min(1).max(10).optional(),
+  maxDelayMinutes: Joi.number().min(0).optional()
+});
+
+// Fields shared by retry policy creation and update
+const retryPolicyFields = {
+  name: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  isDefault: Joi.boolean().optional(),
+  priorities: Joi.array().items(Joi.string().valid('low', 'medium', 'high', 'urgent')).optional(),
+  outcomes: Joi.object({
+    no_answer: retryOutcomeRule.optional(),
+    busy: retryOutcomeRule.optional(),
+    failed: retryOutcomeRule.optional()
+  }).optional(),
+  maxTotalAttempts: Joi.number().integer().min(1).max(50).optional(),
+  maxAttemptsPerDay: Joi.number().integer().min(0).max(50).optional(),
+  timezone: timezone.optional(),
+  finalDisposition: Joi.string().valid('failed', 'no_answer', 'busy').optional(),
+  deactivateOnFinal: Joi.boolean().optional(),
+  isActive: Joi.boolean().optional()
+};
+
+// Fields shared by disposition creation and update
+const dispositionFields = {
+  label: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  fields: Joi.array().items(Joi.object({
+    name: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/).max(50).required(),
+    label: Joi.string().max(100).optional(),
+    type: Joi.string().valid('text', 'number', 'date', 'select').optional(),
+    options: Joi.array().items(Joi.string().max(100)).when('type', {
+      is: 'select',
+      then: Joi.array().min(1).required(),
+      otherwise: Joi.optional()
+    }),
+    required: Joi.boolean().optional()
+  })).unique('name').optional(),
+  leadStatus: Joi.string().valid('pending', 'completed', 'failed').optional(),
+  retryDelayMinutes: Joi.number().min(0).max(525600).optional(),
+  scheduleField: Joi.string().allow(null, '').optional(),
+  addToDnc: Joi.boolean().optional(),
+  deactivateLead: Joi.boolean().optional(),
+  sortOrder: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional()
+};
+
+// Key of a custom lead field
+const customFieldKey = Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50);
+
+// Custom lead field values by key, checked against the field definitions in the route
+const customFieldValues = Joi.object().pattern(
+  customFieldKey,
+  Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean(), Joi.date(), Joi.array().items(Joi.string())).allow(null)
+);
+
+// Custom lead field definition (the key and type identify the field and cannot change)
+const customFieldFields = {
+  label: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow('').optional(),
+  options: Joi.array().items(Joi.string().max(100)).unique().optional(),
+  required: Joi.boolean().optional(),
+  min: Joi.number().allow(null).optional(),
+  max: Joi.number().allow(null).optional(),
+  minDate: Joi.date().iso().allow(null).optional(),
+  maxDate: Joi.date().iso().allow(null).optional(),
+  pattern: Joi.string().max(200).allow(null, '').custom((value, helpers) => {
+    try {
+      new RegExp(value);
+      return value;
+    } catch (error) {
+      return helpers.message('"pattern" must be a valid regular expression');
+    }
+  }).optional(),
+  showToOperator: Joi.boolean().optional(),
+  sortOrder: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional()
+};
+
+// File column for each lead field an import reads (custom: by custom field key)
+const importColumns = Joi.object({
+  phone: Joi.string().max(100).optional(),
+  name: Joi.string().max(100).optional(),
+  email: Joi.string().max(100).optional(),
+  priority: Joi.string().max(100).optional(),
+  notes: Joi.string().max(100).optional(),
+  tags: Joi.string().max(100).optional(),
+  language: Joi.string().max(100).optional(),
+  course: Joi.string().max(100).optional(),
+  timezone: Joi.string().max(100).optional(),
+  custom: Joi.object().pattern(customFieldKey, Joi.string().max(100)).optional()
+});
+
+// Values for fields an imported row leaves empty
+const importDefaults = Joi.object({
+  priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+  tags: Joi.array().items(Joi.string().max(50)).optional(),
+  source: Joi.string().max(50).optional()
+});
 
 // Validation schemas
 const schemas = {
@@ -6,7 +195,7 @@ const schemas = {
   registerUser: Joi.object({
     name: Joi.string().min(2).max(100).required(),
     email: Joi.string().email().required(),
-    phone: Joi.string().pattern(/^\+998[0-9]{9}$/).required(),
+    phone: phone.required(),
     password: Joi.string().min(6).required(),
     role: Joi.string().valid('admin', 'salesperson').default('salesperson')
   }),
@@ -19,32 +208,47 @@ const schemas = {
 
   // Lead creation
   createLead: Joi.object({
-    phone: Joi.string().pattern(/^\+998[0-9]{9}$/).required(),
+    phone: phone.required(),
     name: Joi.string().max(100).optional(),
     email: Joi.string().email().optional(),
     priority: Joi.string().valid('low', 'medium', 'high', 'urgent').default('medium'),
     notes: Joi.string().max(500).optional(),
-    tags: Joi.array().items(Joi.string()).optional()
+    tags: Joi.array().items(Joi.string()).optional(),
+    timezone: timezone.optional(),
+    requiredSkills: requiredSkills.optional(),
+    customFields: customFieldValues.optional()
   }),
 
   // Lead update
   updateLead: Joi.object({
-    phone: Joi.string().pattern(/^\+998[0-9]{9}$/).optional(),
+    phone: phone.optional(),
     name: Joi.string().max(100).optional(),
     email: Joi.string().email().optional(),
     priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
     notes: Joi.string().max(500).optional(),
     tags: Joi.array().items(Joi.string()).optional(),
-    status: Joi.string().valid('new', 'contacted', 'qualified', 'unqualified', 'converted').optional()
+    timezone: timezone.optional(),
+    requiredSkills: requiredSkills.optional(),
+    customFields: customFieldValues.optional(),
+    status: leadStatus.optional()
   }),
 
   // Lead query filters
   leadQuery: Joi.object({
-    status: Joi.string().valid('new', 'contacted', 'qualified', 'unqualified', 'converted').optional(),
+    status: leadStatus.optional(),
     priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
-    phone: Joi.string().pattern(/^\+998[0-9]{9}$/).optional(),
+    phone: phone.optional(),
     name: Joi.string().max(100).optional(),
     email: Joi.string().email().optional(),
+    campaign: Joi.alternatives().try(Joi.string().hex().length(24), Joi.string().valid('none')).optional(),
+    operator: Joi.string().max(50).optional(),
+    region: Joi.string().max(50).optional(),
+    search: Joi.string().max(100).optional(),
+    // custom[key]=value or custom[key][min]/[max]; values are checked against the field types by the route
+    custom: Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+      Joi.string(),
+      Joi.object({ min: Joi.string(), max: Joi.string() }).or('min', 'max')
+    )).optional(),
     sortBy: Joi.string().valid('createdAt', 'updatedAt', 'name', 'phone', 'priority', 'status').default('createdAt'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
     page: Joi.number().min(1).default(1),
@@ -55,9 +259,14 @@ const schemas = {
   updateUser: Joi.object({
     name: Joi.string().min(2).max(100).optional(),
     email: Joi.string().email().optional(),
-    phone: Joi.string().pattern(/^\+998[0-9]{9}$/).optional(),
+    phone: phone.optional(),
     role: Joi.string().valid('admin', 'salesperson').optional(),
-    isAvailable: Joi.boolean().optional()
+    isAvailable: Joi.boolean().optional(),
+    skills: Joi.object({
+      languages: Joi.array().items(Joi.string().valid('uz', 'ru', 'en')).optional(),
+      courses: Joi.array().items(Joi.string().max(50)).optional(),
+      seniority: Joi.string().valid('junior', 'middle', 'senior').optional()
+    }).optional()
   }),
 
   // Call creation
@@ -67,16 +276,31 @@ const schemas = {
     notes: Joi.string().max(1000).optional()
   }),
 
+  // Manual call to a lead, optionally to a chosen salesperson
+  initiateCall: Joi.object({
+    leadId: Joi.string().hex().length(24).required(),
+    salespersonId: Joi.string().hex().length(24).optional()
+  }),
+
   // Call update
   updateCall: Joi.object({
-    status: Joi.string().valid('initiated', 'ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed').optional(),
-    notes: Joi.string().max(1000).optional(),
+    status: callStatus.optional(),
+    notes: Joi.string().max(1000).allow('').optional(),
     duration: Joi.number().min(0).optional()
   }),
 
+  // Manual call status update
+  updateCallStatus: Joi.object({
+    status: callStatus.required(),
+    duration: Joi.number().min(0).optional(),
+    notes: Joi.string().max(1000).allow('').optional(),
+    errorCode: Joi.string().max(50).optional(),
+    errorMessage: Joi.string().max(500).optional()
+  }),
+
   // Call query filters
   callQuery: Joi.object({
-    status: Joi.string().valid('initiated', 'ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed').optional(),
+    status: callStatus.optional(),
     leadId: Joi.string().optional(),
     salespersonId: Joi.string().optional(),
     sortBy: Joi.string().valid('createdAt', 'updatedAt', 'duration', 'status').default('createdAt'),
@@ -85,17 +309,252 @@ const schemas = {
     limit: Joi.number().min(1).max(100).default(20)
   }),
 
-  // Date range filter
-  dateRange: Joi.object({
+  // Campaign creation
+  createCampaign: Joi.object({
+    ...campaignFields,
+    name: Joi.string().max(100).required()
+  }),
+
+  // Campaign update
+  updateCampaign: Joi.object({
+    ...campaignFields,
+    status: Joi.string().valid('draft', 'active', 'paused', 'completed').optional()
+  }),
+
+  // Retry policy creation
+  createRetryPolicy: Joi.object({
+    ...retryPolicyFields,
+    name: Joi.string().max(100).required()
+  }),
+
+  // Retry policy update
+  updateRetryPolicy: Joi.object(retryPolicyFields),
+
+  // Disposition creation
+  createDisposition: Joi.object({
+    ...dispositionFields,
+    code: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required(),
+    label: Joi.string().max(100).required(),
+    leadStatus: Joi.string().valid('pending', 'completed', 'failed').required()
+  }),
+
+  // Disposition update (the code identifies the disposition and cannot change)
+  updateDisposition: Joi.object(dispositionFields),
+
+  // Disposition submitted after a call
+  submitDisposition: Joi.object({
+    code: Joi.string().max(50).required(),
+    fields: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.date())).optional(),
+    notes: Joi.string().max(1000).allow('').optional()
+  }),
+
+  // Callback scheduling
+  scheduleCallback: Joi.object({
+    leadId: Joi.string().hex().length(24).required(),
+    dueAt: Joi.date().iso().greater('now').required(),
+    note: Joi.string().max(500).allow('').optional()
+  }),
+
+  // Callback rescheduling
+  rescheduleCallback: Joi.object({
+    dueAt: Joi.date().iso().greater('now').optional(),
+    note: Joi.string().max(500).allow('').optional()
+  }).or('dueAt', 'note'),
+
+  // Callback list filters
+  callbackQuery: Joi.object({
+    status: Joi.string().valid('scheduled', 'dialed', 'canceled').optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(100).default(20)
+  }),
+
+  // Agent state change ({ isAvailable } is the older form)
+  agentState: Joi.object({
+    state: Joi.string().valid('available', 'break', 'training', 'offline').optional(),
+    reason: Joi.string().valid('lunch', 'rest', 'meeting', 'coaching', 'personal', 'technical', 'other')
+      .when('state', { is: 'break', otherwise: Joi.forbidden() }),
+    isAvailable: Joi.boolean().optional()
+  }).xor('state', 'isAvailable'),
+
+  // Agent state report filters
+  agentStateReport: Joi.object({
     startDate: Joi.date().iso().optional(),
-    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional()
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).optional(),
+    userId: Joi.string().hex().length(24).optional()
   }),
 
-  // Pagination
-  pagination: Joi.object({
+  // Lead import (multipart fields; columns and defaults arrive as JSON)
+  createImport: Joi.object({
+    mappingId: Joi.string().hex().length(24).optional(),
+    columns: importColumns.optional(),
+    defaults: importDefaults.optional(),
+    encoding: Joi.string().valid('utf8', 'utf16le', 'win1251').optional(),
+    delimiter: Joi.string().valid(',', ';', '\t', '|').optional(),
+    dryRun: Joi.boolean().optional()
+  }),
+
+  // Import list filters
+  importQuery: Joi.object({
+    status: Joi.string().valid('queued', 'running', 'completed', 'failed', 'canceled').optional(),
+    dryRun: Joi.boolean().optional(),
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(100).default(20)
+  }),
+
+  // Custom lead field creation
+  createCustomField: Joi.object({
+    ...customFieldFields,
+    key: customFieldKey.required(),
+    label: Joi.string().max(100).required(),
+    type: Joi.string().valid('text', 'number', 'date', 'enum', 'multiselect', 'boolean').required(),
+    options: Joi.when('type', {
+      is: Joi.valid('enum', 'multiselect'),
+      then: customFieldFields.options.min(1).required()
+    })
+  }),
+
+  // Custom lead field update
+  updateCustomField: Joi.object(customFieldFields),
+
+  // Duplicate review queue filters
+  duplicateQuery: Joi.object({
+    status: Joi.string().valid('pending', 'merged', 'dismissed', 'stale').optional(),
+    matchedOn: Joi.string().valid('phone', 'email', 'name').optional(),
+    leadId: Joi.string().hex().length(24).optional(),
     page: Joi.number().min(1).default(1),
     limit: Joi.number().min(1).max(100).default(20)
-  })
+  }),
+
+  // Merge of a queued duplicate pair (the survivor defaults to the lead called more)
+  mergeCandidate: Joi.object({
+    survivorId: Joi.string().hex().length(24).optional()
+  }),
+
+  // Merge of any two leads
+  mergeLeads: Joi.object({
+    survivorId: Joi.string().hex().length(24).required(),
+    mergedId: Joi.string().hex().length(24).invalid(Joi.ref('survivorId')).required()
+      .messages({ 'any.invalid': '"mergedId" must be another lead than "survivorId"' })
+  }),
+
+  // Lead merge history filters
+  mergeQuery: Joi.object({
+    leadId: Joi.string().hex().length(24).optional(),
+    status: Joi.string().valid('applied', 'undone').optional(),
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(100).default(20)
+  }),
+
+  // Import column mapping creation
+  createImportMapping: Joi.object({
+    name: Joi.string().max(100).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    columns: importColumns.required(),
+    defaults: importDefaults.optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Import column mapping update
+  updateImportMapping: Joi.object({
+    name: Joi.string().max(100).optional(),
+    description: Joi.string().max(500).allow('').optional(),
+    columns: importColumns.optional(),
+    defaults: importDefaults.optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Holiday calendar creation
+  createHolidayCalendar: Joi.object({
+    name: Joi.string().max(100).required(),
+    country: Joi.string().length(2).optional(),
+    isDefault: Joi.boolean().optional(),
+    preset: Joi.string().valid('uz').optional(),
+    holidays: Joi.array().items(Joi.object({
+      date: holidayDate.required(),
+      name: Joi.string().max(100).optional()
+    })).optional()
+  }),
+
+  // Holiday calendar update
+  updateHolidayCalendar: Joi.object({
+    name: Joi.string().max(100).optional(),
+    country: Joi.string().length(2).optional(),
+    isDefault: Joi.boolean().optional(),
+    holidays: Joi.array().items(Joi.object({
+      date: holidayDate.required(),
+      name: Joi.string().max(100).optional()
+    })).optional()
+  }),
+
+  // Call schedule preview
+  previewSchedule: Joi.object({
+    leadId: Joi.string().hex().length(24).required(),
+    policyId: Joi.string().hex().length(24).optional(),
+    outcome: Joi.string().valid('no_answer', 'busy', 'failed').default('no_answer'),
+    from: Joi.date().iso().optional()
+  }),
+
+  // Do-Not-Call entry
+  addDnc: Joi.object({
+    phone: phone.required(),
+    reason: Joi.string().valid('customer_request', 'complaint', 'wrong_number', 'legal', 'other').optional(),
+    notes: Joi.string().max(500).allow('').optional(),
+    expiresAt: Joi.date().iso().greater('now').allow(null).optional()
+  }),
+
+  // Do-Not-Call call disposition
+  dncDisposition: Joi.object({
+    reason: Joi.string().valid('customer_request', 'complaint', 'wrong_number', 'legal', 'other').optional(),
+    notes: Joi.string().max(500).allow('').optional(),
+    expiresAt: Joi.date().iso().greater('now').allow(null).optional()
+  }),
+
+  // Date range filter
+  dateRange: Joi.object(dateRangeFields),
+
+  // Pagination
+  pagination,
+
+  // Call list filters
+  callQuery: pagination.keys({
+    status: callStatus.optional(),
+    salespersonId: Joi.string().hex().length(24).optional(),
+    leadId: Joi.string().hex().length(24).optional()
+  }),
+
+  // A salesperson's call history filters
+  callHistoryQuery: pagination.keys({
+    status: callStatus.optional(),
+    ...dateRangeFields
+  }),
+
+  // Filters of the leads a salesperson can call
+  availableLeadQuery: pagination.keys({
+    priority: Joi.string().valid('low', 'medium', 'high', 'urgent').optional(),
+    search: Joi.string().max(100).optional()
+  }),
+
+  // Do-Not-Call list filters
+  dncQuery: pagination.keys({
+    search: Joi.string().max(30).optional(),
+    reason: Joi.string().valid('customer_request', 'complaint', 'wrong_number', 'legal', 'other').optional(),
+    includeExpired: Joi.boolean().optional()
+  }),
+
+  // Retry policy list filters
+  retryPolicyQuery: pagination.keys({
+    isActive: Joi.boolean().optional()
+  }),
+
+  // Campaign list filters
+  campaignQuery: pagination.keys({
+    status: Joi.string().valid('draft', 'active', 'paused', 'completed').optional()
+  }),
+
+  // Agent state history filters
+  agentStateHistoryQuery: pagination.keys(dateRangeFields)
 };
 
 // Validation middleware factory
@@ -146,10 +605,11 @@ const validateFileUpload = (req, res, next) => {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  const allowedTypes = ['text/csv'];
-  if (!allowedTypes.includes(req.file.mimetype)) {
+  // Judged by extension first: Windows browsers send .csv files as application/vnd.ms-excel
+  const format = detectFormat({ originalName: req.file.originalname, mimeType: req.file.mimetype });
+  if (!format) {
     return res.status(400).json({
-      error: 'Invalid file type. Only CSV files are allowed.'
+      error: 'Invalid file type. Only CSV, Excel (.xlsx, .xls) and JSON files are allowed.'
     });
   }
 
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { getProvider } = require('../services/telephony');
+
+// Maximum age of a signed delivery before it is treated as a replay
+const getMaxAge = () => (parseInt(process.env.WEBHOOK_MAX_AGE) || 5 * 60) * 1000;
+
+// Log and reject a webhook delivery
+const reject = (req, res, provider, status, reason) => {
+  console.warn(`🚫 Rejected ${provider.name} webhook ${req.originalUrl} from ${req.ip}: ${reason}`);
+  return res.status(status).send(reason);
+};
+
+// Build a middleware that verifies the provider webhook signature and rejects stale
+// deliveries. Duplicate deliveries are acknowledged, or with passDuplicates handed on to
+// the route flagged as req.duplicateDelivery.
+const createWebhookVerifier = ({ passDuplicates = false } = {}) => async (req, res, next) => {
+  const provider = getProvider();
+
+  try {
+    if (!provider.isWebhookValidationEnabled()) {
+      return next();
+    }
+
+    const url = `${(process.env.BASE_URL || 'http://localhost:5000').replace(/\/$/, '')}${req.originalUrl}`;
+    const verification = provider.verifyWebhook({
+      url,
+      body: req.body || {},
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+      headers: req.headers
+    });
+
+    if (!verification.valid) {
+      return reject(req, res, provider, 403, 'Invalid webhook signature');
+    }
+
+    // Reject deliveries that are older than the replay window
+    if (verification.timestamp) {
+      const age = Date.now() - verification.timestamp.getTime();
+      if (Number.isNaN(age) || age > getMaxAge()) {
+        return reject(req, res, provider, 403, 'Stale webhook delivery');
+      }
+    }
+
+    // Reject deliveries we have already processed
+    const key = verification.deliveryId || crypto
+      .createHash('sha256')
+      .update(`${provider.name}:${url}:${verification.signature}`)
+      .digest('hex');
+
+    const isNew = await WebhookDelivery.recordDelivery({
+      key,
+      provider: provider.name,
+      path: req.path,
+      callSid: verification.callSid
+    });
+
+    if (!isNew) {
+      if (passDuplicates) {
+        console.warn(`🔁 Duplicate ${provider.name} webhook ${req.originalUrl} from ${req.ip}, answered without processing it again`);
+        req.duplicateDelivery = true;
+        return next();
+      }
+
+      console.warn(`🚫 Ignored duplicate ${provider.name} webhook ${req.originalUrl} from ${req.ip}`);
+      // Acknowledge so the provider stops retrying
+      return res.status(200).send('Duplicate delivery ignored');
+    }
+
+    // Forget the delivery if we fail to process it, so the provider's retry is accepted
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        WebhookDelivery.deleteOne({ key }).catch(error => {
+          console.error('Error releasing webhook delivery:', error);
+        });
+      }
+    });
+
+    next();
+
+  } catch (error) {
+    console.error('Webhook verification error:', error);
+    res.status(500).send('Internal server error');
+  }
+};
+
+// Status and recording webhooks: duplicates are acknowledged and dropped
+const verifyWebhook = createWebhookVerifier();
+
+// Call-flow webhooks (answer, voicemail): the provider hangs up on a response without
+// call-flow markup, so a retried delivery reaches the route to get the call flow again
+const verifyCallFlowWebhook = createWebhookVerifier({ passDuplicates: true });
+
+module.exports = {
+  verifyWebhook,
+  verifyCallFlowWebhook
+};
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// offline: not logged in to the dialer; available: waiting for a call;
+// ringing / on_call / wrap_up: handling a call (set by the dialer, not the agent);
+// break (with a reason) and training: logged in but not taking calls
+const AGENT_STATES = ['offline', 'available', 'ringing', 'on_call', 'wrap_up', 'break', 'training'];
+const BREAK_REASONS = ['lunch', 'rest', 'meeting', 'coaching', 'personal', 'technical', 'other'];
+
+// One period an agent spent in a state; the open period has no endedAt
+const agentStateLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  state: {
+    type: String,
+    enum: AGENT_STATES,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: BREAK_REASONS
+  },
+  callLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog'
+  },
+  // What made the change: agent, admin, dialer, call, presence, watchdog...
+  source: {
+    type: String,
+    default: 'system'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  // Seconds, set when the period ends
+  duration: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+agentStateLogSchema.index({ user: 1, startedAt: -1 });
+agentStateLogSchema.index({ user: 1, endedAt: 1 });
+agentStateLogSchema.index({ startedAt: 1, endedAt: 1 });
+
+// Static method to close the open period of an agent
+agentStateLogSchema.statics.closeOpen = async function(userId, endedAt = new Date()) {
+  const open = await this.find({ user: userId, endedAt: null });
+
+  for (const period of open) {
+    period.endedAt = endedAt;
+    period.duration = Math.max(0, Math.round((endedAt - period.startedAt) / 1000));
+    await period.save();
+  }
+};
+
+// Static method to total the seconds each agent spent in each state (and break reason)
+// between two dates. Periods are clipped to the range; the open period counts up to now.
+agentStateLogSchema.statics.getTimeInState = function({ start, end, userIds = null }) {
+  const match = {
+    startedAt: { $lt: end },
+    $or: [{ endedAt: null }, { endedAt: { $gt: start } }]
+  };
+  if (userIds) {
+    match.user = { $in: userIds };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $project: {
+        user: 1,
+        state: 1,
+        reason: 1,
+        seconds: {
+          $divide: [
+            {
+              $subtract: [
+                { $min: [{ $ifNull: ['$endedAt', new Date()] }, end] },
+                { $max: ['$startedAt', start] }
+              ]
+            },
+            1000
+          ]
+        }
+      }
+    },
+    { $match: { seconds: { $gt: 0 } } },
+    {
+      $group: {
+        _id: { user: '$user', state: '$state', reason: '$reason' },
+        seconds: { $sum: '$seconds' },
+        periods: { $sum: 1 }
+      }
+    }
+  ]);
+};
+
+agentStateLogSchema.statics.AGENT_STATES = AGENT_STATES;
+agentStateLogSchema.statics.BREAK_REASONS = BREAK_REASONS;
+
+module.exports = mongoose.model('AgentStateLog', agentStateLogSchema);
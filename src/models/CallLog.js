@@ -1,4 +1,19 @@
 const mongoose = require('mongoose');
+const { stateMachinePlugin } = require('../services/stateMachine');
+
+const CALL_STATUSES = ['initiated', 'ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Calls only move forward; a finished call keeps its final status
+const CALL_TRANSITIONS = {
+  initiated: ['ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed', 'canceled'],
+  ringing: ['answered', 'completed', 'busy', 'no-answer', 'failed', 'canceled'],
+  answered: ['completed', 'failed', 'canceled'],
+  completed: [],
+  busy: [],
+  'no-answer': [],
+  failed: [],
+  canceled: []
+};
 
 const callLogSchema = new mongoose.Schema({
   lead: {
@@ -10,11 +25,29 @@ const callLogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Why the call went to this salesperson
+  routing: {
+    strategy: {
+      type: String,
+      enum: ['least-busy', 'round-robin', 'longest-idle', 'weighted', 'sticky', 'manual', 'callback']
+    },
+    reason: String,
+    skillsRelaxed: [String],
+    candidates: Number
+  },
   twilioCallSid: {
     type: String,
     unique: true,
     sparse: true
   },
+  provider: {
+    type: String,
+    enum: ['twilio', 'asterisk', 'simulation']
+  },
   direction: {
     type: String,
     enum: ['outbound', 'inbound'],
@@ -22,9 +55,14 @@ const callLogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['initiated', 'ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed', 'canceled'],
+    enum: CALL_STATUSES,
     default: 'initiated'
   },
+  // Answered predictive call that no salesperson was free to take
+  abandoned: {
+    type: Boolean,
+    default: false
+  },
   from: {
     type: String,
     required: true
@@ -58,9 +96,46 @@ const callLogSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
+  // Outcome recorded by the salesperson after the call (see models/Disposition)
+  disposition: {
+    code: String,
+    label: String,
+    fields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    submittedAt: Date
+  },
+  // Time the salesperson spent wrapping up after the call
+  wrapUp: {
+    startedAt: Date,
+    endsAt: Date,
+    endedAt: Date,
+    endReason: {
+      type: String,
+      enum: ['disposition', 'timeout', 'next_call']
+    }
+  },
   recordingUrl: {
     type: String
   },
+  recordingSid: {
+    type: String
+  },
+  recordingDuration: {
+    type: Number,
+    min: 0
+  },
+  voicemail: {
+    url: String,
+    sid: String,
+    duration: Number,
+    receivedAt: Date
+  },
   cost: {
     type: Number,
     default: 0
@@ -83,15 +158,22 @@ const callLogSchema = new mongoose.Schema({
 callLogSchema.index({ lead: 1, createdAt: -1 });
 callLogSchema.index({ salesperson: 1, createdAt: -1 });
 callLogSchema.index({ status: 1, createdAt: -1 });
+callLogSchema.index({ campaign: 1, createdAt: -1 });
 callLogSchema.index({ twilioCallSid: 1 });
 
-// Method to update call status
-callLogSchema.methods.updateStatus = function(status, additionalData = {}) {
-  this.status = status;
+// Status changes are checked against CALL_TRANSITIONS and kept in statusHistory
+callLogSchema.plugin(stateMachinePlugin, {
+  transitions: CALL_TRANSITIONS,
+  modelName: 'call'
+});
+
+// Method to update call status (context is { actor, source, reason } for the status history)
+callLogSchema.methods.updateStatus = function(status, additionalData = {}, context = {}) {
+  this.transitionTo(status, context);
   
   if (status === 'answered') {
     this.answerTime = new Date();
-  } else if (status === 'completed') {
+  } else if (status === 'completed' || status === 'canceled') {
     this.endTime = new Date();
     if (this.answerTime) {
       this.duration = Math.floor((this.endTime - this.answerTime) / 1000);
@@ -110,6 +192,25 @@ callLogSchema.methods.updateStatus = function(status, additionalData = {}) {
   return this.save();
 };
 
+// Method to store the call recording
+callLogSchema.methods.attachRecording = function({ recordingUrl, recordingSid, recordingDuration }) {
+  this.recordingUrl = recordingUrl;
+  this.recordingSid = recordingSid;
+  this.recordingDuration = recordingDuration;
+  return this.save();
+};
+
+// Method to store a voicemail left by the lead
+callLogSchema.methods.attachVoicemail = function({ recordingUrl, recordingSid, recordingDuration }) {
+  this.voicemail = {
+    url: recordingUrl,
+    sid: recordingSid,
+    duration: recordingDuration,
+    receivedAt: new Date()
+  };
+  return this.save();
+};
+
 // Method to transfer call
 callLogSchema.methods.transferCall = function(transferTo) {
   this.transferTo = transferTo;
@@ -133,6 +234,9 @@ callLogSchema.statics.getCallStats = async function(filters = {}) {
   if (filters.status) {
     matchStage.status = filters.status;
   }
+  if (filters.campaign) {
+    matchStage.campaign = filters.campaign;
+  }
   
   return await this.aggregate([
     { $match: matchStage },
@@ -159,4 +263,6 @@ callLogSchema.statics.getRecentCalls = function(limit = 50) {
     .limit(limit);
 };
 
+callLogSchema.statics.CALL_STATUSES = CALL_STATUSES;
+
 module.exports = mongoose.model('CallLog', callLogSchema); 
\ No newline at end of file
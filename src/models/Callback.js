@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const CALLBACK_STATUSES = ['scheduled', 'dialed', 'canceled'];
+
+const callbackSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  // Salesperson the lead asked to speak to; the call goes to them first
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dueAt: {
+    type: Date,
+    required: [true, 'Callback time is required']
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: CALLBACK_STATUSES,
+    default: 'scheduled'
+  },
+  remindedAt: {
+    type: Date
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  // Call the callback was requested on, and the call that honoured it
+  sourceCall: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog'
+  },
+  callLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog'
+  },
+  dialedAt: {
+    type: Date
+  },
+  canceledAt: {
+    type: Date
+  },
+  canceledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+callbackSchema.index({ status: 1, dueAt: 1 });
+callbackSchema.index({ owner: 1, status: 1, dueAt: 1 });
+callbackSchema.index({ lead: 1, status: 1 });
+
+// Method to record the call placed for the callback
+callbackSchema.methods.markDialed = function(callLog) {
+  this.status = 'dialed';
+  this.callLog = callLog._id;
+  this.dialedAt = new Date();
+  return this.save();
+};
+
+// Static method to get the scheduled callback of a lead, if any
+callbackSchema.statics.findScheduled = function(leadId) {
+  return this.findOne({ lead: leadId, status: 'scheduled' });
+};
+
+// Static method to get the scheduled callback of a lead that is due now
+callbackSchema.statics.findDueForLead = function(leadId, now = new Date()) {
+  return this.findOne({ lead: leadId, status: 'scheduled', dueAt: { $lte: now } });
+};
+
+// Static method to get the leads of the callbacks that are due now
+callbackSchema.statics.getDueLeadIds = function(now = new Date()) {
+  return this.distinct('lead', { status: 'scheduled', dueAt: { $lte: now } });
+};
+
+// Static method to atomically take the next callback whose reminder is due (one worker sends it)
+callbackSchema.statics.claimReminder = function(remindBeforeMs, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      status: 'scheduled',
+      remindedAt: null,
+      dueAt: { $lte: new Date(now.getTime() + remindBeforeMs) }
+    },
+    { $set: { remindedAt: now } },
+    { sort: { dueAt: 1 }, new: true }
+  );
+};
+
+callbackSchema.statics.CALLBACK_STATUSES = CALLBACK_STATUSES;
+
+module.exports = mongoose.model('Callback', callbackSchema);
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Campaign name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'paused', 'completed'],
+    default: 'draft'
+  },
+  // Leads are taken from the explicit list when it is set, otherwise from the filter
+  leadFilter: {
+    tags: [String],
+    priorities: [{
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent']
+    }],
+    sources: [String],
+    createdFrom: Date,
+    createdTo: Date
+  },
+  leadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+  greetingScript: {
+    type: String,
+    maxlength: [1000, 'Greeting script cannot exceed 1000 characters']
+  },
+  callingHours: {
+    start: {
+      type: String,
+      default: '09:00',
+      match: [TIME_PATTERN, 'Calling hours must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      default: '20:00',
+      match: [TIME_PATTERN, 'Calling hours must be in HH:mm format']
+    },
+    // 0 = Sunday ... 6 = Saturday
+    days: {
+      type: [Number],
+      default: [1, 2, 3, 4, 5, 6]
+    }
+  },
+  // Per-weekday windows; when set they replace callingHours
+  callingWindows: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6
+    },
+    start: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Calling hours must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Calling hours must be in HH:mm format']
+    }
+  }],
+  // Calling hours are in the lead's local time; this is used for leads without a time zone
+  timezone: {
+    type: String,
+    default: 'Asia/Tashkent'
+  },
+  // Falls back to the default holiday calendar
+  holidayCalendar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HolidayCalendar'
+  },
+  // Retry cadence for the campaign's leads; falls back to the priority or default policy
+  retryPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RetryPolicy'
+  },
+  // Hard cap on attempts per lead, applied on top of the retry policy
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 20
+  },
+  concurrency: {
+    type: Number,
+    default: 2,
+    min: 1,
+    max: 50
+  },
+  // Default skills for the campaign's leads; a lead's own requirements win
+  requiredSkills: {
+    languages: [{
+      type: String,
+      enum: ['uz', 'ru', 'en']
+    }],
+    courses: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    minSeniority: {
+      type: String,
+      enum: ['junior', 'middle', 'senior']
+    }
+  },
+  // Order in which required skills are relaxed when nobody matches; empty = strict
+  skillFallback: {
+    type: [{
+      type: String,
+      enum: ['seniority', 'courses', 'languages']
+    }],
+    default: undefined
+  },
+  // How a salesperson is picked among those matching the skills (see services/routing)
+  routingStrategy: {
+    type: String,
+    enum: ['least-busy', 'round-robin', 'longest-idle', 'weighted', 'sticky'],
+    default: 'least-busy'
+  },
+  salespeople: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+campaignSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+// Method to check whether the campaign is running on a given date
+campaignSchema.methods.isInSchedule = function(date = new Date()) {
+  if (this.startDate && date < this.startDate) return false;
+  if (this.endDate && date > this.endDate) return false;
+  return true;
+};
+
+// Method to build the lead query for this campaign's pool (membership only)
+campaignSchema.methods.getLeadQuery = function() {
+  if (this.leadIds && this.leadIds.length > 0) {
+    return { _id: { $in: this.leadIds } };
+  }
+
+  const query = {};
+  const filter = this.leadFilter || {};
+
+  if (filter.tags && filter.tags.length > 0) query.tags = { $in: filter.tags };
+  if (filter.priorities && filter.priorities.length > 0) query.priority = { $in: filter.priorities };
+  if (filter.sources && filter.sources.length > 0) query.source = { $in: filter.sources };
+  if (filter.createdFrom || filter.createdTo) {
+    query.createdAt = {};
+    if (filter.createdFrom) query.createdAt.$gte = filter.createdFrom;
+    if (filter.createdTo) query.createdAt.$lte = filter.createdTo;
+  }
+
+  return query;
+};
+
+// Method to assign matching leads that are not in another campaign yet
+campaignSchema.methods.assignLeads = async function() {
+  const Lead = mongoose.model('Lead');
+
+  const result = await Lead.updateMany(
+    {
+      ...this.getLeadQuery(),
+      isActive: true,
+      $or: [
+        { campaign: { $exists: false } },
+        { campaign: null }
+      ]
+    },
+    { $set: { campaign: this._id } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Static method to get campaigns that may dial right now (calling hours are checked per lead)
+campaignSchema.statics.getDialableCampaigns = async function(date = new Date()) {
+  const campaigns = await this.find({ status: 'active' });
+  return campaigns.filter(campaign => campaign.isInSchedule(date));
+};
+
+module.exports = mongoose.model('Campaign', campaignSchema);
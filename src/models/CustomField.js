@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'enum', 'multiselect', 'boolean'];
+
+// Spellings of yes and no accepted for boolean fields (English, Uzbek, Russian)
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, 1: true, ha: true, да: true,
+  false: false, no: false, n: false, 0: false, "yo'q": false, yoq: false, нет: false
+};
+
+// A field admins add to leads (course interest, branch, UTM source...), with its rules
+const customFieldSchema = new mongoose.Schema({
+  // Name of the value in lead.customFields, in filters and as import/export column
+  key: {
+    type: String,
+    required: [true, 'Field key is required'],
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Key cannot exceed 50 characters'],
+    match: [/^[a-z][a-z0-9_]*$/, 'Key must start with a letter and contain only letters, digits and _']
+  },
+  label: {
+    type: String,
+    required: [true, 'Field label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: CUSTOM_FIELD_TYPES,
+    required: [true, 'Field type is required']
+  },
+  // Allowed values of an enum or multi-select field
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Bounds: the value of a number, the length of a text, the choices of a multi-select
+  min: {
+    type: Number
+  },
+  max: {
+    type: Number
+  },
+  // Bounds of a date
+  minDate: {
+    type: Date
+  },
+  maxDate: {
+    type: Date
+  },
+  // Regular expression a text must match
+  pattern: {
+    type: String
+  },
+  // Shown to salespeople with the lead, not just to admins
+  showToOperator: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+customFieldSchema.index({ key: 1 }, { unique: true });
+customFieldSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Enum and multi-select fields need options, and the rules must make sense
+customFieldSchema.pre('validate', function(next) {
+  if (['enum', 'multiselect'].includes(this.type) && this.options.length === 0) {
+    this.invalidate('options', 'Enum and multi-select fields need options');
+  }
+  if (this.min != null && this.max != null && this.min > this.max) {
+    this.invalidate('max', 'Maximum must not be less than the minimum');
+  }
+  if (this.minDate && this.maxDate && this.minDate > this.maxDate) {
+    this.invalidate('maxDate', 'Latest date must not be before the earliest');
+  }
+  if (this.pattern) {
+    try {
+      new RegExp(this.pattern);
+    } catch (error) {
+      this.invalidate('pattern', `Invalid pattern: ${error.message}`);
+    }
+  }
+  next();
+});
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Method to find the option a value stands for (options match regardless of case)
+customFieldSchema.methods.matchOption = function(value) {
+  const wanted = String(value).trim().toLowerCase();
+  return this.options.find(option => option.toLowerCase() === wanted);
+};
+
+// Method to convert a value to the field's type, without the field's rules; undefined
+// when it cannot be. Strings from files are accepted: "1 500,5" for a number, "ha" for
+// a boolean, "a, b" for a multi-select.
+customFieldSchema.methods.parseValue = function(raw) {
+  if (this.type === 'number') {
+    const number = typeof raw === 'number' ? raw : Number(String(raw).replace(/\s/g, '').replace(',', '.'));
+    return Number.isNaN(number) ? undefined : number;
+  }
+  if (this.type === 'date') {
+    const date = raw instanceof Date ? raw : new Date(raw);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  if (this.type === 'boolean') {
+    return typeof raw === 'boolean' ? raw : BOOLEAN_VALUES[String(raw).trim().toLowerCase()];
+  }
+  if (this.type === 'enum') {
+    return this.matchOption(raw);
+  }
+  if (this.type === 'multiselect') {
+    const items = (Array.isArray(raw) ? raw : String(raw).split(/[,;]/)).filter(item => String(item).trim());
+    const options = items.map(item => this.matchOption(item));
+    return options.includes(undefined) ? undefined : [...new Set(options)];
+  }
+  return String(raw).trim();
+};
+
+// Method to check one value against the field. Returns { value } converted to the field's
+// type (null for an empty value), or { error }.
+customFieldSchema.methods.checkValue = function(raw) {
+  const name = this.label || this.key;
+
+  if (isEmpty(raw)) {
+    return { value: null };
+  }
+
+  const value = this.parseValue(raw);
+
+  if (this.type === 'number') {
+    if (value === undefined) {
+      return { error: `${name} must be a number` };
+    }
+    if (this.min != null && value < this.min) {
+      return { error: `${name} must be at least ${this.min}` };
+    }
+    if (this.max != null && value > this.max) {
+      return { error: `${name} must be at most ${this.max}` };
+    }
+  } else if (this.type === 'date') {
+    if (value === undefined) {
+      return { error: `${name} must be a date` };
+    }
+    if (this.minDate && value < this.minDate) {
+      return { error: `${name} must not be before ${this.minDate.toISOString()}` };
+    }
+    if (this.maxDate && value > this.maxDate) {
+      return { error: `${name} must not be after ${this.maxDate.toISOString()}` };
+    }
+  } else if (this.type === 'boolean') {
+    if (value === undefined) {
+      return { error: `${name} must be true or false` };
+    }
+  } else if (this.type === 'enum') {
+    if (value === undefined) {
+      return { error: `${name} must be one of: ${this.options.join(', ')}` };
+    }
+  } else if (this.type === 'multiselect') {
+    if (value === undefined) {
+      return { error: `${name} must be among: ${this.options.join(', ')}` };
+    }
+    if (this.min != null && value.length < this.min) {
+      return { error: `${name} needs at least ${this.min} choice(s)` };
+    }
+    if (this.max != null && value.length > this.max) {
+      return { error: `${name} allows at most ${this.max} choice(s)` };
+    }
+  } else {
+    if (this.min != null && value.length < this.min) {
+      return { error: `${name} must be at least ${this.min} characters` };
+    }
+    if (this.max != null && value.length > this.max) {
+      return { error: `${name} cannot exceed ${this.max} characters` };
+    }
+    if (this.pattern && !new RegExp(this.pattern).test(value)) {
+      return { error: `${name} has an invalid format` };
+    }
+  }
+
+  return { value };
+};
+
+// Static method to check submitted values against the given field definitions.
+// Returns { values, errors } with the values converted; null clears a value. With
+// `partial` (an update), fields left out are not checked for being required.
+customFieldSchema.statics.checkValues = function(input = {}, fields, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const field of fields) {
+    const raw = input[field.key];
+
+    if (raw === undefined && partial) {
+      continue;
+    }
+    if (isEmpty(raw)) {
+      if (field.required) {
+        errors.push(`${field.label || field.key} is required`);
+      } else if (raw !== undefined) {
+        values[field.key] = null;
+      }
+      continue;
+    }
+
+    const { value, error } = field.checkValue(raw);
+    if (error) {
+      errors.push(error);
+      continue;
+    }
+    values[field.key] = value;
+  }
+
+  const unknown = Object.keys(input).filter(key => !fields.some(field => field.key === key));
+  if (unknown.length > 0) {
+    errors.push(`Unknown custom fields: ${unknown.join(', ')}`);
+  }
+
+  return { values, errors };
+};
+
+// Static method to get the fields leads currently have
+customFieldSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, label: 1 });
+};
+
+customFieldSchema.statics.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+// Dispositions created on startup when missing; admins can edit or deactivate them
+const DEFAULT_DISPOSITIONS = [
+  {
+    code: 'interested',
+    label: 'Interested',
+    description: 'Wants to hear more; call again to follow up',
+    fields: [{ name: 'course', label: 'Course of interest', type: 'text', required: true }],
+    leadStatus: 'pending',
+    retryDelayMinutes: 1440,
+    sortOrder: 1
+  },
+  {
+    code: 'enrolled',
+    label: 'Enrolled',
+    description: 'Signed up for a course',
+    fields: [{ name: 'course', label: 'Course', type: 'text', required: true }],
+    leadStatus: 'completed',
+    sortOrder: 2
+  },
+  {
+    code: 'callback_requested',
+    label: 'Callback requested',
+    description: 'Asked to be called back at a given time',
+    fields: [{ name: 'callbackAt', label: 'Call back at', type: 'date', required: true }],
+    leadStatus: 'pending',
+    scheduleField: 'callbackAt',
+    sortOrder: 3
+  },
+  {
+    code: 'wrong_number',
+    label: 'Wrong number',
+    description: 'The number does not belong to the lead',
+    leadStatus: 'failed',
+    deactivateLead: true,
+    sortOrder: 4
+  },
+  {
+    code: 'not_interested',
+    label: 'Not interested',
+    description: 'Declined the offer',
+    fields: [{ name: 'reason', label: 'Reason', type: 'text', required: true }],
+    leadStatus: 'completed',
+    sortOrder: 5
+  },
+  {
+    code: 'dnc',
+    label: 'Do not call',
+    description: 'Asked never to be called again',
+    leadStatus: 'completed',
+    addToDnc: true,
+    sortOrder: 6
+  }
+];
+
+// A value the salesperson fills in when choosing the disposition
+const dispositionFieldSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Field name must start with a letter and contain only letters, digits and _']
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: FIELD_TYPES,
+    default: 'text'
+  },
+  // Allowed values of a select field
+  options: [String],
+  required: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const dispositionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Disposition code is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Code must start with a letter and contain only letters, digits and _']
+  },
+  label: {
+    type: String,
+    required: [true, 'Disposition label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  fields: [dispositionFieldSchema],
+  // Lead status after the disposition; pending leads are called again
+  leadStatus: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    required: true
+  },
+  // Delay before a pending lead is called again
+  retryDelayMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Date field whose value is the next call time (takes the place of the delay)
+  scheduleField: {
+    type: String,
+    trim: true
+  },
+  addToDnc: {
+    type: Boolean,
+    default: false
+  },
+  deactivateLead: {
+    type: Boolean,
+    default: false
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+dispositionSchema.index({ code: 1 }, { unique: true });
+dispositionSchema.index({ isActive: 1, sortOrder: 1 });
+
+// The schedule field must be one of the disposition's date fields
+dispositionSchema.pre('validate', function(next) {
+  if (this.scheduleField) {
+    const field = this.fields.find(item => item.name === this.scheduleField);
+    if (!field || field.type !== 'date') {
+      this.invalidate('scheduleField', 'Schedule field must name one of the date fields');
+    }
+  }
+  next();
+});
+
+// Method to check submitted field values against the field definitions.
+// Returns { values, errors } with the values converted to their types.
+dispositionSchema.methods.checkFields = function(input = {}) {
+  const values = {};
+  const errors = [];
+
+  for (const field of this.fields) {
+    const raw = input[field.name];
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (field.required) {
+        errors.push(`${field.label || field.name} is required`);
+      }
+      continue;
+    }
+
+    if (field.type === 'number') {
+      const number = Number(raw);
+      if (Number.isNaN(number)) {
+        errors.push(`${field.label || field.name} must be a number`);
+        continue;
+      }
+      values[field.name] = number;
+    } else if (field.type === 'date') {
+      const date = new Date(raw);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${field.label || field.name} must be a date`);
+        continue;
+      }
+      values[field.name] = date;
+    } else if (field.type === 'select') {
+      if (!field.options.includes(String(raw))) {
+        errors.push(`${field.label || field.name} must be one of: ${field.options.join(', ')}`);
+        continue;
+      }
+      values[field.name] = String(raw);
+    } else {
+      values[field.name] = String(raw);
+    }
+  }
+
+  const unknown = Object.keys(input).filter(name => !this.fields.some(field => field.name === name));
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  return { values, errors };
+};
+
+// Static method to get the dispositions salespeople can choose from
+dispositionSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, label: 1 });
+};
+
+// Static method to create the default dispositions that do not exist yet
+dispositionSchema.statics.ensureDefaults = async function() {
+  for (const disposition of DEFAULT_DISPOSITIONS) {
+    await this.updateOne(
+      { code: disposition.code },
+      { $setOnInsert: disposition },
+      { upsert: true }
+    );
+  }
+};
+
+dispositionSchema.statics.FIELD_TYPES = FIELD_TYPES;
+dispositionSchema.statics.DEFAULT_DISPOSITIONS = DEFAULT_DISPOSITIONS;
+
+module.exports = mongoose.model('Disposition', dispositionSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const { normalizePhone, phoneSetter, isValidPhone } = require('../services/phoneNumber');
+
+const DNC_REASONS = ['customer_request', 'complaint', 'wrong_number', 'legal', 'other'];
+
+const dncEntrySchema = new mongoose.Schema({
+  // Stored in E.164 (see services/phoneNumber)
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    set: phoneSetter,
+    validate: [isValidPhone, 'Please enter a valid phone number']
+  },
+  // Set by the phone migration when the number is invalid and was left as typed, so
+  // later runs skip the entry
+  phoneMigration: {
+    type: String,
+    enum: ['invalid']
+  },
+  reason: {
+    type: String,
+    enum: DNC_REASONS,
+    default: 'customer_request'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'csv_import', 'disposition'],
+    default: 'manual'
+  },
+  // No expiry means the number is blocked until removed
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  callLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+dncEntrySchema.index({ phone: 1 }, { unique: true });
+dncEntrySchema.index({ expiresAt: 1 });
+
+// Query for entries that are still in force
+const activeQuery = (now = new Date()) => ({
+  $or: [
+    { expiresAt: null },
+    { expiresAt: { $gt: now } }
+  ]
+});
+
+// Static method to find the active entry for a number, if any
+dncEntrySchema.statics.findActive = function(phone) {
+  return this.findOne({ phone: normalizePhone(phone), ...activeQuery() });
+};
+
+// Static method to get the blocked numbers among a list, as a Set of normalized numbers
+dncEntrySchema.statics.findBlocked = async function(phones) {
+  const entries = await this.find({
+    phone: { $in: phones.map(normalizePhone).filter(Boolean) },
+    ...activeQuery()
+  }).select('phone');
+
+  return new Set(entries.map(entry => entry.phone));
+};
+
+// Static method to add or refresh a number and flag its leads
+dncEntrySchema.statics.addNumber = async function(phone, data = {}) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    throw new Error(`Invalid phone number: ${phone}`);
+  }
+
+  const entry = await this.findOneAndUpdate(
+    { phone: normalized },
+    {
+      $set: {
+        reason: data.reason || 'customer_request',
+        notes: data.notes,
+        source: data.source || 'manual',
+        expiresAt: data.expiresAt || null,
+        addedBy: data.addedBy,
+        callLog: data.callLog
+      }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+
+  const Lead = mongoose.model('Lead');
+  await Lead.updateMany({ phone: normalized }, { $set: { doNotCall: true } });
+
+  return entry;
+};
+
+// Static method to remove a number and clear its leads' flag
+dncEntrySchema.statics.removeNumber = async function(phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await this.deleteOne({ phone: normalized });
+
+  const Lead = mongoose.model('Lead');
+  await Lead.updateMany({ phone: normalized }, { $set: { doNotCall: false } });
+
+  return result.deletedCount > 0;
+};
+
+// Static method to drop expired entries so their leads can be called again
+dncEntrySchema.statics.releaseExpired = async function() {
+  const expired = await this.find({ expiresAt: { $ne: null, $lte: new Date() } }).select('phone');
+
+  for (const entry of expired) {
+    await this.removeNumber(entry.phone);
+  }
+
+  return expired.length;
+};
+
+dncEntrySchema.statics.DNC_REASONS = DNC_REASONS;
+
+module.exports = mongoose.model('DncEntry', dncEntrySchema);
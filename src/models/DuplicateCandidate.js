@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const CANDIDATE_STATUSES = ['pending', 'merged', 'dismissed', 'stale'];
+
+// How strongly each kind of match says two leads are one person; several matches add up.
+// A name match counts in proportion to how alike the names are.
+const MATCH_WEIGHTS = {
+  phone: 0.95,
+  email: 0.8,
+  name: 0.5
+};
+
+// Pair of leads that look like the same person, waiting for an admin to merge or dismiss
+const duplicateCandidateSchema = new mongoose.Schema({
+  leads: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Lead'
+    }],
+    validate: [leads => leads.length === 2, 'A duplicate candidate is a pair of leads']
+  },
+  // The two lead ids, sorted; one candidate per pair
+  pairKey: {
+    type: String,
+    required: true
+  },
+  matchedOn: [{
+    type: String,
+    enum: Object.keys(MATCH_WEIGHTS)
+  }],
+  // How alike the names are (1 = equal name keys), when they matched
+  nameSimilarity: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // stale: one of the leads was merged into another lead or deactivated meanwhile
+  status: {
+    type: String,
+    enum: CANDIDATE_STATUSES,
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  merge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeadMerge'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+duplicateCandidateSchema.index({ pairKey: 1 }, { unique: true });
+duplicateCandidateSchema.index({ status: 1, score: -1, createdAt: 1 });
+duplicateCandidateSchema.index({ leads: 1, status: 1 });
+
+// Static method to get the key of a pair of leads
+duplicateCandidateSchema.statics.pairKeyOf = function(leadA, leadB) {
+  return [String(leadA), String(leadB)].sort().join(':');
+};
+
+// Static method to score a pair from what matched and how alike the names are (0 to 1)
+duplicateCandidateSchema.statics.scoreOf = function(matchedOn, nameSimilarity = 1) {
+  const weightOf = (match) => (match === 'name' ? MATCH_WEIGHTS.name * nameSimilarity : MATCH_WEIGHTS[match]);
+  const unmatched = matchedOn.reduce((rest, match) => rest * (1 - weightOf(match)), 1);
+  return Math.round((1 - unmatched) * 1000) / 1000;
+};
+
+duplicateCandidateSchema.statics.CANDIDATE_STATUSES = CANDIDATE_STATUSES;
+duplicateCandidateSchema.statics.MATCH_TYPES = Object.keys(MATCH_WEIGHTS);
+
+module.exports = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
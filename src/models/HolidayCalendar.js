@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Uzbekistan public holidays (days off under the Labour Code).
+// MM-DD entries repeat every year. Ramazon and Qurbon Hayit follow the lunar
+// calendar and are announced each year, so add them per year as YYYY-MM-DD.
+const UZBEKISTAN_HOLIDAYS = [
+  { date: '01-01', name: 'New Year' },
+  { date: '03-08', name: 'International Women\'s Day' },
+  { date: '03-21', name: 'Navruz' },
+  { date: '05-09', name: 'Day of Remembrance and Honour' },
+  { date: '09-01', name: 'Independence Day' },
+  { date: '10-01', name: 'Teachers\' and Mentors\' Day' },
+  { date: '12-08', name: 'Constitution Day' },
+  { date: '2025-03-30', name: 'Ramazon Hayit' },
+  { date: '2025-06-06', name: 'Qurbon Hayit' },
+  { date: '2026-03-20', name: 'Ramazon Hayit' },
+  { date: '2026-05-27', name: 'Qurbon Hayit' }
+];
+
+const holidayCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Calendar name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  country: {
+    type: String,
+    uppercase: true,
+    default: 'UZ'
+  },
+  // Used for leads whose campaign has no calendar of its own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  holidays: [{
+    // YYYY-MM-DD for a single date, MM-DD for every year (local date of the lead)
+    date: {
+      type: String,
+      required: true,
+      match: [/^(\d{4}-)?(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Holiday date must be YYYY-MM-DD or MM-DD']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Holiday name cannot exceed 100 characters']
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+holidayCalendarSchema.index({ isDefault: 1 });
+
+// Method to check whether a local date (YYYY-MM-DD) is a holiday
+holidayCalendarSchema.methods.isHoliday = function(localDate) {
+  return this.holidays.some(holiday => holiday.date === localDate || holiday.date === localDate.slice(5));
+};
+
+// Static method to get the default calendar
+holidayCalendarSchema.statics.getDefault = function() {
+  return this.findOne({ isDefault: true });
+};
+
+holidayCalendarSchema.statics.UZBEKISTAN_HOLIDAYS = UZBEKISTAN_HOLIDAYS;
+
+module.exports = mongoose.model('HolidayCalendar', holidayCalendarSchema);
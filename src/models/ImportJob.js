@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { columnsSchema } = require('./ImportMapping');
+
+const IMPORT_STATUSES = ['queued', 'running', 'completed', 'failed', 'canceled'];
+
+// A lead import running in the background. Rows are handled in batches; `progress.processedRows`
+// is the checkpoint a canceled, failed or interrupted job resumes from.
+const importJobSchema = new mongoose.Schema({
+  file: {
+    originalName: String,
+    path: {
+      type: String,
+      required: true
+    },
+    size: Number,
+    mimeType: String,
+    // How the file is read (see services/importFile); encoding and delimiter apply to CSV
+    format: {
+      type: String,
+      enum: ['csv', 'excel', 'json'],
+      default: 'csv'
+    },
+    encoding: String,
+    delimiter: String
+  },
+  mapping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportMapping'
+  },
+  // Requested columns (the mapping's, overridden per job) and the headers actually used
+  columns: {
+    type: columnsSchema,
+    default: () => ({})
+  },
+  resolvedColumns: {
+    type: columnsSchema
+  },
+  defaults: {
+    priority: String,
+    tags: [String],
+    source: String
+  },
+  // A dry run checks every row and counts the outcome without saving leads
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: IMPORT_STATUSES,
+    default: 'queued'
+  },
+  progress: {
+    totalRows: { type: Number, default: null },
+    processedRows: { type: Number, default: 0 },
+    valid: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    dnc: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 }
+  },
+  // Worker processing the job and when its claim lapses
+  worker: String,
+  lockedUntil: Date,
+  error: String,
+  startedAt: Date,
+  finishedAt: Date,
+  canceledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ createdAt: -1 });
+
+// Static method to atomically take the oldest queued job, or a running one whose worker went away
+importJobSchema.statics.claimNext = function(workerId, lockTtl, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        worker: workerId,
+        lockedUntil: new Date(now.getTime() + lockTtl)
+      }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+importJobSchema.statics.IMPORT_STATUSES = IMPORT_STATUSES;
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Lead fields a file column can be mapped to
+const IMPORT_FIELDS = ['phone', 'name', 'email', 'priority', 'notes', 'tags', 'language', 'course', 'timezone'];
+
+// Column header for each lead field, and for custom fields by key under `custom`;
+// unmapped fields fall back to the usual header names (a custom field's key or label)
+const columnsSchema = new mongoose.Schema({
+  ...Object.fromEntries(IMPORT_FIELDS.map(field => [field, { type: String, trim: true }])),
+  custom: {
+    type: Map,
+    of: { type: String, trim: true }
+  }
+}, { _id: false });
+
+// Saved column-mapping profile for lead imports (e.g. one per marketing export format)
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Mapping name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  columns: {
+    type: columnsSchema,
+    default: () => ({})
+  },
+  // Values for rows that leave a field empty; tags are added to the row's own
+  defaults: {
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent']
+    },
+    tags: [{
+      type: String,
+      trim: true
+    }],
+    source: {
+      type: String,
+      trim: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+importMappingSchema.statics.IMPORT_FIELDS = IMPORT_FIELDS;
+importMappingSchema.statics.columnsSchema = columnsSchema;
+
+module.exports = mongoose.model('ImportMapping', importMappingSchema);
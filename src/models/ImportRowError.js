@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A row an import left out, with the row as it was in the file (for the error report)
+const importRowErrorSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: true
+  },
+  // 1-based data row number (the header row not counted)
+  row: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['invalid', 'duplicate'],
+    required: true
+  },
+  phone: String,
+  message: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+importRowErrorSchema.index({ job: 1, row: 1 });
+
+module.exports = mongoose.model('ImportRowError', importRowErrorSchema);
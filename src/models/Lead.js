@@ -1,17 +1,74 @@
 const mongoose = require('mongoose');
+const RetryPolicy = require('./RetryPolicy');
+const Campaign = require('./Campaign');
+const { getTimezoneForPhone, resolveCallingWindow, getNextCallableTime } = require('../services/callingHours');
+const { stateMachinePlugin } = require('../services/stateMachine');
+const { phoneSetter, isValidPhone, parsePhone } = require('../services/phoneNumber');
+const { nameKey, nameBlocks } = require('../services/transliteration');
+
+const LEAD_STATUSES = ['pending', 'claimed', 'calling', 'answered', 'no_answer', 'busy', 'failed', 'completed', 'transferred'];
+
+// Statuses each lead status may move to. A claimed lead is reserved by an operator;
+// closed leads (no_answer, busy, failed, completed) can be reopened to pending.
+const LEAD_TRANSITIONS = {
+  pending: ['claimed', 'calling', 'completed', 'failed'],
+  claimed: ['pending', 'calling'],
+  calling: ['pending', 'answered', 'no_answer', 'busy', 'failed', 'transferred'],
+  answered: ['pending', 'transferred', 'completed', 'no_answer', 'busy', 'failed'],
+  transferred: ['pending', 'calling', 'completed', 'failed'],
+  no_answer: ['pending', 'calling', 'completed'],
+  busy: ['pending', 'calling', 'completed'],
+  failed: ['pending', 'calling', 'completed'],
+  completed: ['pending']
+};
+
+// Number details kept on the lead (nothing for an invalid number)
+const getPhoneInfo = (phone) => {
+  const info = parsePhone(phone);
+  if (!info) {
+    return undefined;
+  }
+
+  const { country, type, operator, region } = info;
+  return { country, type, operator, region };
+};
+
+const LEAD_GUARDS = {
+  calling: (lead) => {
+    if (!lead.isActive) return 'lead is not active';
+    if (lead.doNotCall) return 'number is on the Do-Not-Call list';
+    return true;
+  }
+};
 
 const leadSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: [true, 'Phone number is required'],
     trim: true,
-    match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
+    // Stored in E.164 (see services/phoneNumber)
+    set: phoneSetter,
+    validate: [isValidPhone, 'Please enter a valid phone number']
   },
   name: {
     type: String,
     trim: true,
     maxlength: [100, 'Name cannot exceed 100 characters']
   },
+  // The name in comparable form, for duplicate detection (see services/transliteration)
+  nameKey: {
+    type: String,
+    default: function() {
+      return nameKey(this.name);
+    }
+  },
+  // Keys of the names that may be a typo of this one, to find them through an index
+  nameBlocks: {
+    type: [String],
+    default: function() {
+      return nameBlocks(this.nameKey);
+    }
+  },
   email: {
     type: String,
     trim: true,
@@ -19,7 +76,7 @@ const leadSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'calling', 'answered', 'no_answer', 'busy', 'failed', 'completed', 'transferred'],
+    enum: LEAD_STATUSES,
     default: 'pending'
   },
   priority: {
@@ -27,10 +84,11 @@ const leadSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high', 'urgent'],
     default: 'medium'
   },
+  // The attempt limit comes from the lead's retry policy
   callAttempts: {
     type: Number,
     default: 0,
-    max: [5, 'Maximum call attempts exceeded']
+    min: 0
   },
   lastCallAttempt: {
     type: Date
@@ -38,21 +96,77 @@ const leadSchema = new mongoose.Schema({
   nextCallTime: {
     type: Date
   },
+  // Country, line type, mobile operator and landline region of the number
+  phoneInfo: {
+    type: new mongoose.Schema({
+      country: String,
+      type: { type: String, enum: ['mobile', 'landline', null] },
+      operator: String,
+      region: String
+    }, { _id: false }),
+    default: function() {
+      return getPhoneInfo(this.phone);
+    }
+  },
+  // Set by the phone migration when the number was left as typed (another lead has it,
+  // or it is invalid), so later runs skip the lead; cleared when the number changes
+  phoneMigration: {
+    type: String,
+    enum: ['invalid', 'conflict']
+  },
+  // IANA time zone used for calling hours, derived from the phone prefix when not given
+  timezone: {
+    type: String,
+    default: function() {
+      return getTimezoneForPhone(this.phone);
+    }
+  },
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign'
+  },
+  // Skills a salesperson needs to take this lead (see services/skillRouting)
+  requiredSkills: {
+    languages: [{
+      type: String,
+      enum: ['uz', 'ru', 'en']
+    }],
+    courses: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    minSeniority: {
+      type: String,
+      enum: ['junior', 'middle', 'senior']
+    }
+  },
   callHistory: [{
     attempt: Number,
     timestamp: Date,
     status: String,
     duration: Number,
-    notes: String
+    notes: String,
+    recordingUrl: String
   }],
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  // Latest disposition recorded by a salesperson
+  lastDisposition: {
+    code: String,
+    label: String,
+    at: Date,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   tags: [{
     type: String,
     trim: true
@@ -61,9 +175,25 @@ const leadSchema = new mongoose.Schema({
     type: String,
     default: 'csv_upload'
   },
+  // Values of the admin-defined fields, by key (see models/CustomField)
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
+  // Set while the number is on the Do-Not-Call registry
+  doNotCall: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Lead this one was merged into as a duplicate (see services/leadDedup)
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    default: null
   }
 }, {
   timestamps: true
@@ -73,35 +203,138 @@ const leadSchema = new mongoose.Schema({
 leadSchema.index({ status: 1, priority: 1, nextCallTime: 1 });
 leadSchema.index({ phone: 1 }, { unique: true });
 leadSchema.index({ assignedTo: 1, status: 1 });
+leadSchema.index({ campaign: 1, status: 1, priority: 1 });
+leadSchema.index({ nameKey: 1 });
+leadSchema.index({ nameBlocks: 1 });
+leadSchema.index({ email: 1 });
 
-// Method to update call status
-leadSchema.methods.updateCallStatus = function(status, duration = 0, notes = '') {
-  this.status = status;
+// Status changes are checked against LEAD_TRANSITIONS and kept in statusHistory
+leadSchema.plugin(stateMachinePlugin, {
+  transitions: LEAD_TRANSITIONS,
+  guards: LEAD_GUARDS,
+  modelName: 'lead'
+});
+
+// Keep the derived time zone and number details in step with a changed phone number,
+// and the name key and blocks with a changed name
+leadSchema.pre('save', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneInfo = getPhoneInfo(this.phone);
+    this.phoneMigration = undefined;
+    if (!this.isModified('timezone')) {
+      this.timezone = getTimezoneForPhone(this.phone);
+    }
+  }
+  if (this.isModified('name')) {
+    this.nameKey = nameKey(this.name);
+    this.nameBlocks = nameBlocks(this.nameKey);
+  }
+  next();
+});
+
+// Method to update call status (context is { actor, source, reason } for the status history)
+leadSchema.methods.updateCallStatus = async function(status, duration = 0, notes = '', context = {}) {
+  // Call statuses use no-answer, lead statuses no_answer
+  if (status === 'no-answer') {
+    status = 'no_answer';
+  }
+
+  let nextStatus = status;
   this.lastCallAttempt = new Date();
   
   if (status === 'answered' || status === 'no_answer' || status === 'busy' || status === 'failed') {
-    this.callAttempts += 1;
+    this.recordCallAttempt(status, duration, notes);
     
-    // Add to call history
-    this.callHistory.push({
-      attempt: this.callAttempts,
-      timestamp: new Date(),
-      status: status,
-      duration: duration,
-      notes: notes
-    });
-    
-    // Set next call time based on status and attempts
-    if (status === 'no_answer' && this.callAttempts < 3) {
-      this.nextCallTime = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes later
-    } else if (status === 'busy' && this.callAttempts < 3) {
-      this.nextCallTime = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes later
-    } else if (this.callAttempts >= 3) {
-      this.status = 'failed';
+    // Let the retry policy decide when to call again or how to close the lead
+    if (status !== 'answered') {
+      const campaign = this.campaign
+        ? await Campaign.findById(this.campaign)
+        : null;
+      const policy = await RetryPolicy.resolveForLead(this, campaign);
+
+      const plan = RetryPolicy.planNextAttempt(policy, {
+        outcome: status,
+        attempts: this.callAttempts,
+        attemptTimes: this.callHistory.map(entry => entry.timestamp),
+        maxAttempts: campaign ? campaign.maxAttempts : null
+      });
+
+      nextStatus = plan.status;
+      if (plan.retry) {
+        // Never schedule the retry outside the lead's calling hours
+        const window = await resolveCallingWindow(this, campaign);
+        this.nextCallTime = getNextCallableTime(window, plan.nextCallTime) || plan.nextCallTime;
+      } else {
+        this.nextCallTime = undefined;
+        if (plan.deactivate) {
+          this.isActive = false;
+        }
+      }
+    }
+  }
+
+  this.transitionTo(nextStatus, context);
+  return this.save();
+};
+
+// Method to count a call attempt and add it to the call history
+leadSchema.methods.recordCallAttempt = function(status, duration = 0, notes = '') {
+  this.lastCallAttempt = new Date();
+  this.callAttempts += 1;
+  this.callHistory.push({
+    attempt: this.callAttempts,
+    timestamp: new Date(),
+    status,
+    duration,
+    notes
+  });
+};
+
+// Method to apply a call disposition, which decides the lead's next status and call time
+leadSchema.methods.applyDisposition = async function(disposition, values = {}, context = {}) {
+  this.lastDisposition = {
+    code: disposition.code,
+    label: disposition.label,
+    at: new Date(),
+    by: context.actor
+  };
+
+  if (disposition.leadStatus === 'pending') {
+    const requestedTime = disposition.scheduleField && values[disposition.scheduleField];
+
+    if (requestedTime) {
+      // The time the lead asked for is kept as it is
+      this.nextCallTime = requestedTime;
+    } else {
+      const campaign = this.campaign
+        ? await Campaign.findById(this.campaign)
+        : null;
+      const window = await resolveCallingWindow(this, campaign);
+      const retryTime = new Date(Date.now() + disposition.retryDelayMinutes * 60 * 1000);
+      this.nextCallTime = getNextCallableTime(window, retryTime) || retryTime;
+    }
+  } else {
+    this.nextCallTime = undefined;
+    if (disposition.deactivateLead) {
       this.isActive = false;
     }
   }
-  
+
+  this.transitionTo(disposition.leadStatus, { ...context, reason: `Disposition: ${disposition.label}` });
+  return this.save();
+};
+
+// Method to record a voicemail in the call history
+leadSchema.methods.addVoicemail = function(recordingUrl, duration = 0) {
+  this.callHistory.push({
+    attempt: this.callAttempts,
+    timestamp: new Date(),
+    status: 'voicemail',
+    duration: duration,
+    notes: 'Voicemail left by lead',
+    recordingUrl: recordingUrl
+  });
+
   return this.save();
 };
 
@@ -124,4 +357,11 @@ leadSchema.statics.getNextLeadToCall = function() {
   }).sort({ priority: 1, createdAt: 1 });
 };
 
+// Static method to get the number details a lead keeps for a phone (undefined if invalid)
+leadSchema.statics.getPhoneInfo = function(phone) {
+  return getPhoneInfo(phone);
+};
+
+leadSchema.statics.LEAD_STATUSES = LEAD_STATUSES;
+
 module.exports = mongoose.model('Lead', leadSchema); 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const objectIds = (ref) => [{
+  type: mongoose.Schema.Types.ObjectId,
+  ref
+}];
+
+// Audit record of one lead merged into another, with what the merge changed so it can
+// be undone
+const leadMergeSchema = new mongoose.Schema({
+  survivor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  merged: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  // Review queue entry the merge came from, if any
+  candidate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DuplicateCandidate'
+  },
+  // Survivor fields the merge replaced: their values before and after
+  survivorBefore: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  survivorAfter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // What the merge added to the survivor
+  addedCallHistory: objectIds(),
+  addedTags: [String],
+  addedCallAttempts: {
+    type: Number,
+    default: 0
+  },
+  // State of the merged lead before it was deactivated
+  mergedBefore: {
+    isActive: Boolean
+  },
+  // Records moved from the merged lead to the survivor
+  movedCallLogs: objectIds('CallLog'),
+  movedCallbacks: objectIds('Callback'),
+  // Scheduled callbacks of the merged lead canceled because the survivor had one
+  canceledCallbacks: objectIds('Callback'),
+  // Other pending candidates of the merged lead
+  staleCandidates: objectIds('DuplicateCandidate'),
+  status: {
+    type: String,
+    enum: ['applied', 'undone'],
+    default: 'applied'
+  },
+  mergedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  undoneAt: {
+    type: Date
+  },
+  // Survivor fields edited after the merge, which the undo left as they were
+  undoConflicts: [String]
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+leadMergeSchema.index({ survivor: 1, createdAt: -1 });
+leadMergeSchema.index({ merged: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LeadMerge', leadMergeSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const leaderLockSchema = new mongoose.Schema({
+  _id: {
+    type: String // Lock name, e.g. 'dialer'
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  hostname: {
+    type: String
+  },
+  pid: {
+    type: Number
+  },
+  acquiredAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to acquire or renew a lock; resolves true when the owner holds it
+leaderLockSchema.statics.acquire = async function(name, owner, ttlMs, info = {}) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+
+  // Renew a lock we already hold
+  const renewed = await this.updateOne({ _id: name, owner }, { $set: { expiresAt } });
+  if (renewed.matchedCount > 0) {
+    return true;
+  }
+
+  try {
+    // Take over a missing or expired lock
+    await this.findOneAndUpdate(
+      { _id: name, expiresAt: { $lt: now } },
+      {
+        $set: {
+          owner,
+          hostname: info.hostname,
+          pid: info.pid,
+          acquiredAt: now,
+          expiresAt
+        }
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lock exists and is held by someone else
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to release a lock held by the owner
+leaderLockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('LeaderLock', leaderLockSchema);
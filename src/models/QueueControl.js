@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Switches of a queue shared by every instance, so they apply to whichever one is the
+// leader and survive restarts
+const queueControlSchema = new mongoose.Schema({
+  _id: {
+    type: String // Queue name, e.g. 'dialer'
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to check whether a queue is paused
+queueControlSchema.statics.isPaused = async function(name) {
+  const control = await this.findById(name).select('paused').lean();
+  return Boolean(control && control.paused);
+};
+
+// Static method to pause or resume a queue
+queueControlSchema.statics.setPaused = function(name, paused, actor) {
+  return this.findOneAndUpdate(
+    { _id: name },
+    { $set: { paused, changedBy: actor, changedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('QueueControl', queueControlSchema);
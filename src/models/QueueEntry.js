@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Lower rank is dialed first
+const PRIORITY_RANK = {
+  urgent: 0,
+  high: 1,
+  medium: 2,
+  low: 3
+};
+
+// Due callbacks are dialed before any other lead
+const CALLBACK_RANK = -1;
+
+const queueEntrySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: true
+  },
+  // Dialing pool the entry belongs to; null is the default pool of leads without a campaign
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+  state: {
+    type: String,
+    enum: ['queued', 'leased'],
+    default: 'queued'
+  },
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANK.medium
+  },
+  availableAt: {
+    type: Date,
+    default: Date.now
+  },
+  owner: {
+    type: String
+  },
+  leaseExpiresAt: {
+    type: Date
+  },
+  claimCount: {
+    type: Number,
+    default: 0
+  },
+  salesperson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  callLog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CallLog'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+queueEntrySchema.index({ lead: 1 }, { unique: true });
+queueEntrySchema.index({ campaign: 1, state: 1, priorityRank: 1, availableAt: 1 });
+queueEntrySchema.index({ state: 1, leaseExpiresAt: 1 });
+queueEntrySchema.index({ owner: 1, state: 1 });
+
+// Static method to queue a lead (no-op if it is already queued or leased).
+// The rank defaults to the lead's priority.
+queueEntrySchema.statics.enqueue = async function(lead, availableAt = new Date(), priorityRank = null) {
+  try {
+    await this.updateOne(
+      { lead: lead._id },
+      {
+        $setOnInsert: {
+          lead: lead._id,
+          campaign: lead.campaign || null,
+          state: 'queued',
+          priorityRank: priorityRank ?? PRIORITY_RANK[lead.priority] ?? PRIORITY_RANK.medium,
+          availableAt
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another worker queued the same lead at the same time
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+// Static method to atomically claim the next due entry of a pool
+queueEntrySchema.statics.claimNext = function(owner, leaseMs, campaignId = null) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { campaign: campaignId, state: 'queued', availableAt: { $lte: now } },
+    {
+      $set: {
+        state: 'leased',
+        owner,
+        leaseExpiresAt: new Date(now.getTime() + leaseMs)
+      },
+      $inc: { claimCount: 1 }
+    },
+    { sort: { priorityRank: 1, availableAt: 1 }, new: true }
+  );
+};
+
+// Static method to renew every lease held by an owner
+queueEntrySchema.statics.renewLeases = function(owner, leaseMs) {
+  return this.updateMany(
+    { owner, state: 'leased' },
+    { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+  );
+};
+
+// Static method to put a leased entry back in the queue
+queueEntrySchema.statics.requeue = function(entryId, availableAt = new Date()) {
+  return this.updateOne(
+    { _id: entryId },
+    {
+      $set: { state: 'queued', availableAt },
+      $unset: { owner: 1, leaseExpiresAt: 1, salesperson: 1, callLog: 1 }
+    }
+  );
+};
+
+// Static method to remove a lead's entry once its call is finished
+queueEntrySchema.statics.complete = function(leadId) {
+  return this.deleteOne({ lead: leadId });
+};
+
+queueEntrySchema.statics.PRIORITY_RANK = PRIORITY_RANK;
+queueEntrySchema.statics.CALLBACK_RANK = CALLBACK_RANK;
+
+module.exports = mongoose.model('QueueEntry', queueEntrySchema);
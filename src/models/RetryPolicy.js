@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const { getLocalDate, getNextDayStart, getNextCallableTime } = require('../services/callingHours');
+
+// Call outcomes a policy can schedule retries for (lead status names)
+const RETRY_OUTCOMES = ['no_answer', 'busy', 'failed'];
+
+// Rules used when no policy is stored: every outcome is retried until CALL_RETRY_ATTEMPTS
+// attempts were made, then the lead is failed and deactivated, as before retry policies
+const DEFAULT_RULES = {
+  outcomes: {
+    no_answer: { retry: true, delayMinutes: 30, backoffMultiplier: 1, maxDelayMinutes: 1440 },
+    busy: { retry: true, delayMinutes: 15, backoffMultiplier: 1, maxDelayMinutes: 1440 },
+    failed: { retry: true, delayMinutes: 60, backoffMultiplier: 1, maxDelayMinutes: 1440 }
+  },
+  maxTotalAttempts: parseInt(process.env.CALL_RETRY_ATTEMPTS) || 3,
+  maxAttemptsPerDay: 0,
+  timezone: 'Asia/Tashkent',
+  finalDisposition: 'failed',
+  deactivateOnFinal: true
+};
+
+const outcomeRuleSchema = new mongoose.Schema({
+  retry: {
+    type: Boolean,
+    default: true
+  },
+  // Delay before the first retry after this outcome
+  delayMinutes: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  // Each further attempt multiplies the delay (1 = fixed delay)
+  backoffMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 10
+  },
+  maxDelayMinutes: {
+    type: Number,
+    default: 1440,
+    min: 0
+  }
+}, { _id: false });
+
+const retryPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Used for leads whose campaign and priority have no policy of their own
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Lead priorities this policy applies to outside of campaigns
+  priorities: [{
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  }],
+  outcomes: {
+    no_answer: {
+      type: outcomeRuleSchema,
+      default: () => DEFAULT_RULES.outcomes.no_answer
+    },
+    busy: {
+      type: outcomeRuleSchema,
+      default: () => DEFAULT_RULES.outcomes.busy
+    },
+    failed: {
+      type: outcomeRuleSchema,
+      default: () => DEFAULT_RULES.outcomes.failed
+    }
+  },
+  maxTotalAttempts: {
+    type: Number,
+    default: DEFAULT_RULES.maxTotalAttempts,
+    min: 1,
+    max: 50
+  },
+  // 0 = no daily limit
+  maxAttemptsPerDay: {
+    type: Number,
+    default: DEFAULT_RULES.maxAttemptsPerDay,
+    min: 0,
+    max: 50
+  },
+  // Time zone that decides where a calling day starts and ends
+  timezone: {
+    type: String,
+    default: DEFAULT_RULES.timezone
+  },
+  // Lead status once retries are exhausted or the outcome is not retried
+  finalDisposition: {
+    type: String,
+    enum: ['failed', 'no_answer', 'busy'],
+    default: DEFAULT_RULES.finalDisposition
+  },
+  deactivateOnFinal: {
+    type: Boolean,
+    default: DEFAULT_RULES.deactivateOnFinal
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+retryPolicySchema.index({ isActive: 1, isDefault: 1 });
+retryPolicySchema.index({ isActive: 1, priorities: 1 });
+
+// Rules of a stored policy or the built-in defaults
+const getRules = (policy) => policy || DEFAULT_RULES;
+
+// Delay before the next call after an outcome on a given attempt number
+const getRetryDelay = (rule, attempt) => {
+  const minutes = rule.delayMinutes * Math.pow(rule.backoffMultiplier || 1, Math.max(0, attempt - 1));
+  return Math.min(minutes, rule.maxDelayMinutes ?? minutes) * 60 * 1000;
+};
+
+// Decide what happens after an attempt ended with an outcome.
+// `attempts` is the number of attempts made including this one and
+// `attemptTimes` the times of the attempts made so far (for the daily limit).
+const planNextAttempt = (policy, { outcome, attempts, attemptTimes = [], maxAttempts = null, now = new Date() }) => {
+  const rules = getRules(policy);
+  const rule = rules.outcomes[outcome];
+  const totalLimit = maxAttempts ? Math.min(rules.maxTotalAttempts, maxAttempts) : rules.maxTotalAttempts;
+
+  if (!rule || !rule.retry || attempts >= totalLimit) {
+    return {
+      retry: false,
+      status: rules.finalDisposition,
+      deactivate: rules.deactivateOnFinal,
+      reason: !rule || !rule.retry ? 'outcome_not_retried' : 'max_attempts_reached'
+    };
+  }
+
+  let nextCallTime = new Date(now.getTime() + getRetryDelay(rule, attempts));
+
+  // Move to the next day once the daily limit is used up on the day of the retry
+  if (rules.maxAttemptsPerDay > 0) {
+    const retryDay = getLocalDate(nextCallTime, rules.timezone);
+    const attemptsThatDay = attemptTimes.filter(time => getLocalDate(time, rules.timezone) === retryDay).length;
+
+    if (attemptsThatDay >= rules.maxAttemptsPerDay) {
+      nextCallTime = getNextDayStart(nextCallTime, rules.timezone);
+    }
+  }
+
+  return {
+    retry: true,
+    status: 'pending',
+    nextCallTime
+  };
+};
+
+// Static method to decide the next step under a policy (null = built-in defaults)
+retryPolicySchema.statics.planNextAttempt = function(policy, options) {
+  return planNextAttempt(policy, options);
+};
+
+// Static method to find the policy for a lead: campaign, then priority, then default.
+// Returns null when no policy is stored, meaning the built-in defaults apply.
+retryPolicySchema.statics.resolveForLead = async function(lead, campaign = null) {
+  if (!campaign && lead.campaign) {
+    campaign = await mongoose.model('Campaign').findById(lead.campaign).select('retryPolicy');
+  }
+
+  if (campaign && campaign.retryPolicy) {
+    const policy = await this.findOne({ _id: campaign.retryPolicy, isActive: true });
+    if (policy) return policy;
+  }
+
+  const byPriority = await this.findOne({ isActive: true, priorities: lead.priority }).sort({ updatedAt: -1 });
+  if (byPriority) return byPriority;
+
+  return this.findOne({ isActive: true, isDefault: true });
+};
+
+// Static method to preview the future call schedule of a lead, assuming every
+// remaining attempt ends with the given outcome. With a calling window, each
+// call is moved to the next legal slot like the dialer does.
+retryPolicySchema.statics.previewSchedule = function(policy, lead, options = {}) {
+  const {
+    outcome = 'no_answer',
+    maxAttempts = null,
+    window = null,
+    from = lead.nextCallTime && lead.nextCallTime > new Date() ? lead.nextCallTime : new Date(),
+    callDuration = 60
+  } = options;
+
+  const toLegalSlot = (time) => (window && getNextCallableTime(window, time)) || time;
+  const attemptTimes = (lead.callHistory || []).map(entry => new Date(entry.timestamp));
+  const schedule = [];
+  let attempts = lead.callAttempts || 0;
+  let callTime = toLegalSlot(new Date(from));
+
+  // Leads without retries left get an empty schedule
+  const rules = getRules(policy);
+  const totalLimit = maxAttempts ? Math.min(rules.maxTotalAttempts, maxAttempts) : rules.maxTotalAttempts;
+  if (attempts >= totalLimit) {
+    return { schedule, finalDisposition: rules.finalDisposition };
+  }
+
+  while (schedule.length < 50) {
+    attempts += 1;
+    attemptTimes.push(callTime);
+
+    const plan = planNextAttempt(policy, {
+      outcome,
+      attempts,
+      attemptTimes,
+      maxAttempts,
+      now: new Date(callTime.getTime() + callDuration * 1000)
+    });
+
+    schedule.push({ attempt: attempts, callTime });
+
+    if (!plan.retry) {
+      return { schedule, finalDisposition: plan.status, reason: plan.reason };
+    }
+
+    callTime = toLegalSlot(plan.nextCallTime);
+  }
+
+  return { schedule, finalDisposition: null };
+};
+
+retryPolicySchema.statics.RETRY_OUTCOMES = RETRY_OUTCOMES;
+retryPolicySchema.statics.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = mongoose.model('RetryPolicy', retryPolicySchema);
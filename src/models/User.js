@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { AGENT_STATES, BREAK_REASONS } = require('./AgentStateLog');
+const { phoneSetter, isValidPhone } = require('../services/phoneNumber');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,7 +22,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Phone number is required'],
     trim: true,
-    match: [/^\+?[\d\s\-\(\)]+$/, 'Please enter a valid phone number']
+    // Stored in E.164 (see services/phoneNumber)
+    set: phoneSetter,
+    validate: [isValidPhone, 'Please enter a valid phone number']
+  },
+  // Set by the phone migration when the number was left as typed (another user has it,
+  // or it is invalid), so later runs skip the user; cleared when the number changes
+  phoneMigration: {
+    type: String,
+    enum: ['invalid', 'conflict']
   },
   password: {
     type: String,
@@ -37,13 +47,85 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Kept in step with agentState for older clients: true while working the queue
   isAvailable: {
     type: Boolean,
     default: true
   },
+  // Current agent state, changed through services/agentState
+  agentState: {
+    state: {
+      type: String,
+      enum: AGENT_STATES,
+      default: 'available'
+    },
+    reason: {
+      type: String,
+      enum: BREAK_REASONS
+    },
+    since: {
+      type: Date,
+      default: Date.now
+    },
+    callLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CallLog'
+    }
+  },
+  // Open socket connections (one per tab), leased by the worker that holds them
+  presence: {
+    sockets: [{
+      _id: false,
+      id: String,
+      worker: String,
+      connectedAt: Date,
+      seenAt: Date
+    }],
+    lastSeenAt: Date,
+    // State to return to when a salesperson taken offline by presence reconnects
+    restoreState: {
+      state: {
+        type: String,
+        enum: AGENT_STATES
+      },
+      reason: {
+        type: String,
+        enum: BREAK_REASONS
+      }
+    }
+  },
   lastLogin: {
     type: Date
   },
+  // Set after a connected call; the salesperson stays in wrap_up until endsAt
+  wrapUp: {
+    callLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CallLog'
+    },
+    startedAt: Date,
+    endsAt: Date
+  },
+  // Used to route leads to salespeople who can handle them
+  skills: {
+    languages: {
+      type: [{
+        type: String,
+        enum: ['uz', 'ru', 'en']
+      }],
+      default: ['uz']
+    },
+    courses: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    seniority: {
+      type: String,
+      enum: ['junior', 'middle', 'senior'],
+      default: 'junior'
+    }
+  },
   callStats: {
     totalCalls: { type: Number, default: 0 },
     successfulCalls: { type: Number, default: 0 },
@@ -53,6 +135,14 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// A changed phone number is normalized by its setter
+userSchema.pre('save', function(next) {
+  if (this.isModified('phone')) {
+    this.phoneMigration = undefined;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String
+  },
+  callSid: {
+    type: String
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+    // Deliveries only need to be remembered for the replay window
+    expires: 24 * 60 * 60
+  }
+});
+
+// Static method to record a delivery; resolves false when it was already seen
+webhookDeliverySchema.statics.recordDelivery = async function(data) {
+  try {
+    await this.create(data);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -1,9 +1,13 @@
+const mongoose = require('mongoose');
 const express = require('express');
 const User = require('../models/User');
 const Lead = require('../models/Lead');
 const CallLog = require('../models/CallLog');
+const AgentStateLog = require('../models/AgentStateLog');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { validateQuery } = require('../middleware/validation');
+const { getAgentStateReport } = require('../services/agentState');
+const { getLiveSockets } = require('../services/presence');
 
 const router = express.Router();
 
@@ -94,6 +98,7 @@ router.get('/dashboard', async (req, res) => {
           name: 1,
           email: 1,
           isAvailable: 1,
+          agentState: 1,
           lastLogin: 1,
           callStats: 1,
           totalCalls: '$callStats.totalCalls',
@@ -153,6 +158,7 @@ router.get('/system-status', async (req, res) => {
     const systemStatus = {
       database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
       callQueue: callQueue.getStatus(),
+      dialerLeader: await callQueue.getLeaderInfo(),
       activeConnections: require('../services/socketHandler').getConnectedUsersCount(),
       uptime: process.uptime(),
       memory: process.memoryUsage(),
@@ -192,12 +198,37 @@ router.post('/leads/bulk-action', async (req, res) => {
         );
         break;
         
-      case 'update_status':
-        result = await Lead.updateMany(
-          { _id: { $in: leadIds } },
-          { status: data.status }
-        );
+      case 'update_status': {
+        // Each lead goes through its state machine; leads that cannot move are reported back
+        const leads = await Lead.find({ _id: { $in: leadIds } });
+        const rejected = [];
+        let modifiedCount = 0;
+
+        for (const lead of leads) {
+          if (lead.status === data.status) {
+            continue;
+          }
+          if (!lead.canTransitionTo(data.status)) {
+            rejected.push({ leadId: lead._id, from: lead.status, to: data.status });
+            continue;
+          }
+
+          lead.transitionTo(data.status, { actor: req.user._id, source: 'admin', reason: 'Bulk status update' });
+          await lead.save();
+          modifiedCount += 1;
+        }
+
+        if (modifiedCount === 0 && rejected.length > 0) {
+          return res.status(409).json({
+            error: 'Invalid status transition',
+            message: `None of the leads can move to ${data.status}`,
+            rejected
+          });
+        }
+
+        result = { modifiedCount, rejected };
         break;
+      }
         
       case 'add_tags':
         result = await Lead.updateMany(
@@ -222,6 +253,7 @@ router.post('/leads/bulk-action', async (req, res) => {
     res.json({
       message: `Bulk action '${action}' completed successfully`,
       modifiedCount: result.modifiedCount,
+      rejected: result.rejected && result.rejected.length > 0 ? result.rejected : undefined,
       leadIds
     });
 
@@ -320,6 +352,130 @@ router.get('/reports/performance', validateQuery('dateRange'), async (req, res)
   }
 });
 
+// @route   GET /api/admin/reports/agent-states
+// @desc    Get time in each agent state with occupancy and utilisation (defaults to today)
+// @access  Private (Admin only)
+router.get('/reports/agent-states', validateQuery('agentStateReport'), async (req, res) => {
+  try {
+    const { startDate, endDate, userId } = req.query;
+
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? new Date(startDate) : new Date(new Date(end).setHours(0, 0, 0, 0));
+
+    const agents = await getAgentStateReport({
+      start,
+      end,
+      userIds: userId ? [new mongoose.Types.ObjectId(userId)] : null
+    });
+    agents.sort((a, b) => b.occupancy - a.occupancy);
+
+    const totals = agents.reduce((sum, agent) => ({
+      handlingTime: sum.handlingTime + agent.handlingTime,
+      staffedTime: sum.staffedTime + agent.staffedTime,
+      loggedInTime: sum.loggedInTime + agent.loggedInTime
+    }), { handlingTime: 0, staffedTime: 0, loggedInTime: 0 });
+
+    res.json({
+      range: { start, end },
+      agents,
+      totals: {
+        ...totals,
+        occupancy: totals.staffedTime > 0 ? totals.handlingTime / totals.staffedTime : 0,
+        utilisation: totals.loggedInTime > 0 ? totals.handlingTime / totals.loggedInTime : 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Agent state report error:', error);
+    res.status(500).json({
+      error: 'Error generating agent state report',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/agents
+// @desc    Get every salesperson's current agent state, time in it and open connections
+// @access  Private (Admin only)
+router.get('/agents', async (req, res) => {
+  try {
+    const salespeople = await User.find({ role: 'salesperson', isActive: true })
+      .select('name email agentState wrapUp presence')
+      .populate('agentState.callLog', 'lead to status answerTime')
+      .sort({ name: 1 });
+
+    const now = Date.now();
+    const agents = salespeople.map(user => ({
+      _id: user._id,
+      name: user.name,
+      email: user.email,
+      state: user.agentState.state,
+      reason: user.agentState.reason || null,
+      since: user.agentState.since,
+      secondsInState: Math.round((now - user.agentState.since) / 1000),
+      call: user.agentState.callLog || null,
+      wrapUpEndsAt: user.agentState.state === 'wrap_up' && user.wrapUp ? user.wrapUp.endsAt : null,
+      connections: getLiveSockets(user).length,
+      lastSeenAt: user.presence ? user.presence.lastSeenAt : null
+    }));
+
+    const counts = agents.reduce((result, agent) => {
+      result[agent.state] = (result[agent.state] || 0) + 1;
+      return result;
+    }, {});
+
+    res.json({ agents, counts });
+
+  } catch (error) {
+    console.error('Get agents error:', error);
+    res.status(500).json({
+      error: 'Error fetching agent states',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/agents/:id/state-history
+// @desc    Get an agent's state changes, newest first
+// @access  Private (Admin only)
+router.get('/agents/:id/state-history', validateQuery('agentStateHistoryQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, startDate, endDate } = req.query;
+
+    const query = { user: req.params.id };
+    if (startDate || endDate) {
+      query.startedAt = {};
+      if (startDate) query.startedAt.$gte = new Date(startDate);
+      if (endDate) query.startedAt.$lte = new Date(endDate);
+    }
+
+    const history = await AgentStateLog.find(query)
+      .populate('actor', 'name email')
+      .sort({ startedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AgentStateLog.countDocuments(query);
+
+    res.json({
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get agent state history error:', error);
+    res.status(500).json({
+      error: 'Error fetching agent state history',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/admin/system/control
 // @desc    Control system operations
 // @access  Private (Admin only)
@@ -338,12 +494,12 @@ router.post('/system/control', async (req, res) => {
 
     switch (action) {
       case 'pause_queue':
-        callQueue.pause();
+        await callQueue.pause(req.user._id);
         result = { message: 'Call queue paused', status: 'paused' };
         break;
         
       case 'resume_queue':
-        callQueue.resume();
+        await callQueue.resume(req.user._id);
         result = { message: 'Call queue resumed', status: 'running' };
         break;
         
@@ -352,11 +508,53 @@ router.post('/system/control', async (req, res) => {
         result = { message: 'Stuck leads reset completed' };
         break;
         
+      case 'set_simulator_scenario': {
+        const { callSimulator } = require('../services/telephony/callSimulator');
+        if (!req.body.scenario || !/^[\w-]+$/.test(req.body.scenario)) {
+          return res.status(400).json({
+            error: 'Valid scenario name required'
+          });
+        }
+        callSimulator.loadScenario(req.body.scenario);
+        result = {
+          message: 'Simulator scenario loaded',
+          simulator: callSimulator.getStatus()
+        };
+        break;
+      }
+        
+      case 'pause_campaign':
+      case 'resume_campaign': {
+        if (!req.body.campaignId) {
+          return res.status(400).json({
+            error: 'campaignId parameter required'
+          });
+        }
+
+        try {
+          const campaign = action === 'pause_campaign'
+            ? await callQueue.pauseCampaign(req.body.campaignId)
+            : await callQueue.resumeCampaign(req.body.campaignId);
+
+          result = {
+            message: `Campaign ${campaign.name} ${campaign.status === 'paused' ? 'paused' : 'resumed'}`,
+            campaignId: campaign._id,
+            status: campaign.status
+          };
+        } catch (error) {
+          return res.status(400).json({
+            error: error.message
+          });
+        }
+        break;
+      }
+        
       case 'get_queue_status':
         result = { 
           message: 'Queue status retrieved',
           status: callQueue.getStatus(),
-          activeCalls: callQueue.getActiveCalls()
+          activeCalls: callQueue.getActiveCalls(),
+          campaigns: await callQueue.getCampaignStatus()
         };
         break;
         
@@ -114,6 +114,7 @@ router.post('/login', validate('loginUser'), async (req, res) => {
         phone: user.phone,
         role: user.role,
         isAvailable: user.isAvailable,
+        agentState: user.agentState,
         lastLogin: user.lastLogin
       },
       token
@@ -143,6 +144,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         phone: user.phone,
         role: user.role,
         isAvailable: user.isAvailable,
+        agentState: user.agentState,
         isActive: user.isActive,
         lastLogin: user.lastLogin,
         callStats: user.callStats
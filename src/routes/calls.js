@@ -2,10 +2,23 @@ const express = require('express');
 const CallLog = require('../models/CallLog');
 const Lead = require('../models/Lead');
 const User = require('../models/User');
+const Campaign = require('../models/Campaign');
+const DncEntry = require('../models/DncEntry');
 const { authenticateToken, requireSalesperson } = require('../middleware/auth');
 const { validate, validateQuery } = require('../middleware/validation');
-const { initiateCall, handleCallStatusUpdate } = require('../services/twilioService');
-const { emitCallUpdate } = require('../services/socketHandler');
+const { verifyWebhook, verifyCallFlowWebhook } = require('../middleware/webhookAuth');
+const {
+  initiateCall,
+  parseStatusWebhook,
+  parseAnswerWebhook,
+  parseRecordingWebhook,
+  buildCallFlow,
+  getCallerId
+} = require('../services/twilioService');
+const { emitCallUpdate, emitToUser } = require('../services/socketHandler');
+const { applyCallStatus } = require('../services/callLifecycle');
+const { sendTransitionError } = require('../services/stateMachine');
+const { setAgentState } = require('../services/agentState');
 
 const router = express.Router();
 
@@ -34,6 +47,16 @@ router.post('/initiate',
         });
       }
 
+      // Refuse numbers on the Do-Not-Call registry
+      const dncEntry = await DncEntry.findActive(lead.phone);
+      if (dncEntry) {
+        return res.status(403).json({
+          error: 'Number is on the Do-Not-Call list',
+          reason: dncEntry.reason,
+          expiresAt: dncEntry.expiresAt
+        });
+      }
+
       if (lead.status === 'calling') {
         return res.status(400).json({
           error: 'Call already in progress for this lead'
@@ -42,20 +65,22 @@ router.post('/initiate',
 
       // Find available salesperson
       let salesperson;
+      let routing;
       if (salespersonId) {
         salesperson = await User.findById(salespersonId);
-        if (!salesperson || !salesperson.isAvailable || salesperson.role !== 'salesperson') {
+        if (!salesperson || salesperson.agentState.state !== 'available' || salesperson.role !== 'salesperson') {
           return res.status(400).json({
             error: 'Specified salesperson is not available'
           });
         }
+        routing = { strategy: 'manual', reason: `Chosen by ${req.user.name}` };
       } else {
-        // Find first available salesperson
-        salesperson = await User.findOne({
-          role: 'salesperson',
-          isAvailable: true,
-          isActive: true
-        });
+        // Route to an available salesperson with the campaign's strategy
+        const { callQueue } = require('../services/callQueue');
+        const campaign = lead.campaign ? await Campaign.findById(lead.campaign) : null;
+        const decision = await callQueue.routeLead(campaign, lead);
+        salesperson = decision && decision.salesperson;
+        routing = decision && decision.routing;
 
         if (!salesperson) {
           return res.status(400).json({
@@ -65,7 +90,7 @@ router.post('/initiate',
       }
 
       // Update lead status
-      lead.status = 'calling';
+      lead.transitionTo('calling', { actor: req.user._id, source: 'manual' });
       lead.assignedTo = salesperson._id;
       await lead.save();
 
@@ -73,19 +98,23 @@ router.post('/initiate',
       const callLog = new CallLog({
         lead: lead._id,
         salesperson: salesperson._id,
-        from: process.env.TWILIO_PHONE_NUMBER,
+        campaign: lead.campaign,
+        from: getCallerId(),
         to: lead.phone,
-        status: 'initiated'
+        status: 'initiated',
+        routing
       });
 
       await callLog.save();
+      await setAgentState(salesperson._id, 'ringing', { callLog, source: 'manual', actor: req.user._id });
 
-      // Initiate call via Twilio
+      // Initiate call via the telephony provider
       const callResult = await initiateCall(lead.phone, salesperson.phone, callLog._id);
 
       if (callResult.success) {
-        // Update call log with Twilio call SID
+        // Update call log with provider call SID
         callLog.twilioCallSid = callResult.callSid;
+        callLog.provider = callResult.provider;
         await callLog.save();
 
         // Emit real-time update
@@ -108,14 +137,15 @@ router.post('/initiate',
         });
       } else {
         // Revert lead status on failure
-        lead.status = 'pending';
+        lead.transitionTo('pending', { actor: req.user._id, source: 'manual', reason: callResult.error });
         lead.assignedTo = undefined;
         await lead.save();
 
         // Update call log
-        callLog.status = 'failed';
+        callLog.transitionTo('failed', { actor: req.user._id, source: 'manual', reason: callResult.error });
         callLog.errorMessage = callResult.error;
         await callLog.save();
+        await setAgentState(salesperson._id, 'available', { source: 'manual', from: ['ringing'] });
 
         res.status(500).json({
           error: 'Failed to initiate call',
@@ -124,6 +154,9 @@ router.post('/initiate',
       }
 
     } catch (error) {
+      if (sendTransitionError(res, error)) {
+        return;
+      }
       console.error('Initiate call error:', error);
       res.status(500).json({
         error: 'Error initiating call',
@@ -134,23 +167,23 @@ router.post('/initiate',
 );
 
 // @route   POST /api/calls/webhook/status
-// @desc    Twilio webhook for call status updates
-// @access  Public (Twilio webhook)
-router.post('/webhook/status', async (req, res) => {
+// @desc    Telephony provider webhook for call status updates
+// @access  Public (signed provider webhook)
+router.post('/webhook/status', verifyWebhook, async (req, res) => {
   try {
-    const { CallSid, CallStatus, CallDuration, From, To } = req.body;
+    const { callSid, status, duration } = parseStatusWebhook(req.body);
 
-    // Find call log by Twilio call SID
-    const callLog = await CallLog.findOne({ twilioCallSid: CallSid });
+    // Find call log by provider call SID
+    const callLog = await CallLog.findOne({ twilioCallSid: callSid });
     if (!callLog) {
-      console.error('Call log not found for Twilio SID:', CallSid);
+      console.error('Call log not found for call SID:', callSid);
       return res.status(404).send('Call log not found');
     }
 
     // Update call status
-    await handleCallStatusUpdate(callLog, CallStatus, CallDuration);
+    await applyCallStatus(callLog, status, { duration, source: 'provider' });
 
-    // Send Twilio response
+    // Send provider response
     res.status(200).send('OK');
 
   } catch (error) {
@@ -160,50 +193,153 @@ router.post('/webhook/status', async (req, res) => {
 });
 
 // @route   POST /api/calls/webhook/answer
-// @desc    Twilio webhook for when call is answered
-// @access  Public (Twilio webhook)
-router.post('/webhook/answer', async (req, res) => {
+// @desc    Telephony provider webhook for when call is answered
+// @access  Public (signed provider webhook)
+router.post('/webhook/answer', verifyCallFlowWebhook, async (req, res) => {
   try {
-    const { CallSid, From, To } = req.body;
+    const { callSid } = parseAnswerWebhook(req.body);
 
-    // Find call log by Twilio call SID
-    const callLog = await CallLog.findOne({ twilioCallSid: CallSid });
+    // Find call log by provider call SID
+    const callLog = await CallLog.findOne({ twilioCallSid: callSid });
     if (!callLog) {
-      console.error('Call log not found for Twilio SID:', CallSid);
+      console.error('Call log not found for call SID:', callSid);
       return res.status(404).send('Call log not found');
     }
 
-    // Update call status to answered
-    await callLog.updateStatus('answered');
+    // A retried delivery only gets the call flow again, to the salesperson already given the call
+    const isRetry = Boolean(req.duplicateDelivery);
+
+    // Update call and lead status to answered
+    if (!isRetry) {
+      await applyCallStatus(callLog, 'answered', { source: 'provider' });
+    }
 
-    // Update lead status
     const lead = await Lead.findById(callLog.lead);
-    if (lead) {
-      lead.status = 'answered';
-      await lead.save();
+    const campaign = callLog.campaign ? await Campaign.findById(callLog.campaign) : null;
+
+    // Predictive calls are dialed without a salesperson; give the call to whoever is free now
+    let salesperson = callLog.salesperson ? await User.findById(callLog.salesperson) : null;
+    if (!callLog.salesperson && !isRetry) {
+      const { callQueue } = require('../services/callQueue');
+      salesperson = await callQueue.assignAnsweredCall(callLog, lead, campaign);
+    }
+
+    // Emit real-time update
+    if (!isRetry) {
+      emitCallUpdate('call_answered', {
+        leadId: callLog.lead,
+        salespersonId: callLog.salesperson,
+        callId: callLog._id,
+        status: 'answered'
+      });
+    }
+
+    // Return call flow to transfer call to salesperson, after the campaign greeting if there is one
+    // (without a salesperson the caller hears that nobody can take the call)
+    const callFlow = buildCallFlow('transfer', {
+      targetPhone: salesperson && salesperson.phone,
+      greeting: campaign && campaign.greetingScript
+    });
+
+    res.type(callFlow.contentType);
+    res.send(callFlow.body);
+
+  } catch (error) {
+    console.error('Webhook answer error:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// @route   POST /api/calls/webhook/recording
+// @desc    Telephony provider webhook for finished call recordings
+// @access  Public (signed provider webhook)
+router.post('/webhook/recording', verifyWebhook, async (req, res) => {
+  try {
+    const recording = parseRecordingWebhook(req.body);
+
+    // Find call log by provider call SID
+    const callLog = await CallLog.findOne({ twilioCallSid: recording.callSid });
+    if (!callLog) {
+      console.error('Call log not found for call SID:', recording.callSid);
+      return res.status(404).send('Call log not found');
+    }
+
+    if (recording.recordingStatus !== 'completed') {
+      console.warn(`Recording ${recording.recordingSid} for call ${callLog._id} ended with status: ${recording.recordingStatus}`);
+      return res.status(200).send('OK');
     }
 
+    await callLog.attachRecording(recording);
+
     // Emit real-time update
-    emitCallUpdate('call_answered', {
+    emitCallUpdate('call_recording_available', {
+      callId: callLog._id,
       leadId: callLog.lead,
       salespersonId: callLog.salesperson,
-      callId: callLog._id,
-      status: 'answered'
+      recordingDuration: recording.recordingDuration
     });
 
-    // Return TwiML to transfer call to salesperson
-    const salesperson = await User.findById(callLog.salesperson);
-    const twiml = `<?xml version="1.0" encoding="UTF-8"?>
-<Response>
-  <Say>Connecting you to our sales representative.</Say>
-  <Dial>${salesperson.phone}</Dial>
-</Response>`;
+    console.log(`Recording ${recording.recordingSid} stored for call ${callLog._id}`);
 
-    res.type('text/xml');
-    res.send(twiml);
+    res.status(200).send('OK');
 
   } catch (error) {
-    console.error('Webhook answer error:', error);
+    console.error('Webhook recording error:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// @route   POST /api/calls/webhook/voicemail
+// @desc    Telephony provider webhook for voicemails left by leads
+// @access  Public (signed provider webhook)
+router.post('/webhook/voicemail', verifyCallFlowWebhook, async (req, res) => {
+  try {
+    const voicemail = parseRecordingWebhook(req.body);
+
+    // A retried delivery was stored already; just end the call again
+    if (req.duplicateDelivery) {
+      const callFlow = buildCallFlow('goodbye');
+      res.type(callFlow.contentType);
+      return res.send(callFlow.body);
+    }
+
+    // Find call log by provider call SID
+    const callLog = await CallLog.findOne({ twilioCallSid: voicemail.callSid });
+    if (!callLog) {
+      console.error('Call log not found for call SID:', voicemail.callSid);
+      return res.status(404).send('Call log not found');
+    }
+
+    await callLog.attachVoicemail(voicemail);
+
+    // Attach voicemail to the lead's history
+    const lead = await Lead.findById(callLog.lead);
+    if (lead) {
+      await lead.addVoicemail(voicemail.recordingUrl, voicemail.recordingDuration);
+    }
+
+    // Let the assigned salesperson know they should call back
+    const salespersonId = (lead && lead.assignedTo) || callLog.salesperson;
+    if (salespersonId) {
+      emitToUser(salespersonId, 'voicemail_received', {
+        callId: callLog._id,
+        leadId: callLog.lead,
+        phone: lead ? lead.phone : callLog.to,
+        name: lead ? lead.name : undefined,
+        recordingUrl: voicemail.recordingUrl,
+        recordingDuration: voicemail.recordingDuration
+      });
+    }
+
+    console.log(`Voicemail ${voicemail.recordingSid} stored for call ${callLog._id}`);
+
+    // End the call politely
+    const callFlow = buildCallFlow('goodbye');
+    res.type(callFlow.contentType);
+    res.send(callFlow.body);
+
+  } catch (error) {
+    console.error('Webhook voicemail error:', error);
     res.status(500).send('Internal server error');
   }
 });
@@ -214,7 +350,7 @@ router.post('/webhook/answer', async (req, res) => {
 router.get('/', 
   authenticateToken, 
   requireSalesperson,
-  validateQuery('pagination'),
+  validateQuery('callQuery'),
   async (req, res) => {
     try {
       const { page = 1, limit = 20, status, salespersonId, leadId } = req.query;
@@ -306,36 +442,27 @@ router.put('/:id/status',
         });
       }
 
-      // Update call status
-      await call.updateStatus(status, { duration, notes, errorCode, errorMessage });
-
-      // Update lead status if needed
-      if (status === 'answered' || status === 'completed') {
-        const lead = await Lead.findById(call.lead);
-        if (lead) {
-          if (status === 'answered') {
-            lead.status = 'answered';
-          } else if (status === 'completed') {
-            lead.status = 'transferred';
-          }
-          await lead.save();
-        }
-      }
-
-      // Emit real-time update
-      emitCallUpdate('call_status_updated', {
-        callId: call._id,
-        status: status,
-        leadId: call.lead,
-        salespersonId: call.salesperson
+      // Update the call, its lead, the salesperson's stats and the queue together
+      const { changed } = await applyCallStatus(call, status, {
+        duration,
+        notes,
+        errorCode,
+        errorMessage,
+        source: 'manual',
+        actor: req.user._id,
+        strict: true
       });
 
       res.json({
-        message: 'Call status updated successfully',
+        message: changed ? 'Call status updated successfully' : 'Call status unchanged',
+        statusChanged: changed,
         call
       });
 
     } catch (error) {
+      if (sendTransitionError(res, error)) {
+        return;
+      }
       console.error('Update call status error:', error);
       res.status(500).json({
         error: 'Error updating call status',
@@ -0,0 +1,251 @@
+const express = require('express');
+const Campaign = require('../models/Campaign');
+const Lead = require('../models/Lead');
+const CallLog = require('../models/CallLog');
+const QueueEntry = require('../models/QueueEntry');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+const { listStrategies } = require('../services/routing');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/campaigns
+// @desc    Get all campaigns with pagination
+// @access  Private (Admin only)
+router.get('/', validateQuery('campaignQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const campaigns = await Campaign.find(query)
+      .populate('salespeople', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Campaign.countDocuments(query);
+
+    res.json({
+      campaigns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaigns error:', error);
+    res.status(500).json({
+      error: 'Error fetching campaigns',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/campaigns/routing-strategies
+// @desc    Get the available routing strategies
+// @access  Private (Admin only)
+router.get('/routing-strategies', (req, res) => {
+  res.json({ strategies: listStrategies() });
+});
+
+// @route   POST /api/campaigns
+// @desc    Create a campaign and assign its leads
+// @access  Private (Admin only)
+router.post('/', validate('createCampaign'), async (req, res) => {
+  try {
+    const campaign = new Campaign({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await campaign.save();
+
+    const assignedLeads = await campaign.assignLeads();
+
+    res.status(201).json({
+      message: 'Campaign created successfully',
+      campaign,
+      assignedLeads
+    });
+
+  } catch (error) {
+    console.error('Create campaign error:', error);
+    res.status(500).json({
+      error: 'Error creating campaign',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/campaigns/:id
+// @desc    Get campaign by ID with its statistics
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id)
+      .populate('salespeople', 'name email isAvailable');
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found'
+      });
+    }
+
+    const [leadStats, callStats, activeCalls, queued] = await Promise.all([
+      Lead.aggregate([
+        { $match: { campaign: campaign._id, isActive: true } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      CallLog.getCallStats({ campaign: campaign._id }),
+      QueueEntry.countDocuments({ campaign: campaign._id, state: 'leased' }),
+      QueueEntry.countDocuments({ campaign: campaign._id, state: 'queued' })
+    ]);
+
+    res.json({
+      campaign,
+      stats: {
+        leadsByStatus: leadStats,
+        calls: callStats[0] || {
+          totalCalls: 0,
+          answeredCalls: 0,
+          completedCalls: 0,
+          totalDuration: 0,
+          averageDuration: 0,
+          totalCost: 0
+        },
+        activeCalls,
+        queued
+      }
+    });
+
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({
+      error: 'Error fetching campaign',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/campaigns/:id
+// @desc    Update campaign
+// @access  Private (Admin only)
+router.put('/:id', validate('updateCampaign'), async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found'
+      });
+    }
+
+    // Update fields (nested objects such as callingHours are merged)
+    Object.keys(req.body).forEach(key => {
+      if (campaign.schema.pathType(key) === 'nested') {
+        campaign.set(key, { ...campaign.toObject()[key], ...req.body[key] });
+      } else if (campaign.schema.paths[key]) {
+        campaign[key] = req.body[key];
+      }
+    });
+
+    await campaign.save();
+
+    // Pick up leads matching a changed filter or list
+    let assignedLeads = 0;
+    if (req.body.leadFilter || req.body.leadIds) {
+      assignedLeads = await campaign.assignLeads();
+    }
+
+    res.json({
+      message: 'Campaign updated successfully',
+      campaign,
+      assignedLeads
+    });
+
+  } catch (error) {
+    console.error('Update campaign error:', error);
+    res.status(500).json({
+      error: 'Error updating campaign',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/campaigns/:id/assign-leads
+// @desc    Assign leads matching the campaign filter or list (e.g. after a new import)
+// @access  Private (Admin only)
+router.post('/:id/assign-leads', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found'
+      });
+    }
+
+    const assignedLeads = await campaign.assignLeads();
+
+    res.json({
+      message: 'Leads assigned successfully',
+      assignedLeads
+    });
+
+  } catch (error) {
+    console.error('Assign campaign leads error:', error);
+    res.status(500).json({
+      error: 'Error assigning leads',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/campaigns/:id
+// @desc    End campaign and release its leads back to the default pool
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found'
+      });
+    }
+
+    campaign.status = 'completed';
+    await campaign.save();
+
+    // Drop queued (not yet dialed) entries and release the campaign's leads
+    await QueueEntry.deleteMany({ campaign: campaign._id, state: 'queued' });
+    const result = await Lead.updateMany(
+      { campaign: campaign._id, status: 'pending' },
+      { $unset: { campaign: 1 } }
+    );
+
+    res.json({
+      message: 'Campaign ended successfully',
+      releasedLeads: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({
+      error: 'Error ending campaign',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const CustomField = require('../models/CustomField');
+const Lead = require('../models/Lead');
+const ImportMapping = require('../models/ImportMapping');
+const { authenticateToken, requireAdmin, requireSalesperson } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Rules that only apply to some types are dropped from the others
+const RULES_BY_TYPE = {
+  text: ['min', 'max', 'pattern'],
+  number: ['min', 'max'],
+  date: ['minDate', 'maxDate'],
+  enum: ['options'],
+  multiselect: ['options', 'min', 'max'],
+  boolean: []
+};
+const TYPED_RULES = ['options', 'min', 'max', 'minDate', 'maxDate', 'pattern'];
+
+const applyFields = (field, body) => {
+  Object.keys(body).forEach(key => {
+    if (TYPED_RULES.includes(key) && !RULES_BY_TYPE[field.type].includes(key)) {
+      return;
+    }
+    field[key] = body[key] === '' || body[key] === null ? undefined : body[key];
+  });
+};
+
+// @route   GET /api/custom-fields
+// @desc    Get custom lead fields (includeInactive=true for all, admins only)
+// @access  Private (Admin/Salesperson)
+router.get('/', authenticateToken, requireSalesperson, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    const fields = includeInactive
+      ? await CustomField.find().sort({ isActive: -1, sortOrder: 1, label: 1 })
+      : await CustomField.getActive();
+
+    res.json({
+      fields,
+      types: CustomField.CUSTOM_FIELD_TYPES
+    });
+
+  } catch (error) {
+    console.error('Get custom fields error:', error);
+    res.status(500).json({
+      error: 'Error fetching custom fields',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/custom-fields
+// @desc    Create custom lead field
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, validate('createCustomField'), async (req, res) => {
+  try {
+    const key = req.body.key.toLowerCase();
+
+    // The key is also an import and export column, so it cannot be a lead field's name
+    if (Lead.schema.path(key) || Lead.schema.pathType(key) === 'nested' || ImportMapping.IMPORT_FIELDS.includes(key)) {
+      return res.status(400).json({
+        error: 'This key is taken by a built-in lead field'
+      });
+    }
+
+    const existing = await CustomField.findOne({ key });
+    if (existing) {
+      return res.status(400).json({
+        error: 'A custom field with this key already exists'
+      });
+    }
+
+    const field = new CustomField({
+      key,
+      type: req.body.type,
+      createdBy: req.user._id
+    });
+    applyFields(field, req.body);
+
+    await field.save();
+
+    res.status(201).json({
+      message: 'Custom field created successfully',
+      field
+    });
+
+  } catch (error) {
+    console.error('Create custom field error:', error);
+    res.status(500).json({
+      error: 'Error creating custom field',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/custom-fields/:id
+// @desc    Update custom lead field (values already stored are not checked again)
+// @access  Private (Admin only)
+router.put('/:id', authenticateToken, requireAdmin, validate('updateCustomField'), async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Custom field not found'
+      });
+    }
+
+    applyFields(field, req.body);
+
+    await field.save();
+
+    res.json({
+      message: 'Custom field updated successfully',
+      field
+    });
+
+  } catch (error) {
+    console.error('Update custom field error:', error);
+    res.status(500).json({
+      error: 'Error updating custom field',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/custom-fields/:id
+// @desc    Deactivate custom lead field
+// @access  Private (Admin only)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+
+    if (!field) {
+      return res.status(404).json({
+        error: 'Custom field not found'
+      });
+    }
+
+    // Soft delete; leads keep their values and get them back if it is reactivated
+    field.isActive = false;
+    await field.save();
+
+    res.json({
+      message: 'Custom field deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete custom field error:', error);
+    res.status(500).json({
+      error: 'Error deleting custom field',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const Disposition = require('../models/Disposition');
+const CallLog = require('../models/CallLog');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/dispositions
+// @desc    Get all dispositions, including inactive ones
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const dispositions = await Disposition.find().sort({ isActive: -1, sortOrder: 1, label: 1 });
+
+    res.json({ dispositions });
+
+  } catch (error) {
+    console.error('Get dispositions error:', error);
+    res.status(500).json({
+      error: 'Error fetching dispositions',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/dispositions
+// @desc    Create disposition
+// @access  Private (Admin only)
+router.post('/', validate('createDisposition'), async (req, res) => {
+  try {
+    const existing = await Disposition.findOne({ code: req.body.code.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        error: 'A disposition with this code already exists'
+      });
+    }
+
+    const disposition = new Disposition({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await disposition.save();
+
+    res.status(201).json({
+      message: 'Disposition created successfully',
+      disposition
+    });
+
+  } catch (error) {
+    console.error('Create disposition error:', error);
+    res.status(500).json({
+      error: 'Error creating disposition',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/dispositions/stats
+// @desc    Get how often each disposition was chosen
+// @access  Private (Admin only)
+router.get('/stats', validateQuery('dateRange'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const matchStage = { 'disposition.code': { $exists: true } };
+    if (startDate || endDate) {
+      matchStage['disposition.submittedAt'] = {};
+      if (startDate) matchStage['disposition.submittedAt'].$gte = new Date(startDate);
+      if (endDate) matchStage['disposition.submittedAt'].$lte = new Date(endDate);
+    }
+
+    const stats = await CallLog.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: '$disposition.code',
+          label: { $last: '$disposition.label' },
+          count: { $sum: 1 },
+          averageWrapUp: {
+            $avg: {
+              $cond: [
+                { $and: [{ $ifNull: ['$wrapUp.startedAt', false] }, { $ifNull: ['$wrapUp.endedAt', false] }] },
+                { $divide: [{ $subtract: ['$wrapUp.endedAt', '$wrapUp.startedAt'] }, 1000] },
+                null
+              ]
+            }
+          }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+
+    res.json({ stats });
+
+  } catch (error) {
+    console.error('Disposition stats error:', error);
+    res.status(500).json({
+      error: 'Error fetching disposition statistics',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/dispositions/:id
+// @desc    Update disposition
+// @access  Private (Admin only)
+router.put('/:id', validate('updateDisposition'), async (req, res) => {
+  try {
+    const disposition = await Disposition.findById(req.params.id);
+
+    if (!disposition) {
+      return res.status(404).json({
+        error: 'Disposition not found'
+      });
+    }
+
+    Object.keys(req.body).forEach(key => {
+      disposition[key] = req.body[key] === '' || req.body[key] === null ? undefined : req.body[key];
+    });
+
+    await disposition.save();
+
+    res.json({
+      message: 'Disposition updated successfully',
+      disposition
+    });
+
+  } catch (error) {
+    console.error('Update disposition error:', error);
+    res.status(500).json({
+      error: 'Error updating disposition',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/dispositions/:id
+// @desc    Deactivate disposition
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const disposition = await Disposition.findById(req.params.id);
+
+    if (!disposition) {
+      return res.status(404).json({
+        error: 'Disposition not found'
+      });
+    }
+
+    // Soft delete; calls that used it keep their disposition
+    disposition.isActive = false;
+    await disposition.save();
+
+    res.json({
+      message: 'Disposition deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete disposition error:', error);
+    res.status(500).json({
+      error: 'Error deleting disposition',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const DncEntry = require('../models/DncEntry');
+const { inspectFile, readRows, findHeader } = require('../services/importFile');
+const { normalizePhone, isValidPhone } = require('../services/phoneNumber');
+const { authenticateToken, requireAdmin, requireSalesperson } = require('../middleware/auth');
+const { validate, validateQuery, validateFileUpload } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = process.env.UPLOAD_PATH || './uploads';
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'dnc-' + uniqueSuffix + path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, ''));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  }
+});
+
+// @route   GET /api/dnc
+// @desc    Get Do-Not-Call entries with pagination
+// @access  Private (Admin only)
+router.get('/', authenticateToken, requireAdmin, validateQuery('dncQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, reason, includeExpired } = req.query;
+
+    const query = {};
+    if (reason) query.reason = reason;
+    if (search) query.phone = { $regex: search.replace(/\D/g, '') };
+    if (includeExpired !== 'true') {
+      query.$or = [
+        { expiresAt: null },
+        { expiresAt: { $gt: new Date() } }
+      ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await DncEntry.find(query)
+      .populate('addedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DncEntry.countDocuments(query);
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get DNC entries error:', error);
+    res.status(500).json({
+      error: 'Error fetching Do-Not-Call entries',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/dnc/check/:phone
+// @desc    Check whether a number is on the Do-Not-Call list
+// @access  Private (Salesperson/Admin)
+router.get('/check/:phone', authenticateToken, requireSalesperson, async (req, res) => {
+  try {
+    const entry = await DncEntry.findActive(req.params.phone);
+
+    res.json({
+      phone: normalizePhone(req.params.phone),
+      blocked: Boolean(entry),
+      reason: entry ? entry.reason : undefined,
+      expiresAt: entry ? entry.expiresAt : undefined
+    });
+
+  } catch (error) {
+    console.error('Check DNC error:', error);
+    res.status(500).json({
+      error: 'Error checking Do-Not-Call list',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/dnc
+// @desc    Add a number to the Do-Not-Call list
+// @access  Private (Admin only)
+router.post('/', authenticateToken, requireAdmin, validate('addDnc'), async (req, res) => {
+  try {
+    const { phone, reason, notes, expiresAt } = req.body;
+
+    const entry = await DncEntry.addNumber(phone, {
+      reason,
+      notes,
+      expiresAt,
+      source: 'manual',
+      addedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Number added to Do-Not-Call list',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Add DNC entry error:', error);
+    res.status(500).json({
+      error: 'Error adding number to Do-Not-Call list',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/dnc/upload-csv
+// @desc    Import Do-Not-Call numbers from CSV, Excel or JSON (phone, reason, notes, expiresAt)
+// @access  Private (Admin only)
+router.post('/upload-csv',
+  authenticateToken,
+  requireAdmin,
+  upload.single('csvFile'),
+  validateFileUpload,
+  async (req, res) => {
+    const filePath = req.file.path;
+    const rows = [];
+    const errors = [];
+
+    try {
+      const reading = await inspectFile({
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        path: filePath
+      });
+
+      let headers = null;
+      for await (const data of readRows(filePath, reading)) {
+        if (!headers) {
+          const names = Object.keys(data);
+          headers = Object.fromEntries(['phone', 'reason', 'notes', 'expiresAt'].map(field => [field, findHeader(names, field)]));
+        }
+        const value = (field) => (headers[field] ? String(data[headers[field]] || '').trim() : '');
+
+        const phone = value('phone');
+        if (!isValidPhone(phone)) {
+          errors.push(`Invalid phone number: ${phone}`);
+          continue;
+        }
+
+        const reason = value('reason').toLowerCase() || 'customer_request';
+        if (!DncEntry.DNC_REASONS.includes(reason)) {
+          errors.push(`Invalid reason for ${phone}: ${reason}`);
+          continue;
+        }
+
+        const expiresAt = value('expiresAt') ? new Date(value('expiresAt')) : null;
+        if (expiresAt && isNaN(expiresAt.getTime())) {
+          errors.push(`Invalid expiry date for ${phone}: ${value('expiresAt')}`);
+          continue;
+        }
+
+        rows.push({ phone, reason, notes: value('notes') || undefined, expiresAt });
+      }
+
+      let importedCount = 0;
+
+      for (const row of rows) {
+        try {
+          await DncEntry.addNumber(row.phone, {
+            ...row,
+            source: 'csv_import',
+            addedBy: req.user._id
+          });
+          importedCount++;
+        } catch (error) {
+          errors.push(`Error saving ${row.phone}: ${error.message}`);
+        }
+      }
+
+      res.json({
+        message: 'Do-Not-Call import completed',
+        summary: {
+          totalProcessed: rows.length,
+          importedCount,
+          errorCount: errors.length
+        },
+        errors: errors.length > 0 ? errors : undefined
+      });
+
+    } catch (error) {
+      console.error('DNC import error:', error);
+      res.status(500).json({
+        error: 'Error processing import file',
+        message: error.message
+      });
+    } finally {
+      // Clean up uploaded file
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+);
+
+// @route   DELETE /api/dnc/:phone
+// @desc    Remove a number from the Do-Not-Call list
+// @access  Private (Admin only)
+router.delete('/:phone', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const removed = await DncEntry.removeNumber(req.params.phone);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Number is not on the Do-Not-Call list'
+      });
+    }
+
+    res.json({
+      message: 'Number removed from Do-Not-Call list'
+    });
+
+  } catch (error) {
+    console.error('Remove DNC entry error:', error);
+    res.status(500).json({
+      error: 'Error removing number from Do-Not-Call list',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const Lead = require('../models/Lead');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const LeadMerge = require('../models/LeadMerge');
+const {
+  scanForDuplicates,
+  pickSurvivor,
+  mergeLeads,
+  undoMerge
+} = require('../services/leadDedup');
+const { InvalidTransitionError, sendTransitionError } = require('../services/stateMachine');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+const LEAD_SUMMARY = 'phone name email status priority callAttempts tags isActive createdAt';
+
+const sendNotMergeable = (res) => res.status(409).json({
+  error: 'Leads cannot be merged while one of them is on a call or already merged'
+});
+
+// @route   GET /api/duplicates
+// @desc    Get the duplicate review queue (pending pairs by default, best matches first)
+// @access  Private (Admin only)
+router.get('/', validateQuery('duplicateQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', matchedOn, leadId } = req.query;
+
+    const query = { status };
+    if (matchedOn) query.matchedOn = matchedOn;
+    if (leadId) query.leads = leadId;
+
+    const skip = (page - 1) * limit;
+
+    const candidates = await DuplicateCandidate.find(query)
+      .populate('leads', LEAD_SUMMARY)
+      .populate('reviewedBy', 'name email')
+      .sort({ score: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DuplicateCandidate.countDocuments(query);
+
+    res.json({
+      candidates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get duplicates error:', error);
+    res.status(500).json({
+      error: 'Error fetching duplicate leads',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/duplicates/scan
+// @desc    Look through all active leads for duplicates and queue the new pairs
+// @access  Private (Admin only)
+router.post('/scan', async (req, res) => {
+  try {
+    const result = await scanForDuplicates();
+
+    if (!result) {
+      return res.status(409).json({
+        error: 'A duplicate scan is already running'
+      });
+    }
+
+    res.json({
+      message: 'Duplicate scan completed',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Duplicate scan error:', error);
+    res.status(500).json({
+      error: 'Error scanning for duplicate leads',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/duplicates/merges
+// @desc    Get lead merge history
+// @access  Private (Admin only)
+router.get('/merges', validateQuery('mergeQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, leadId, status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (leadId) query.$or = [{ survivor: leadId }, { merged: leadId }];
+
+    const skip = (page - 1) * limit;
+
+    const merges = await LeadMerge.find(query)
+      .populate('survivor', 'phone name')
+      .populate('merged', 'phone name')
+      .populate('mergedBy', 'name email')
+      .populate('undoneBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LeadMerge.countDocuments(query);
+
+    res.json({
+      merges,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lead merges error:', error);
+    res.status(500).json({
+      error: 'Error fetching lead merges',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/duplicates/merge
+// @desc    Merge any lead into another (survivorId keeps, mergedId is deactivated)
+// @access  Private (Admin only)
+router.post('/merge', validate('mergeLeads'), async (req, res) => {
+  try {
+    const { survivorId, mergedId } = req.body;
+
+    const count = await Lead.countDocuments({ _id: { $in: [survivorId, mergedId] } });
+    if (count < 2) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    const merge = await mergeLeads(survivorId, mergedId, { actor: req.user._id });
+    if (!merge) {
+      return sendNotMergeable(res);
+    }
+
+    res.json({
+      message: 'Leads merged successfully',
+      merge,
+      survivor: await Lead.findById(survivorId)
+    });
+
+  } catch (error) {
+    console.error('Merge leads error:', error);
+    res.status(500).json({
+      error: 'Error merging leads',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/duplicates/merges/:id/undo
+// @desc    Undo a lead merge (survivor fields edited since are kept)
+// @access  Private (Admin only)
+router.post('/merges/:id/undo', async (req, res) => {
+  try {
+    const merge = await undoMerge(req.params.id, req.user._id);
+
+    if (!merge) {
+      return res.status(404).json({
+        error: 'Lead merge not found'
+      });
+    }
+
+    res.json({
+      message: merge.undoConflicts.length > 0
+        ? `Merge undone; fields edited since the merge were kept: ${merge.undoConflicts.join(', ')}`
+        : 'Merge undone successfully',
+      merge
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Undo lead merge error:', error);
+    res.status(500).json({
+      error: 'Error undoing lead merge',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/duplicates/:id/merge
+// @desc    Merge a queued pair (survivorId picks the lead to keep)
+// @access  Private (Admin only)
+router.post('/:id/merge', validate('mergeCandidate'), async (req, res) => {
+  try {
+    const candidate = await DuplicateCandidate.findById(req.params.id);
+
+    if (!candidate) {
+      return res.status(404).json({
+        error: 'Duplicate candidate not found'
+      });
+    }
+    if (candidate.status !== 'pending') {
+      throw new InvalidTransitionError('duplicate candidate', candidate.status, 'merged');
+    }
+
+    const { survivorId } = req.body;
+    if (survivorId && !candidate.leads.some(id => id.equals(survivorId))) {
+      return res.status(400).json({
+        error: 'The survivor must be one of the pair'
+      });
+    }
+
+    const leads = await Lead.find({ _id: { $in: candidate.leads } });
+    if (leads.length < 2) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    const survivor = survivorId
+      ? leads.find(lead => lead._id.equals(survivorId))
+      : pickSurvivor(leads[0], leads[1]);
+    const merged = leads.find(lead => !lead._id.equals(survivor._id));
+
+    const merge = await mergeLeads(survivor._id, merged._id, { actor: req.user._id, candidate });
+    if (!merge) {
+      return sendNotMergeable(res);
+    }
+
+    res.json({
+      message: 'Leads merged successfully',
+      merge,
+      survivor: await Lead.findById(survivor._id)
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Merge duplicate error:', error);
+    res.status(500).json({
+      error: 'Error merging duplicate leads',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/duplicates/:id/dismiss
+// @desc    Dismiss a queued pair as not duplicates (it is not suggested again)
+// @access  Private (Admin only)
+router.post('/:id/dismiss', async (req, res) => {
+  try {
+    const candidate = await DuplicateCandidate.findById(req.params.id);
+
+    if (!candidate) {
+      return res.status(404).json({
+        error: 'Duplicate candidate not found'
+      });
+    }
+    if (candidate.status !== 'pending') {
+      throw new InvalidTransitionError('duplicate candidate', candidate.status, 'dismissed');
+    }
+
+    candidate.status = 'dismissed';
+    candidate.reviewedBy = req.user._id;
+    candidate.reviewedAt = new Date();
+    await candidate.save();
+
+    res.json({
+      message: 'Duplicate candidate dismissed',
+      candidate
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Dismiss duplicate error:', error);
+    res.status(500).json({
+      error: 'Error dismissing duplicate candidate',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
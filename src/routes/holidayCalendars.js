@@ -0,0 +1,167 @@
+const express = require('express');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const Campaign = require('../models/Campaign');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { clearCalendarCache } = require('../services/callingHours');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// Only one calendar can be the default
+const clearOtherDefaults = (calendar) => HolidayCalendar.updateMany(
+  { _id: { $ne: calendar._id }, isDefault: true },
+  { $set: { isDefault: false } }
+);
+
+// @route   GET /api/holiday-calendars
+// @desc    Get all holiday calendars
+// @access  Private (Admin only)
+router.get('/', async (req, res) => {
+  try {
+    const calendars = await HolidayCalendar.find().sort({ isDefault: -1, name: 1 });
+
+    res.json({ calendars });
+
+  } catch (error) {
+    console.error('Get holiday calendars error:', error);
+    res.status(500).json({
+      error: 'Error fetching holiday calendars',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/holiday-calendars
+// @desc    Create holiday calendar (preset "uz" adds the Uzbekistan public holidays)
+// @access  Private (Admin only)
+router.post('/', validate('createHolidayCalendar'), async (req, res) => {
+  try {
+    const { preset, holidays = [], ...fields } = req.body;
+
+    const calendar = new HolidayCalendar({
+      ...fields,
+      holidays: preset === 'uz' ? [...HolidayCalendar.UZBEKISTAN_HOLIDAYS, ...holidays] : holidays,
+      createdBy: req.user._id
+    });
+
+    await calendar.save();
+
+    if (calendar.isDefault) {
+      await clearOtherDefaults(calendar);
+    }
+    clearCalendarCache();
+
+    res.status(201).json({
+      message: 'Holiday calendar created successfully',
+      calendar
+    });
+
+  } catch (error) {
+    console.error('Create holiday calendar error:', error);
+    res.status(500).json({
+      error: 'Error creating holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/holiday-calendars/:id
+// @desc    Get holiday calendar by ID
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    const campaigns = await Campaign.find({ holidayCalendar: calendar._id }).select('name status');
+
+    res.json({ calendar, campaigns });
+
+  } catch (error) {
+    console.error('Get holiday calendar error:', error);
+    res.status(500).json({
+      error: 'Error fetching holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/holiday-calendars/:id
+// @desc    Update holiday calendar (holidays replace the existing list)
+// @access  Private (Admin only)
+router.put('/:id', validate('updateHolidayCalendar'), async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    Object.keys(req.body).forEach(key => {
+      calendar[key] = req.body[key];
+    });
+
+    await calendar.save();
+
+    if (calendar.isDefault) {
+      await clearOtherDefaults(calendar);
+    }
+    clearCalendarCache();
+
+    res.json({
+      message: 'Holiday calendar updated successfully',
+      calendar
+    });
+
+  } catch (error) {
+    console.error('Update holiday calendar error:', error);
+    res.status(500).json({
+      error: 'Error updating holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/holiday-calendars/:id
+// @desc    Delete holiday calendar; campaigns using it fall back to the default calendar
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({
+        error: 'Holiday calendar not found'
+      });
+    }
+
+    await Campaign.updateMany(
+      { holidayCalendar: calendar._id },
+      { $unset: { holidayCalendar: 1 } }
+    );
+    clearCalendarCache();
+
+    res.json({
+      message: 'Holiday calendar deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete holiday calendar error:', error);
+    res.status(500).json({
+      error: 'Error deleting holiday calendar',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,488 @@
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const ImportJob = require('../models/ImportJob');
+const ImportMapping = require('../models/ImportMapping');
+const {
+  createImportJob,
+  cancelImportJob,
+  resumeImportJob,
+  confirmDryRun,
+  deleteImportJob,
+  writeErrorReport
+} = require('../services/leadImport');
+const { sendTransitionError } = require('../services/stateMachine');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate, validateQuery, validateFileUpload } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// Configure multer for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath = process.env.UPLOAD_PATH || './uploads';
+    if (!fs.existsSync(uploadPath)) {
+      fs.mkdirSync(uploadPath, { recursive: true });
+    }
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'import-' + uniqueSuffix + path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, ''));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  }
+});
+
+// Multipart forms carry objects as JSON text
+const parseJsonFields = (...fields) => (req, res, next) => {
+  for (const field of fields) {
+    if (typeof req.body[field] !== 'string' || req.body[field] === '') {
+      continue;
+    }
+
+    try {
+      req.body[field] = JSON.parse(req.body[field]);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: `"${field}" must be valid JSON`
+      });
+    }
+  }
+  next();
+};
+
+// Drop the uploaded file when the request is rejected before a job takes it
+const discardUpload = (req) => {
+  if (req.file && fs.existsSync(req.file.path)) {
+    fs.unlinkSync(req.file.path);
+  }
+};
+
+// @route   POST /api/imports
+// @desc    Upload a lead file (CSV, Excel or JSON) and queue its import (dryRun only checks and counts the rows)
+// @access  Private (Admin only)
+router.post('/',
+  upload.single('csvFile'),
+  validateFileUpload,
+  parseJsonFields('columns', 'defaults'),
+  validate('createImport'),
+  async (req, res) => {
+    try {
+      const { mappingId, columns, defaults, encoding, delimiter } = req.body;
+
+      let mapping = null;
+      if (mappingId) {
+        mapping = await ImportMapping.findOne({ _id: mappingId, isActive: true });
+        if (!mapping) {
+          discardUpload(req);
+          return res.status(404).json({
+            error: 'Import mapping not found'
+          });
+        }
+      }
+
+      const job = await createImportJob({
+        file: {
+          originalName: req.file.originalname,
+          path: req.file.path,
+          size: req.file.size,
+          mimeType: req.file.mimetype
+        },
+        mapping,
+        columns,
+        defaults,
+        encoding,
+        delimiter,
+        dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+        createdBy: req.user._id
+      });
+
+      res.status(202).json({
+        message: job.dryRun ? 'Dry run queued' : 'Import queued',
+        job
+      });
+
+    } catch (error) {
+      console.error('Create import error:', error);
+      discardUpload(req);
+      res.status(500).json({
+        error: 'Error creating import',
+        message: error.message
+      });
+    }
+  }
+);
+
+// @route   GET /api/imports
+// @desc    Get imports with pagination
+// @access  Private (Admin only)
+router.get('/', validateQuery('importQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, dryRun } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (dryRun !== undefined) query.dryRun = dryRun === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const jobs = await ImportJob.find(query)
+      .populate('createdBy', 'name email')
+      .populate('mapping', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ImportJob.countDocuments(query);
+
+    res.json({
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get imports error:', error);
+    res.status(500).json({
+      error: 'Error fetching imports',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/imports/mappings
+// @desc    Get import column mappings
+// @access  Private (Admin only)
+router.get('/mappings', async (req, res) => {
+  try {
+    const query = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const mappings = await ImportMapping.find(query).sort({ name: 1 });
+
+    res.json({
+      mappings,
+      fields: ImportMapping.IMPORT_FIELDS
+    });
+
+  } catch (error) {
+    console.error('Get import mappings error:', error);
+    res.status(500).json({
+      error: 'Error fetching import mappings',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/imports/mappings
+// @desc    Create import column mapping
+// @access  Private (Admin only)
+router.post('/mappings', validate('createImportMapping'), async (req, res) => {
+  try {
+    const existing = await ImportMapping.findOne({ name: req.body.name.trim() });
+    if (existing) {
+      return res.status(400).json({
+        error: 'An import mapping with this name already exists'
+      });
+    }
+
+    const mapping = new ImportMapping({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await mapping.save();
+
+    res.status(201).json({
+      message: 'Import mapping created successfully',
+      mapping
+    });
+
+  } catch (error) {
+    console.error('Create import mapping error:', error);
+    res.status(500).json({
+      error: 'Error creating import mapping',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/imports/mappings/:id
+// @desc    Update import column mapping (columns replace the saved ones)
+// @access  Private (Admin only)
+router.put('/mappings/:id', validate('updateImportMapping'), async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findById(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        error: 'Import mapping not found'
+      });
+    }
+
+    if (req.body.name && req.body.name.trim() !== mapping.name) {
+      const existing = await ImportMapping.findOne({ name: req.body.name.trim() });
+      if (existing) {
+        return res.status(400).json({
+          error: 'An import mapping with this name already exists'
+        });
+      }
+    }
+
+    Object.keys(req.body).forEach(key => {
+      mapping[key] = req.body[key];
+    });
+
+    await mapping.save();
+
+    res.json({
+      message: 'Import mapping updated successfully',
+      mapping
+    });
+
+  } catch (error) {
+    console.error('Update import mapping error:', error);
+    res.status(500).json({
+      error: 'Error updating import mapping',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/imports/mappings/:id
+// @desc    Delete import column mapping (imports that used it keep their columns)
+// @access  Private (Admin only)
+router.delete('/mappings/:id', async (req, res) => {
+  try {
+    const mapping = await ImportMapping.findByIdAndDelete(req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        error: 'Import mapping not found'
+      });
+    }
+
+    res.json({
+      message: 'Import mapping deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete import mapping error:', error);
+    res.status(500).json({
+      error: 'Error deleting import mapping',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/imports/:id
+// @desc    Get import by ID with its progress
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('mapping', 'name');
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    res.json({ job });
+
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      error: 'Error fetching import',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/imports/:id/errors
+// @desc    Download the rows an import left out, with the reason, as CSV
+// @access  Private (Admin only)
+router.get('/:id/errors', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="import-${job._id}-errors.csv"`);
+
+    await writeErrorReport(job, res);
+
+  } catch (error) {
+    console.error('Import error report error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Error creating import error report',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/imports/:id/cancel
+// @desc    Cancel a queued or running import (leads already imported stay)
+// @access  Private (Admin only)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    const canceled = await cancelImportJob(job);
+    if (!canceled) {
+      return res.status(409).json({
+        error: 'Import finished meanwhile'
+      });
+    }
+
+    res.json({
+      message: 'Import canceled',
+      job: canceled
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) return;
+    console.error('Cancel import error:', error);
+    res.status(500).json({
+      error: 'Error canceling import',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/imports/:id/resume
+// @desc    Resume a canceled or failed import from the last processed row
+// @access  Private (Admin only)
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    if (!fs.existsSync(job.file.path)) {
+      return res.status(400).json({
+        error: 'Import file is no longer available'
+      });
+    }
+
+    const resumed = await resumeImportJob(job);
+    if (!resumed) {
+      return res.status(409).json({
+        error: 'Import changed meanwhile, please retry'
+      });
+    }
+
+    res.json({
+      message: 'Import resumed',
+      job: resumed
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) return;
+    console.error('Resume import error:', error);
+    res.status(500).json({
+      error: 'Error resuming import',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/imports/:id/confirm
+// @desc    Import the file of a completed dry run
+// @access  Private (Admin only)
+router.post('/:id/confirm', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    if (!fs.existsSync(job.file.path)) {
+      return res.status(400).json({
+        error: 'Import file is no longer available'
+      });
+    }
+
+    const confirmed = await confirmDryRun(job, req.user._id);
+
+    res.status(202).json({
+      message: 'Import queued',
+      job: confirmed
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) return;
+    console.error('Confirm import error:', error);
+    res.status(500).json({
+      error: 'Error confirming import',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/imports/:id
+// @desc    Delete a finished import with its error report (imported leads stay)
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Import not found'
+      });
+    }
+
+    await deleteImportJob(job);
+
+    res.json({
+      message: 'Import deleted successfully'
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) return;
+    console.error('Delete import error:', error);
+    res.status(500).json({
+      error: 'Error deleting import',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
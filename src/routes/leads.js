@@ -1,9 +1,15 @@
 const express = require('express');
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const Lead = require('../models/Lead');
+const CustomField = require('../models/CustomField');
+const { createImportJob } = require('../services/leadImport');
+const { buildCustomFieldFilters, escapeRegex } = require('../services/customFields');
+const { normalizePhone } = require('../services/phoneNumber');
+const { writeLeadsCsv } = require('../services/leadExport');
+const { findDuplicatesOf } = require('../services/leadDedup');
+const { sendTransitionError } = require('../services/stateMachine');
 const { authenticateToken, requireAdmin, requireSalesperson } = require('../middleware/auth');
 const { validate, validateQuery, validateFileUpload } = require('../middleware/validation');
 
@@ -20,7 +26,7 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'leads-' + uniqueSuffix + '.csv');
+    cb(null, 'leads-' + uniqueSuffix + path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, ''));
   }
 });
 
@@ -31,8 +37,39 @@ const upload = multer({
   }
 });
 
+// Lead list filters (shared by the list and the export). Returns { query, errors }.
+const buildLeadQuery = (params, customFields) => {
+  const { status, priority, phone, name, email, campaign, operator, region, search, custom } = params;
+
+  const query = { isActive: true };
+
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (phone) query.phone = normalizePhone(phone);
+  if (name) query.name = { $regex: escapeRegex(name.trim()), $options: 'i' };
+  if (email) query.email = email.trim().toLowerCase();
+  if (campaign) query.campaign = campaign === 'none' ? null : campaign;
+  if (operator) query['phoneInfo.operator'] = operator;
+  if (region) query['phoneInfo.region'] = region;
+  if (search) {
+    // Phones are stored in E.164, so they are searched by digits
+    const phoneDigits = search.replace(/\D/g, '');
+    query.$or = [
+      ...(phoneDigits ? [{ phone: { $regex: phoneDigits } }] : []),
+      { name: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  // custom[key]=value filters on the admin-defined fields
+  const { conditions, errors } = buildCustomFieldFilters(custom, customFields);
+  Object.assign(query, conditions);
+
+  return { query, errors };
+};
+
 // @route   POST /api/leads/upload-csv
-// @desc    Upload leads from CSV file
+// @desc    Upload leads from CSV file (queued as a background import, see /api/imports)
 // @access  Private (Admin only)
 router.post('/upload-csv', 
   authenticateToken, 
@@ -41,86 +78,20 @@ router.post('/upload-csv',
   validateFileUpload,
   async (req, res) => {
     try {
-      const filePath = req.file.path;
-      const results = [];
-      const errors = [];
-      let successCount = 0;
-      let duplicateCount = 0;
-
-      // Read and parse CSV file
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => {
-          // Validate phone number
-          const phone = data.phone || data.Phone || data.PHONE || data.telephone || data.Telephone;
-          if (phone && /^\+?[\d\s\-\(\)]+$/.test(phone)) {
-            results.push({
-              phone: phone.trim(),
-              name: data.name || data.Name || data.NAME || data.fullname || data.Fullname || '',
-              email: data.email || data.Email || data.EMAIL || '',
-              priority: data.priority || data.Priority || data.PRIORITY || 'medium',
-              notes: data.notes || data.Notes || data.NOTES || data.comment || data.Comment || '',
-              tags: data.tags || data.Tags || data.TAGS ? data.tags.split(',').map(tag => tag.trim()) : []
-            });
-          } else {
-            errors.push(`Invalid phone number: ${phone}`);
-          }
-        })
-        .on('end', async () => {
-          try {
-            // Process leads in batches
-            const batchSize = 100;
-            for (let i = 0; i < results.length; i += batchSize) {
-              const batch = results.slice(i, i + batchSize);
-              
-              for (const leadData of batch) {
-                try {
-                  // Check for duplicates
-                  const existingLead = await Lead.findOne({ phone: leadData.phone });
-                  if (existingLead) {
-                    duplicateCount++;
-                    continue;
-                  }
-
-                  // Create new lead
-                  const lead = new Lead(leadData);
-                  await lead.save();
-                  successCount++;
-                } catch (error) {
-                  errors.push(`Error saving lead ${leadData.phone}: ${error.message}`);
-                }
-              }
-            }
-
-            // Clean up uploaded file
-            fs.unlinkSync(filePath);
-
-            res.json({
-              message: 'CSV upload completed',
-              summary: {
-                totalProcessed: results.length,
-                successCount,
-                duplicateCount,
-                errorCount: errors.length
-              },
-              errors: errors.length > 0 ? errors : undefined
-            });
-
-          } catch (error) {
-            console.error('CSV processing error:', error);
-            res.status(500).json({
-              error: 'Error processing CSV file',
-              message: error.message
-            });
-          }
-        })
-        .on('error', (error) => {
-          console.error('CSV reading error:', error);
-          res.status(500).json({
-            error: 'Error reading CSV file',
-            message: error.message
-          });
-        });
+      const job = await createImportJob({
+        file: {
+          originalName: req.file.originalname,
+          path: req.file.path,
+          size: req.file.size,
+          mimeType: req.file.mimetype
+        },
+        createdBy: req.user._id
+      });
+
+      res.status(202).json({
+        message: 'CSV upload queued for import',
+        job
+      });
 
     } catch (error) {
       console.error('CSV upload error:', error);
@@ -141,7 +112,15 @@ router.post('/',
   validate('createLead'),
   async (req, res) => {
     try {
-      const { phone, name, email, priority, notes, tags } = req.body;
+      const { phone, name, email, priority, notes, tags, timezone, requiredSkills, customFields } = req.body;
+
+      const { values, errors } = CustomField.checkValues(customFields, await CustomField.getActive());
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.join(', ')
+        });
+      }
 
       // Check for duplicate phone number
       const existingLead = await Lead.findOne({ phone });
@@ -157,11 +136,19 @@ router.post('/',
         email,
         priority,
         notes,
-        tags
+        tags,
+        timezone,
+        requiredSkills,
+        customFields: Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null))
       });
 
       await lead.save();
 
+      // Same person under another number, email or spelling goes to the review queue
+      findDuplicatesOf(lead).catch(error => {
+        console.error('Duplicate check error:', error);
+      });
+
       res.status(201).json({
         message: 'Lead created successfully',
         lead
@@ -183,22 +170,17 @@ router.post('/',
 router.get('/', 
   authenticateToken, 
   requireSalesperson,
-  validateQuery('pagination'),
+  validateQuery('leadQuery'),
   async (req, res) => {
     try {
-      const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc', status, priority, search } = req.query;
-      
-      const query = { isActive: true };
-      
-      // Add filters
-      if (status) query.status = status;
-      if (priority) query.priority = priority;
-      if (search) {
-        query.$or = [
-          { phone: { $regex: search, $options: 'i' } },
-          { name: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } }
-        ];
+      const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+
+      const { query, errors } = buildLeadQuery(req.query, await CustomField.getActive());
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Query validation failed',
+          details: errors.join(', ')
+        });
       }
 
       const skip = (page - 1) * limit;
@@ -232,6 +214,43 @@ router.get('/',
   }
 );
 
+// @route   GET /api/leads/export
+// @desc    Export leads as CSV, with the list's filters and a column per custom field
+// @access  Private (Admin only)
+router.get('/export',
+  authenticateToken,
+  requireAdmin,
+  validateQuery('leadQuery'),
+  async (req, res) => {
+    try {
+      const customFields = await CustomField.getActive();
+
+      const { query, errors } = buildLeadQuery(req.query, customFields);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Query validation failed',
+          details: errors.join(', ')
+        });
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="leads-${new Date().toISOString().slice(0, 10)}.csv"`);
+
+      await writeLeadsCsv(query, customFields, res);
+
+    } catch (error) {
+      console.error('Export leads error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        error: 'Error exporting leads',
+        message: error.message
+      });
+    }
+  }
+);
+
 // @route   GET /api/leads/:id
 // @desc    Get lead by ID
 // @access  Private (Admin/Salesperson)
@@ -278,13 +297,40 @@ router.put('/:id',
         });
       }
 
-      // Update fields
-      Object.keys(req.body).forEach(key => {
-        if (lead.schema.paths[key]) {
-          lead[key] = req.body[key];
+      // Custom fields left out keep their values; null clears one
+      const { status, customFields, ...fields } = req.body;
+      if (customFields) {
+        const { values, errors } = CustomField.checkValues(customFields, await CustomField.getActive(), { partial: true });
+        if (errors.length > 0) {
+          return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.join(', ')
+          });
+        }
+
+        if (!lead.customFields) {
+          lead.customFields = {};
+        }
+        Object.entries(values).forEach(([key, value]) => {
+          if (value === null) {
+            lead.customFields.delete(key);
+          } else {
+            lead.customFields.set(key, value);
+          }
+        });
+      }
+
+      // Update fields (status goes through the lead state machine)
+      Object.keys(fields).forEach(key => {
+        if (lead.schema.paths[key] || lead.schema.pathType(key) === 'nested') {
+          lead[key] = fields[key];
         }
       });
 
+      if (status) {
+        lead.transitionTo(status, { actor: req.user._id, source: req.user.role });
+      }
+
       await lead.save();
 
       res.json({
@@ -293,6 +339,9 @@ router.put('/:id',
       });
 
     } catch (error) {
+      if (sendTransitionError(res, error)) {
+        return;
+      }
       console.error('Update lead error:', error);
       res.status(500).json({
         error: 'Error updating lead',
@@ -369,6 +418,17 @@ router.get('/stats/summary',
         }
       ]);
 
+      // Uzbek mobile operator of each number (null for landlines and foreign numbers)
+      const operatorStats = await Lead.aggregate([
+        { $match: { isActive: true } },
+        {
+          $group: {
+            _id: '$phoneInfo.operator',
+            count: { $sum: 1 }
+          }
+        }
+      ]);
+
       res.json({
         summary: stats[0] || {
           total: 0,
@@ -378,7 +438,8 @@ router.get('/stats/summary',
           transferred: 0,
           failed: 0
         },
-        priorityBreakdown: priorityStats
+        priorityBreakdown: priorityStats,
+        operatorBreakdown: operatorStats
       });
 
     } catch (error) {
@@ -2,8 +2,19 @@ const express = require('express');
 const Lead = require('../models/Lead');
 const CallLog = require('../models/CallLog');
 const User = require('../models/User');
+const QueueEntry = require('../models/QueueEntry');
+const DncEntry = require('../models/DncEntry');
+const Disposition = require('../models/Disposition');
+const Callback = require('../models/Callback');
+const CustomField = require('../models/CustomField');
 const { authenticateToken, requireSalesperson } = require('../middleware/auth');
 const { validate, validateQuery } = require('../middleware/validation');
+const { applyCallStatus, LIVE_CALL_STATUSES } = require('../services/callLifecycle');
+const { submitDisposition, isWrappingUp } = require('../services/wrapUp');
+const { scheduleCallback, rescheduleCallback, cancelCallback } = require('../services/callbacks');
+const { sendTransitionError } = require('../services/stateMachine');
+const { describeCustomFields } = require('../services/customFields');
+const { setAgentState, parseStateRequest, requestAgentState, getAgentStateReport } = require('../services/agentState');
 
 const router = express.Router();
 
@@ -117,13 +128,14 @@ router.get('/dashboard', async (req, res) => {
 // @route   GET /api/operator/leads/available
 // @desc    Get leads available for calling
 // @access  Private (Salesperson only)
-router.get('/leads/available', validateQuery('pagination'), async (req, res) => {
+router.get('/leads/available', validateQuery('availableLeadQuery'), async (req, res) => {
   try {
     const { page = 1, limit = 20, priority, search } = req.query;
     
     const query = {
       status: 'pending',
       isActive: true,
+      doNotCall: { $ne: true },
       $or: [
         { assignedTo: { $exists: false } },
         { assignedTo: null }
@@ -133,8 +145,10 @@ router.get('/leads/available', validateQuery('pagination'), async (req, res) =>
     // Add filters
     if (priority) query.priority = priority;
     if (search) {
+      // Phones are stored in E.164, so they are searched by digits
+      const phoneDigits = search.replace(/\D/g, '');
       query.$or = [
-        { phone: { $regex: search, $options: 'i' } },
+        ...(phoneDigits ? [{ phone: { $regex: phoneDigits } }] : []),
         { name: { $regex: search, $options: 'i' } },
         { email: { $regex: search, $options: 'i' } }
       ];
@@ -150,8 +164,14 @@ router.get('/leads/available', validateQuery('pagination'), async (req, res) =>
 
     const total = await Lead.countDocuments(query);
 
+    // Custom fields labelled, and only those salespeople see
+    const customFields = await CustomField.getActive();
+
     res.json({
-      leads,
+      leads: leads.map(lead => ({
+        ...lead.toJSON(),
+        customFields: describeCustomFields(lead, customFields, { operator: true })
+      })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -169,6 +189,44 @@ router.get('/leads/available', validateQuery('pagination'), async (req, res) =>
   }
 });
 
+// @route   GET /api/operator/leads/:id
+// @desc    Get a lead to call, with its call history and custom fields
+// @access  Private (Salesperson only)
+router.get('/leads/:id', async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.id)
+      .select('phone name email priority status notes tags timezone phoneInfo callAttempts lastCallAttempt nextCallTime callHistory lastDisposition customFields assignedTo isActive doNotCall');
+
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    if (lead.assignedTo && !lead.assignedTo.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Lead is assigned to another operator'
+      });
+    }
+
+    const customFields = await CustomField.getActive();
+
+    res.json({
+      lead: {
+        ...lead.toJSON(),
+        customFields: describeCustomFields(lead, customFields, { operator: true })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get operator lead error:', error);
+    res.status(500).json({
+      error: 'Error fetching lead',
+      message: error.message
+    });
+  }
+});
+
 // @route   POST /api/operator/leads/claim
 // @desc    Claim a lead for calling
 // @access  Private (Salesperson only)
@@ -211,7 +269,7 @@ router.post('/leads/claim', async (req, res) => {
 
     // Claim the lead
     lead.assignedTo = userId;
-    lead.status = 'claimed';
+    lead.transitionTo('claimed', { actor: userId, source: 'operator' });
     await lead.save();
 
     res.json({
@@ -221,11 +279,15 @@ router.post('/leads/claim', async (req, res) => {
         phone: lead.phone,
         name: lead.name,
         priority: lead.priority,
-        status: lead.status
+        status: lead.status,
+        customFields: describeCustomFields(lead, await CustomField.getActive(), { operator: true })
       }
     });
 
   } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
     console.error('Claim lead error:', error);
     res.status(500).json({
       error: 'Error claiming lead',
@@ -256,6 +318,16 @@ router.post('/calls/start', validate('initiateCall'), async (req, res) => {
       });
     }
 
+    // Refuse numbers on the Do-Not-Call registry
+    const dncEntry = await DncEntry.findActive(lead.phone);
+    if (dncEntry) {
+      return res.status(403).json({
+        error: 'Number is on the Do-Not-Call list',
+        reason: dncEntry.reason,
+        expiresAt: dncEntry.expiresAt
+      });
+    }
+
     if (lead.assignedTo && lead.assignedTo.toString() !== userId.toString()) {
       return res.status(400).json({
         error: 'Lead is assigned to another operator'
@@ -269,29 +341,32 @@ router.post('/calls/start', validate('initiateCall'), async (req, res) => {
     }
 
     // Update lead status
-    lead.status = 'calling';
+    lead.transitionTo('calling', { actor: userId, source: 'operator' });
     lead.assignedTo = userId;
     await lead.save();
 
     // Create call log
-    const CallLog = require('../models/CallLog');
+    const { initiateCall, getCallerId } = require('../services/twilioService');
     const callLog = new CallLog({
       lead: lead._id,
       salesperson: userId,
-      from: process.env.TWILIO_PHONE_NUMBER || '+1234567890',
+      campaign: lead.campaign,
+      from: getCallerId() || '+1234567890',
       to: lead.phone,
-      status: 'initiated'
+      status: 'initiated',
+      routing: { strategy: 'manual', reason: 'Started by the salesperson' }
     });
 
     await callLog.save();
+    await setAgentState(userId, 'ringing', { callLog, source: 'operator', actor: userId });
 
-    // Initiate call via Twilio service
-    const { initiateCall } = require('../services/twilioService');
+    // Initiate call via the telephony provider
     const callResult = await initiateCall(lead.phone, req.user.phone, callLog._id);
 
     if (callResult.success) {
-      // Update call log with Twilio call SID
+      // Update call log with provider call SID
       callLog.twilioCallSid = callResult.callSid;
+      callLog.provider = callResult.provider;
       await callLog.save();
 
       // Emit real-time update
@@ -314,14 +389,15 @@ router.post('/calls/start', validate('initiateCall'), async (req, res) => {
       });
     } else {
       // Revert lead status on failure
-      lead.status = 'pending';
+      lead.transitionTo('pending', { actor: userId, source: 'operator', reason: callResult.error });
       lead.assignedTo = undefined;
       await lead.save();
 
       // Update call log
-      callLog.status = 'failed';
+      callLog.transitionTo('failed', { actor: userId, source: 'operator', reason: callResult.error });
       callLog.errorMessage = callResult.error;
       await callLog.save();
+      await setAgentState(userId, 'available', { source: 'operator', from: ['ringing'] });
 
       res.status(500).json({
         error: 'Failed to start call',
@@ -330,6 +406,9 @@ router.post('/calls/start', validate('initiateCall'), async (req, res) => {
     }
 
   } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
     console.error('Start call error:', error);
     res.status(500).json({
       error: 'Error starting call',
@@ -341,7 +420,7 @@ router.post('/calls/start', validate('initiateCall'), async (req, res) => {
 // @route   PUT /api/operator/calls/:id/update
 // @desc    Update call status and notes
 // @access  Private (Salesperson only)
-router.put('/calls/:id/update', async (req, res) => {
+router.put('/calls/:id/update', validate('updateCall'), async (req, res) => {
   try {
     const { status, notes, duration } = req.body;
     const callId = req.params.id;
@@ -356,45 +435,391 @@ router.put('/calls/:id/update', async (req, res) => {
     }
 
     // Verify the call belongs to this operator
-    if (callLog.salesperson.toString() !== userId.toString()) {
+    if (!callLog.salesperson || callLog.salesperson.toString() !== userId.toString()) {
       return res.status(403).json({
         error: 'Access denied. This call does not belong to you.'
       });
     }
 
-    // Update call status
-    await callLog.updateStatus(status, { duration, notes });
+    // Update the call, its lead, the salesperson's stats and the queue together
+    let changed = false;
+    if (status) {
+      ({ changed } = await applyCallStatus(callLog, status, {
+        duration,
+        notes,
+        source: 'operator',
+        actor: userId,
+        strict: true
+      }));
+    } else if (notes !== undefined) {
+      callLog.notes = notes;
+      await callLog.save();
+    }
+
+    res.json({
+      message: 'Call updated successfully',
+      statusChanged: changed,
+      call: callLog
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Update call error:', error);
+    res.status(500).json({
+      error: 'Error updating call',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/operator/calls/:id/dnc
+// @desc    Add the called number to the Do-Not-Call list (call disposition)
+// @access  Private (Salesperson only)
+router.post('/calls/:id/dnc', validate('dncDisposition'), async (req, res) => {
+  try {
+    const { reason = 'customer_request', notes, expiresAt } = req.body;
+    const userId = req.user._id;
+
+    const callLog = await CallLog.findById(req.params.id);
+    if (!callLog) {
+      return res.status(404).json({
+        error: 'Call log not found'
+      });
+    }
+
+    // Verify the call belongs to this operator
+    if (!callLog.salesperson || callLog.salesperson.toString() !== userId.toString()) {
+      return res.status(403).json({
+        error: 'Access denied. This call does not belong to you.'
+      });
+    }
 
-    // Update lead status if needed
     const lead = await Lead.findById(callLog.lead);
-    if (lead) {
-      if (status === 'answered') {
-        lead.status = 'answered';
-      } else if (status === 'completed') {
-        lead.status = 'transferred';
-      } else if (['busy', 'no-answer', 'failed'].includes(status)) {
-        await lead.updateCallStatus(status, duration);
+    const phone = lead ? lead.phone : callLog.to;
+
+    const dncEntry = await DncEntry.addNumber(phone, {
+      reason,
+      notes,
+      expiresAt,
+      source: 'disposition',
+      addedBy: userId,
+      callLog: callLog._id
+    });
+
+    // Take the lead out of the dialing queue
+    await QueueEntry.complete(callLog.lead);
+
+    res.json({
+      message: 'Number added to Do-Not-Call list',
+      dncEntry
+    });
+
+  } catch (error) {
+    console.error('DNC disposition error:', error);
+    res.status(500).json({
+      error: 'Error adding number to Do-Not-Call list',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/operator/dispositions
+// @desc    Get the dispositions a call can be closed with
+// @access  Private (Salesperson only)
+router.get('/dispositions', async (req, res) => {
+  try {
+    const dispositions = await Disposition.getActive()
+      .select('code label description fields scheduleField');
+
+    res.json({ dispositions });
+
+  } catch (error) {
+    console.error('Get dispositions error:', error);
+    res.status(500).json({
+      error: 'Error fetching dispositions',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/operator/wrap-up
+// @desc    Get the operator's current wrap-up, if any
+// @access  Private (Salesperson only)
+router.get('/wrap-up', async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('wrapUp');
+
+    if (!isWrappingUp(user)) {
+      return res.json({ wrapUp: null });
+    }
+
+    const call = await CallLog.findById(user.wrapUp.callLog)
+      .populate('lead', 'phone name priority');
+
+    res.json({
+      wrapUp: {
+        startedAt: user.wrapUp.startedAt,
+        endsAt: user.wrapUp.endsAt,
+        remainingSeconds: Math.ceil((user.wrapUp.endsAt - Date.now()) / 1000),
+        call
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wrap-up error:', error);
+    res.status(500).json({
+      error: 'Error fetching wrap-up',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/operator/calls/:id/disposition
+// @desc    Close a finished call with a disposition, which moves the lead on and ends wrap-up
+// @access  Private (Salesperson only)
+router.post('/calls/:id/disposition', validate('submitDisposition'), async (req, res) => {
+  try {
+    const { code, fields = {}, notes } = req.body;
+    const userId = req.user._id;
+
+    const callLog = await CallLog.findById(req.params.id);
+    if (!callLog) {
+      return res.status(404).json({
+        error: 'Call log not found'
+      });
+    }
+
+    // Verify the call belongs to this operator
+    if (!callLog.salesperson || callLog.salesperson.toString() !== userId.toString()) {
+      return res.status(403).json({
+        error: 'Access denied. This call does not belong to you.'
+      });
+    }
+
+    if (LIVE_CALL_STATUSES.includes(callLog.status)) {
+      return res.status(409).json({
+        error: 'Call is still in progress'
+      });
+    }
+
+    if (callLog.disposition && callLog.disposition.code) {
+      return res.status(409).json({
+        error: 'Disposition already submitted',
+        disposition: callLog.disposition.code
+      });
+    }
+
+    const disposition = await Disposition.findOne({ code: code.toLowerCase(), isActive: true });
+    if (!disposition) {
+      return res.status(400).json({
+        error: 'Unknown disposition'
+      });
+    }
+
+    const { values, errors } = disposition.checkFields(fields);
+    const scheduledAt = disposition.scheduleField && values[disposition.scheduleField];
+    if (scheduledAt && scheduledAt <= new Date()) {
+      errors.push('The next call time must be in the future');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.join(', ')
+      });
+    }
+
+    const { lead, callback } = await submitDisposition(callLog, disposition, { values, notes, actor: userId });
+
+    res.json({
+      message: 'Disposition submitted successfully',
+      call: callLog,
+      lead: lead ? {
+        id: lead._id,
+        status: lead.status,
+        nextCallTime: lead.nextCallTime,
+        isActive: lead.isActive
+      } : null,
+      callback
+    });
+
+  } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Submit disposition error:', error);
+    res.status(500).json({
+      error: 'Error submitting disposition',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/operator/callbacks
+// @desc    Get the operator's callbacks
+// @access  Private (Salesperson only)
+router.get('/callbacks', validateQuery('callbackQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'scheduled', from, to } = req.query;
+
+    const query = { owner: req.user._id, status };
+    if (from || to) {
+      query.dueAt = {};
+      if (from) query.dueAt.$gte = new Date(from);
+      if (to) query.dueAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const callbacks = await Callback.find(query)
+      .populate('lead', 'phone name priority status')
+      .sort({ dueAt: status === 'scheduled' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Callback.countDocuments(query);
+
+    res.json({
+      callbacks,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
       }
+    });
+
+  } catch (error) {
+    console.error('Get callbacks error:', error);
+    res.status(500).json({
+      error: 'Error fetching callbacks',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/operator/callbacks
+// @desc    Schedule a callback to a lead, owned by the operator
+// @access  Private (Salesperson only)
+router.post('/callbacks', validate('scheduleCallback'), async (req, res) => {
+  try {
+    const { leadId, dueAt, note } = req.body;
+    const userId = req.user._id;
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    if (!lead.isActive || lead.doNotCall) {
+      return res.status(400).json({
+        error: 'Lead cannot be called'
+      });
+    }
+
+    if (lead.assignedTo && lead.assignedTo.toString() !== userId.toString()) {
+      return res.status(400).json({
+        error: 'Lead is assigned to another operator'
+      });
     }
 
-    // Emit real-time update
-    const { emitCallUpdate } = require('../services/socketHandler');
-    emitCallUpdate('call_status_updated', {
-      callId: callLog._id,
-      status: status,
-      leadId: callLog.lead,
-      salespersonId: userId
+    const callback = await scheduleCallback(lead, {
+      owner: userId,
+      dueAt: new Date(dueAt),
+      note
+    });
+
+    res.status(201).json({
+      message: 'Callback scheduled successfully',
+      callback
     });
 
+  } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Schedule callback error:', error);
+    res.status(500).json({
+      error: 'Error scheduling callback',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/operator/callbacks/:id
+// @desc    Reschedule a callback or change its note
+// @access  Private (Salesperson only)
+router.put('/callbacks/:id', validate('rescheduleCallback'), async (req, res) => {
+  try {
+    const { dueAt, note } = req.body;
+
+    const callback = await Callback.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!callback) {
+      return res.status(404).json({
+        error: 'Callback not found'
+      });
+    }
+
+    if (callback.status !== 'scheduled') {
+      return res.status(400).json({
+        error: `Callback is already ${callback.status}`
+      });
+    }
+
+    await rescheduleCallback(callback, {
+      dueAt: dueAt ? new Date(dueAt) : undefined,
+      note
+    }, req.user._id);
+
     res.json({
-      message: 'Call updated successfully',
-      call: callLog
+      message: 'Callback updated successfully',
+      callback
     });
 
   } catch (error) {
-    console.error('Update call error:', error);
+    if (sendTransitionError(res, error)) {
+      return;
+    }
+    console.error('Reschedule callback error:', error);
     res.status(500).json({
-      error: 'Error updating call',
+      error: 'Error updating callback',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/operator/callbacks/:id
+// @desc    Cancel a callback
+// @access  Private (Salesperson only)
+router.delete('/callbacks/:id', async (req, res) => {
+  try {
+    const callback = await Callback.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!callback) {
+      return res.status(404).json({
+        error: 'Callback not found'
+      });
+    }
+
+    if (callback.status !== 'scheduled') {
+      return res.status(400).json({
+        error: `Callback is already ${callback.status}`
+      });
+    }
+
+    await cancelCallback(callback, req.user._id);
+
+    res.json({
+      message: 'Callback canceled successfully',
+      callback
+    });
+
+  } catch (error) {
+    console.error('Cancel callback error:', error);
+    res.status(500).json({
+      error: 'Error canceling callback',
       message: error.message
     });
   }
@@ -403,7 +828,7 @@ router.put('/calls/:id/update', async (req, res) => {
 // @route   GET /api/operator/calls/history
 // @desc    Get operator's call history
 // @access  Private (Salesperson only)
-router.get('/calls/history', validateQuery('pagination'), async (req, res) => {
+router.get('/calls/history', validateQuery('callHistoryQuery'), async (req, res) => {
   try {
     const userId = req.user._id;
     const { page = 1, limit = 20, status, startDate, endDate } = req.query;
@@ -448,37 +873,58 @@ router.get('/calls/history', validateQuery('pagination'), async (req, res) => {
   }
 });
 
-// @route   PUT /api/operator/profile/availability
-// @desc    Update operator availability status
+// @route   GET /api/operator/profile/state
+// @desc    Get operator's agent state and today's time in each state
 // @access  Private (Salesperson only)
-router.put('/profile/availability', async (req, res) => {
+router.get('/profile/state', async (req, res) => {
   try {
-    const { isAvailable } = req.body;
-    const userId = req.user._id;
+    const user = await User.findById(req.user._id).select('agentState');
 
-    if (typeof isAvailable !== 'boolean') {
-      return res.status(400).json({
-        error: 'isAvailable must be a boolean value'
-      });
-    }
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    const [today] = await getAgentStateReport({ start, end: new Date(), userIds: [user._id] });
 
-    // Update user availability
-    await User.findByIdAndUpdate(userId, { isAvailable });
+    res.json({
+      agentState: user.agentState,
+      secondsInState: Math.round((Date.now() - user.agentState.since) / 1000),
+      today: today || null
+    });
+
+  } catch (error) {
+    console.error('Get agent state error:', error);
+    res.status(500).json({
+      error: 'Error fetching agent state',
+      message: error.message
+    });
+  }
+});
 
-    // Emit real-time update
-    const { emitCallUpdate } = require('../services/socketHandler');
-    emitCallUpdate('user_availability_changed', {
-      userId: userId,
-      isAvailable: isAvailable,
-      name: req.user.name
+// @route   PUT /api/operator/profile/availability
+// @desc    Update operator agent state ({ state, reason } or the older { isAvailable })
+// @access  Private (Salesperson only)
+router.put('/profile/availability', validate('agentState'), async (req, res) => {
+  try {
+    const agentState = await requestAgentState(req.user._id, parseStateRequest(req.body), {
+      actor: req.user._id,
+      source: 'agent'
     });
 
+    if (!agentState) {
+      return res.status(409).json({
+        error: 'Agent state changed meanwhile, please retry'
+      });
+    }
+
     res.json({
       message: 'Availability updated successfully',
-      isAvailable: isAvailable
+      agentState,
+      isAvailable: agentState.state === 'available'
     });
 
   } catch (error) {
+    if (sendTransitionError(res, error)) {
+      return;
+    }
     console.error('Update availability error:', error);
     res.status(500).json({
       error: 'Error updating availability',
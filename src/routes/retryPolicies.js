@@ -0,0 +1,248 @@
+const express = require('express');
+const RetryPolicy = require('../models/RetryPolicy');
+const Campaign = require('../models/Campaign');
+const Lead = require('../models/Lead');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate, validateQuery } = require('../middleware/validation');
+const { resolveCallingWindow } = require('../services/callingHours');
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(authenticateToken, requireAdmin);
+
+// Only one policy can be the default
+const clearOtherDefaults = (policy) => RetryPolicy.updateMany(
+  { _id: { $ne: policy._id }, isDefault: true },
+  { $set: { isDefault: false } }
+);
+
+// @route   GET /api/retry-policies
+// @desc    Get all retry policies with pagination
+// @access  Private (Admin only)
+router.get('/', validateQuery('retryPolicyQuery'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive } = req.query;
+
+    const query = {};
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const skip = (page - 1) * limit;
+
+    const policies = await RetryPolicy.find(query)
+      .sort({ isDefault: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await RetryPolicy.countDocuments(query);
+
+    res.json({
+      policies,
+      builtInDefaults: RetryPolicy.DEFAULT_RULES,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get retry policies error:', error);
+    res.status(500).json({
+      error: 'Error fetching retry policies',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/retry-policies
+// @desc    Create retry policy
+// @access  Private (Admin only)
+router.post('/', validate('createRetryPolicy'), async (req, res) => {
+  try {
+    const policy = new RetryPolicy({
+      ...req.body,
+      createdBy: req.user._id
+    });
+
+    await policy.save();
+
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy);
+    }
+
+    res.status(201).json({
+      message: 'Retry policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Create retry policy error:', error);
+    res.status(500).json({
+      error: 'Error creating retry policy',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/retry-policies/preview
+// @desc    Preview a lead's future call schedule under a policy
+// @access  Private (Admin only)
+router.post('/preview', validate('previewSchedule'), async (req, res) => {
+  try {
+    const { leadId, policyId, outcome = 'no_answer', from } = req.body;
+
+    const lead = await Lead.findById(leadId);
+    if (!lead) {
+      return res.status(404).json({
+        error: 'Lead not found'
+      });
+    }
+
+    const campaign = lead.campaign ? await Campaign.findById(lead.campaign) : null;
+
+    let policy;
+    if (policyId) {
+      policy = await RetryPolicy.findById(policyId);
+      if (!policy) {
+        return res.status(404).json({
+          error: 'Retry policy not found'
+        });
+      }
+    } else {
+      policy = await RetryPolicy.resolveForLead(lead, campaign);
+    }
+
+    const preview = RetryPolicy.previewSchedule(policy, lead, {
+      outcome,
+      maxAttempts: campaign ? campaign.maxAttempts : null,
+      window: await resolveCallingWindow(lead, campaign),
+      ...(from && { from: new Date(from) })
+    });
+
+    res.json({
+      lead: {
+        id: lead._id,
+        phone: lead.phone,
+        priority: lead.priority,
+        timezone: lead.timezone,
+        callAttempts: lead.callAttempts,
+        nextCallTime: lead.nextCallTime
+      },
+      policy: policy ? { id: policy._id, name: policy.name } : { id: null, name: 'Built-in defaults' },
+      assumedOutcome: outcome,
+      ...preview
+    });
+
+  } catch (error) {
+    console.error('Preview schedule error:', error);
+    res.status(500).json({
+      error: 'Error previewing call schedule',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/retry-policies/:id
+// @desc    Get retry policy by ID
+// @access  Private (Admin only)
+router.get('/:id', async (req, res) => {
+  try {
+    const policy = await RetryPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Retry policy not found'
+      });
+    }
+
+    const campaigns = await Campaign.find({ retryPolicy: policy._id }).select('name status');
+
+    res.json({ policy, campaigns });
+
+  } catch (error) {
+    console.error('Get retry policy error:', error);
+    res.status(500).json({
+      error: 'Error fetching retry policy',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/retry-policies/:id
+// @desc    Update retry policy
+// @access  Private (Admin only)
+router.put('/:id', validate('updateRetryPolicy'), async (req, res) => {
+  try {
+    const policy = await RetryPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Retry policy not found'
+      });
+    }
+
+    // Update fields (outcome rules are merged per outcome)
+    Object.keys(req.body).forEach(key => {
+      if (key === 'outcomes') {
+        Object.entries(req.body.outcomes).forEach(([outcome, rule]) => {
+          policy.set(`outcomes.${outcome}`, { ...policy.toObject().outcomes[outcome], ...rule });
+        });
+      } else {
+        policy[key] = req.body[key];
+      }
+    });
+
+    await policy.save();
+
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy);
+    }
+
+    res.json({
+      message: 'Retry policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    console.error('Update retry policy error:', error);
+    res.status(500).json({
+      error: 'Error updating retry policy',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/retry-policies/:id
+// @desc    Deactivate retry policy
+// @access  Private (Admin only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const policy = await RetryPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Retry policy not found'
+      });
+    }
+
+    // Soft delete; campaigns using it fall back to the priority or default policy
+    policy.isActive = false;
+    policy.isDefault = false;
+    await policy.save();
+
+    res.json({
+      message: 'Retry policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete retry policy error:', error);
+    res.status(500).json({
+      error: 'Error deleting retry policy',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
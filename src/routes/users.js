@@ -2,6 +2,8 @@ const express = require('express');
 const User = require('../models/User');
 const { authenticateToken, requireAdmin, requireSalesperson } = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { setAgentState, parseStateRequest, requestAgentState } = require('../services/agentState');
+const { sendTransitionError } = require('../services/stateMachine');
 
 const router = express.Router();
 
@@ -23,10 +25,12 @@ router.get('/',
       if (role) query.role = role;
       if (isActive !== undefined) query.isActive = isActive === 'true';
       if (search) {
+        // Phones are stored in E.164, so they are searched by digits
+        const phoneDigits = search.replace(/\D/g, '');
         query.$or = [
           { name: { $regex: search, $options: 'i' } },
           { email: { $regex: search, $options: 'i' } },
-          { phone: { $regex: search, $options: 'i' } }
+          ...(phoneDigits ? [{ phone: { $regex: phoneDigits } }] : [])
         ];
       }
 
@@ -71,9 +75,9 @@ router.get('/available-salespeople',
     try {
       const salespeople = await User.find({
         role: 'salesperson',
-        isAvailable: true,
+        'agentState.state': 'available',
         isActive: true
-      }).select('name email phone isAvailable');
+      }).select('name email phone isAvailable agentState');
 
       res.json({ salespeople });
 
@@ -146,13 +150,30 @@ router.put('/:id',
 
       // Update fields
       Object.keys(req.body).forEach(key => {
-        if (user.schema.paths[key] && key !== 'role') { // Prevent role change
+        if (key === 'skills') {
+          // Only admins assign skills
+          if (req.user.role === 'admin') {
+            user.set('skills', { ...user.toObject().skills, ...req.body.skills });
+          }
+        } else if (user.schema.paths[key] && key !== 'role' && key !== 'isAvailable') { // Prevent role change
           user[key] = req.body[key];
         }
       });
 
       await user.save();
 
+      // Availability is an agent state change
+      if (typeof req.body.isAvailable === 'boolean') {
+        const agentState = await requestAgentState(user._id, parseStateRequest(req.body), {
+          actor: req.user._id,
+          source: req.user.role === 'admin' && !user._id.equals(req.user._id) ? 'admin' : 'agent'
+        });
+        if (agentState) {
+          user.agentState = agentState;
+          user.isAvailable = req.body.isAvailable;
+        }
+      }
+
       // Return updated user without password
       const updatedUser = user.toObject();
       delete updatedUser.password;
@@ -163,6 +184,9 @@ router.put('/:id',
       });
 
     } catch (error) {
+      if (sendTransitionError(res, error)) {
+        return;
+      }
       console.error('Update user error:', error);
       res.status(500).json({
         error: 'Error updating user',
@@ -173,14 +197,13 @@ router.put('/:id',
 );
 
 // @route   PUT /api/users/:id/availability
-// @desc    Update user availability status
+// @desc    Update user agent state ({ state, reason } or the older { isAvailable })
 // @access  Private (Admin or own profile)
 router.put('/:id/availability', 
   authenticateToken, 
+  validate('agentState'),
   async (req, res) => {
     try {
-      const { isAvailable } = req.body;
-
       // Users can only update their own availability unless they're admin
       if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
         return res.status(403).json({
@@ -196,15 +219,27 @@ router.put('/:id/availability',
         });
       }
 
-      user.isAvailable = isAvailable;
-      await user.save();
+      const agentState = await requestAgentState(user._id, parseStateRequest(req.body), {
+        actor: req.user._id,
+        source: req.user.role === 'admin' && !user._id.equals(req.user._id) ? 'admin' : 'agent'
+      });
+
+      if (!agentState) {
+        return res.status(409).json({
+          error: 'Agent state changed meanwhile, please retry'
+        });
+      }
 
       res.json({
         message: 'Availability updated successfully',
-        isAvailable: user.isAvailable
+        agentState,
+        isAvailable: agentState.state === 'available'
       });
 
     } catch (error) {
+      if (sendTransitionError(res, error)) {
+        return;
+      }
       console.error('Update availability error:', error);
       res.status(500).json({
         error: 'Error updating availability',
@@ -243,11 +278,12 @@ router.put('/:id/activate',
       }
 
       user.isActive = isActive;
+      await user.save();
+
+      // Deactivated users are not available
       if (!isActive) {
-        user.isAvailable = false; // Deactivated users are not available
+        await setAgentState(user._id, 'offline', { actor: req.user._id, source: 'admin' });
       }
-      
-      await user.save();
 
       res.json({
         message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -292,8 +328,8 @@ router.delete('/:id',
 
       // Soft delete
       user.isActive = false;
-      user.isAvailable = false;
       await user.save();
+      await setAgentState(user._id, 'offline', { actor: req.user._id, source: 'admin' });
 
       res.json({
         message: 'User deleted successfully'
@@ -331,7 +367,7 @@ router.get('/stats/summary',
       ]);
 
       const recentUsers = await User.find()
-        .select('name email role isActive isAvailable lastLogin')
+        .select('name email role isActive isAvailable agentState lastLogin')
         .sort({ createdAt: -1 })
         .limit(10);
 
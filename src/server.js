@@ -17,8 +17,16 @@ const callRoutes = require('./routes/calls');
 const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const operatorRoutes = require('./routes/operator');
+const campaignRoutes = require('./routes/campaigns');
+const retryPolicyRoutes = require('./routes/retryPolicies');
+const holidayCalendarRoutes = require('./routes/holidayCalendars');
+const dncRoutes = require('./routes/dnc');
+const dispositionRoutes = require('./routes/dispositions');
+const importRoutes = require('./routes/imports');
+const duplicateRoutes = require('./routes/duplicates');
+const customFieldRoutes = require('./routes/customFields');
 
-const { initializeCallQueue } = require('./services/callQueue');
+const { callQueue, initializeCallQueue } = require('./services/callQueue');
 const { setupSocketHandlers } = require('./services/socketHandler');
 
 // Check if required environment variables are set
@@ -31,11 +39,19 @@ const checkEnvironment = () => {
     console.warn('   Some features may not work properly');
   }
   
-  // Check Twilio configuration
-  if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN) {
-    console.log('ℹ️ Twilio credentials not configured - telephony features will be simulated');
+  // Check telephony configuration; without a usable provider the server cannot dial
+  const { getProviderName } = require('./services/twilioService');
+  let providerName;
+  try {
+    providerName = getProviderName();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  if (providerName === 'simulation') {
+    console.log('ℹ️ Telephony provider not configured - telephony features will be simulated');
   } else {
-    console.log('✅ Twilio credentials configured');
+    console.log(`✅ Telephony provider configured: ${providerName}`);
   }
 };
 
@@ -52,13 +68,19 @@ const io = socketIo(server, {
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Keep the raw body around for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Provider webhooks arrive in bursts from a few addresses (or from the local simulator)
+  skip: (req) => req.originalUrl.startsWith('/api/calls/webhook/')
 });
 app.use(limiter);
 
@@ -76,6 +98,14 @@ app.use('/api/calls', callRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/operator', operatorRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/retry-policies', retryPolicyRoutes);
+app.use('/api/holiday-calendars', holidayCalendarRoutes);
+app.use('/api/dnc', dncRoutes);
+app.use('/api/dispositions', dispositionRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/duplicates', duplicateRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -113,9 +143,39 @@ mongoose.connect(MONGODB_URI, {
   
   // Check environment configuration
   checkEnvironment();
+
+  // Create the default call dispositions
+  const Disposition = require('./models/Disposition');
+  Disposition.ensureDefaults().catch(error => {
+    console.error('❌ Error creating default dispositions:', error);
+  });
+
+  // Store phone numbers from before normalization in E.164, then queue duplicate leads
+  // for review (including those whose number was left as typed). Only the dialer leader
+  // does this, so instances starting together do not race through the same leads.
+  const { migratePhoneNumbers } = require('./services/phoneMigration');
+  const { scanForDuplicates } = require('./services/leadDedup');
+  callQueue.onLeadership(() => migratePhoneNumbers()
+    .catch(error => {
+      console.error('❌ Error normalizing phone numbers:', error);
+    })
+    .then(() => scanForDuplicates())
+    .catch(error => {
+      console.error('❌ Error scanning for duplicate leads:', error);
+    }));
+
+  // Give users from before agent states one from their availability flag
+  const { initializeAgentStates } = require('./services/agentState');
+  initializeAgentStates().catch(error => {
+    console.error('❌ Error initializing agent states:', error);
+  });
   
   // Initialize call queue after DB connection
   initializeCallQueue();
+
+  // Pick up queued lead imports, and ones a stopped instance left running
+  const { startImportWorker } = require('./services/leadImport');
+  startImportWorker();
   
   // Setup socket handlers
   setupSocketHandlers(io);
@@ -139,8 +199,14 @@ mongoose.connect(MONGODB_URI, {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+
+  // Hand the dialer over to another instance right away
+  await callQueue.releaseLeadership().catch(error => {
+    console.error('Error releasing dialer leadership:', error);
+  });
+
   server.close(() => {
     console.log('Process terminated');
     mongoose.connection.close();
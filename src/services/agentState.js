@@ -0,0 +1,265 @@
+// Agent states. A salesperson picks available, break (with a reason), training or
+// offline; ringing, on_call and wrap_up are set by the dialer and the call lifecycle
+// while they handle a call. Only available agents are routed calls. Every change closes
+// the agent's open AgentStateLog period and opens a new one, which feeds time-in-state,
+// occupancy and utilisation reports. User.isAvailable is kept in step for older clients:
+// it is true while the agent is working the queue (available or handling a call).
+
+const User = require('../models/User');
+const CallLog = require('../models/CallLog');
+const AgentStateLog = require('../models/AgentStateLog');
+const { emitCallUpdate, emitToRoom, emitToUser } = require('./socketHandler');
+const { InvalidTransitionError } = require('./stateMachine');
+
+const { AGENT_STATES, BREAK_REASONS } = AgentStateLog;
+const MANUAL_STATES = ['available', 'break', 'training', 'offline'];
+const CALL_STATES = ['ringing', 'on_call', 'wrap_up'];
+const WORKING_STATES = ['available', ...CALL_STATES];
+const LIVE_CALL_STATUSES = ['initiated', 'ringing', 'answered'];
+const STALE_CALL_STATE_GRACE = 60000; // Time a ringing/on_call state may exist before its call does
+
+const isWorkingState = (state) => WORKING_STATES.includes(state);
+
+// Move an agent to a state. Options: reason (break reason), callLog, source, actor and
+// from (only change when the agent is in one of these states). Returns the new agentState,
+// the current one when nothing changed, or null when the agent is missing or not in `from`.
+const setAgentState = async (userId, state, { reason, callLog, source = 'system', actor, from } = {}) => {
+  if (!userId) {
+    return null;
+  }
+
+  const user = await User.findById(userId).select('name role agentState isAvailable');
+  if (!user) {
+    return null;
+  }
+
+  const current = user.agentState || {};
+  if (from && !from.includes(current.state)) {
+    return null;
+  }
+
+  const nextReason = state === 'break' ? (reason || 'other') : undefined;
+  if (current.state === state && current.reason === nextReason) {
+    return current;
+  }
+
+  const now = new Date();
+  const agentState = {
+    state,
+    reason: nextReason,
+    since: now,
+    callLog: CALL_STATES.includes(state) && callLog ? callLog._id || callLog : undefined
+  };
+
+  // Any change made by someone else replaces the state presence would restore
+  const update = { $set: { agentState, isAvailable: isWorkingState(state) } };
+  if (source !== 'presence') {
+    update.$unset = { 'presence.restoreState': 1 };
+  }
+
+  // Guard against a concurrent change between the read and the write
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, 'agentState.state': current.state || null },
+    update,
+    { new: true }
+  );
+  if (!updated) {
+    return null;
+  }
+
+  await AgentStateLog.closeOpen(userId, now);
+  await AgentStateLog.create({
+    user: userId,
+    state,
+    reason: nextReason,
+    callLog: agentState.callLog,
+    source,
+    actor,
+    startedAt: now
+  });
+
+  const payload = {
+    userId,
+    name: user.name,
+    state,
+    reason: nextReason || null,
+    previousState: current.state || null,
+    since: now,
+    source
+  };
+  emitToRoom('admin', 'agent_state_changed', payload);
+  emitToUser(userId, 'agent_state_changed', payload);
+
+  // Older clients follow the availability flag
+  if (user.isAvailable !== isWorkingState(state)) {
+    emitCallUpdate('user_availability_changed', {
+      userId,
+      isAvailable: isWorkingState(state),
+      name: user.name
+    });
+  }
+
+  return updated.agentState;
+};
+
+// Read the state an agent asked for from a request body: { state, reason } or the
+// older { isAvailable }, where false means a break. Returns { state, reason } or null.
+const parseStateRequest = (body = {}) => {
+  if (body.state !== undefined) {
+    return { state: body.state, reason: body.reason };
+  }
+  if (typeof body.isAvailable === 'boolean') {
+    return body.isAvailable ? { state: 'available' } : { state: 'break', reason: 'other' };
+  }
+  return null;
+};
+
+// Change an agent's state on their (or an admin's) request. Call states belong to the
+// dialer: the agent cannot leave ringing or on_call, and leaves wrap_up for available by
+// submitting the disposition. Throws InvalidTransitionError when the change is not allowed.
+const requestAgentState = async (userId, { state, reason }, { actor, source = 'agent' } = {}) => {
+  const user = await User.findById(userId).select('agentState');
+  if (!user) {
+    return null;
+  }
+
+  const current = user.agentState && user.agentState.state;
+  if (!MANUAL_STATES.includes(state)) {
+    throw new InvalidTransitionError('agent', current, state, `agents choose one of: ${MANUAL_STATES.join(', ')}`);
+  }
+  if (['ringing', 'on_call'].includes(current)) {
+    throw new InvalidTransitionError('agent', current, state, 'agent is on a call');
+  }
+  if (current === 'wrap_up' && state === 'available') {
+    throw new InvalidTransitionError('agent', current, state, 'submit the call disposition to end wrap-up');
+  }
+
+  return setAgentState(userId, state, { reason, actor, source, from: [current] });
+};
+
+// Give every user without an agent state one from their availability flag
+const initializeAgentStates = async () => {
+  const users = await User.find({ 'agentState.state': { $exists: false } }).select('isActive isAvailable');
+
+  for (const user of users) {
+    const state = user.isActive && user.isAvailable ? 'available' : 'offline';
+    const now = new Date();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { agentState: { state, since: now }, isAvailable: isWorkingState(state) } }
+    );
+    await AgentStateLog.create({ user: user._id, state, source: 'migration', startedAt: now });
+  }
+
+  if (users.length > 0) {
+    console.log(`👤 Initialized agent state for ${users.length} user(s)`);
+  }
+
+  return users.length;
+};
+
+// Put agents whose call state outlived their call (a lost webhook, a restart) back to
+// available. Returns how many were reset.
+const reconcileAgentStates = async () => {
+  const now = Date.now();
+  const users = await User.find({
+    $or: [
+      { 'agentState.state': { $in: ['ringing', 'on_call'] }, 'agentState.since': { $lte: new Date(now - STALE_CALL_STATE_GRACE) } },
+      { 'agentState.state': 'wrap_up', 'wrapUp.endsAt': { $exists: false } }
+    ]
+  }).select('agentState');
+
+  if (users.length === 0) {
+    return 0;
+  }
+
+  const onCall = new Set(
+    (await CallLog.distinct('salesperson', { status: { $in: LIVE_CALL_STATUSES } }))
+      .filter(Boolean)
+      .map(id => id.toString())
+  );
+
+  let reset = 0;
+  for (const user of users) {
+    if (user.agentState.state !== 'wrap_up' && onCall.has(user._id.toString())) {
+      continue;
+    }
+
+    const changed = await setAgentState(user._id, 'available', {
+      from: [user.agentState.state],
+      source: 'watchdog'
+    });
+    if (changed) {
+      reset += 1;
+    }
+  }
+
+  return reset;
+};
+
+// Seconds each agent spent in each state between two dates, with occupancy (share of
+// staffed time spent handling calls) and utilisation (share of logged-in time spent
+// handling calls). `userIds` limits the report to some agents.
+const getAgentStateReport = async ({ start, end, userIds = null }) => {
+  const rows = await AgentStateLog.getTimeInState({ start, end, userIds });
+
+  const agents = new Map();
+  for (const row of rows) {
+    const key = row._id.user.toString();
+    if (!agents.has(key)) {
+      agents.set(key, {
+        userId: row._id.user,
+        states: Object.fromEntries(AGENT_STATES.map(state => [state, 0])),
+        breaks: {}
+      });
+    }
+
+    const agent = agents.get(key);
+    agent.states[row._id.state] += row.seconds;
+    if (row._id.state === 'break') {
+      const reason = row._id.reason || 'other';
+      agent.breaks[reason] = (agent.breaks[reason] || 0) + row.seconds;
+    }
+  }
+
+  const users = await User.find({ _id: { $in: [...agents.values()].map(agent => agent.userId) } })
+    .select('name email');
+  const names = new Map(users.map(user => [user._id.toString(), user]));
+
+  return [...agents.values()].map(agent => {
+    const { states } = agent;
+    const handling = states.ringing + states.on_call + states.wrap_up;
+    const staffed = handling + states.available;
+    const loggedIn = staffed + states.break + states.training;
+    const user = names.get(agent.userId.toString());
+
+    Object.keys(states).forEach(state => { states[state] = Math.round(states[state]); });
+    Object.keys(agent.breaks).forEach(reason => { agent.breaks[reason] = Math.round(agent.breaks[reason]); });
+
+    return {
+      ...agent,
+      name: user ? user.name : null,
+      email: user ? user.email : null,
+      handlingTime: Math.round(handling),
+      staffedTime: Math.round(staffed),
+      loggedInTime: Math.round(loggedIn),
+      occupancy: staffed > 0 ? handling / staffed : 0,
+      utilisation: loggedIn > 0 ? handling / loggedIn : 0
+    };
+  });
+};
+
+module.exports = {
+  AGENT_STATES,
+  BREAK_REASONS,
+  MANUAL_STATES,
+  CALL_STATES,
+  WORKING_STATES,
+  setAgentState,
+  parseStateRequest,
+  requestAgentState,
+  initializeAgentStates,
+  reconcileAgentStates,
+  getAgentStateReport
+};
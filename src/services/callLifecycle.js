@@ -0,0 +1,187 @@
+// Call lifecycle: the one place a call's status changes. Provider webhooks, manual
+// status updates, the operator panel, socket events and the queue watchdog all go
+// through applyCallStatus, so the call log, the lead, the salesperson's stats and
+// agent state, and the dialing queue stay in step.
+
+const CallLog = require('../models/CallLog');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const QueueEntry = require('../models/QueueEntry');
+const { emitCallUpdate } = require('./socketHandler');
+const { InvalidTransitionError, isInvalidTransition } = require('./stateMachine');
+const { startWrapUp } = require('./wrapUp');
+const { setAgentState } = require('./agentState');
+
+const { CALL_STATUSES } = CallLog;
+const TERMINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+const LIVE_CALL_STATUSES = ['initiated', 'ringing', 'answered'];
+
+// Map a status from any source (provider, panel, lead-style no_answer) to a call status
+const normalizeCallStatus = (status) => {
+  if (status === 'no_answer') {
+    return 'no-answer';
+  }
+  return CALL_STATUSES.includes(status) ? status : null;
+};
+
+// Apply a call status to its lead
+const moveLead = async (lead, callLog, status, duration, context) => {
+  if (status === 'answered') {
+    lead.transitionTo('answered', context);
+    await lead.save();
+  } else if (status === 'completed' && callLog.abandoned) {
+    // Nobody was free to take the call; retry it like an unanswered one
+    await lead.updateCallStatus('no_answer', duration, '', context);
+  } else if (status === 'completed') {
+    // A conversation uses an attempt too, recorded once it ended so it has its length
+    lead.transitionTo('transferred', context);
+    lead.recordCallAttempt('answered', duration);
+    await lead.save();
+  } else if (['busy', 'no-answer', 'failed'].includes(status)) {
+    // The lead's retry policy decides when to call again
+    await lead.updateCallStatus(status, duration, '', context);
+  } else if (status === 'canceled' && lead.status === 'calling') {
+    // Hung up before it rang through; the lead is dialed again without using an attempt
+    lead.transitionTo('pending', context);
+    lead.assignedTo = undefined;
+    await lead.save();
+  }
+};
+
+// Move the lead along with its call. The call is the record of what happened, so a lead
+// that has already moved on (reopened, closed by an admin) is left as it is.
+const updateLeadForCall = async (callLog, status, duration, context) => {
+  const lead = await Lead.findById(callLog.lead);
+  if (!lead) {
+    return null;
+  }
+
+  try {
+    await moveLead(lead, callLog, status, duration, context);
+  } catch (error) {
+    if (!isInvalidTransition(error)) {
+      throw error;
+    }
+    console.warn(`Lead ${lead._id} left as ${lead.status} after call ${callLog._id} went ${status}: ${error.message}`);
+  }
+
+  return lead;
+};
+
+// Count a finished call on its salesperson
+const updateSalespersonStats = async (callLog, status) => {
+  if (!callLog.salesperson) {
+    return;
+  }
+
+  const successful = status === 'completed' && !callLog.abandoned;
+
+  await User.updateOne(
+    { _id: callLog.salesperson },
+    {
+      $inc: {
+        'callStats.totalCalls': 1,
+        'callStats.successfulCalls': successful ? 1 : 0,
+        'callStats.totalDuration': callLog.duration || 0
+      }
+    }
+  );
+};
+
+// Free the call's dialing slot
+const releaseQueueSlot = async (callLog) => {
+  await QueueEntry.complete(callLog.lead);
+
+  const { callQueue } = require('./callQueue');
+  callQueue.activeCalls.delete(callLog.lead.toString());
+};
+
+// Apply a status change to a call and everything that depends on it.
+// Options: duration (seconds), notes, errorCode, errorMessage, source (what reported it),
+// actor (user who made the change) and strict.
+// Returns { callLog, lead, changed }. A repeated status only stores the notes and error
+// details. A transition CallLog does not allow throws InvalidTransitionError when strict
+// (changes made by people) and is ignored like a repeat otherwise (late provider webhooks).
+const applyCallStatus = async (callLog, rawStatus, options = {}) => {
+  const { duration, notes, errorCode, source = 'provider', actor, strict = false } = options;
+  let { errorMessage } = options;
+
+  let status = normalizeCallStatus(rawStatus);
+  if (!status) {
+    errorMessage = `Unknown call status: ${rawStatus}`;
+    status = 'failed';
+  }
+
+  const details = {};
+  if (notes !== undefined) details.notes = notes;
+  if (errorCode !== undefined) details.errorCode = errorCode;
+  if (errorMessage !== undefined) details.errorMessage = errorMessage;
+
+  const allowed = CallLog.canTransition(callLog.status, status);
+  if (!allowed && strict) {
+    throw new InvalidTransitionError('call', callLog.status, status);
+  }
+
+  if (callLog.status === status || !allowed) {
+    if (Object.keys(details).length > 0) {
+      Object.assign(callLog, details);
+      await callLog.save();
+    }
+    return { callLog, lead: null, changed: false };
+  }
+
+  // The provider's duration wins over the one measured from the answer time
+  if (duration > 0) {
+    details.duration = duration;
+  }
+
+  const context = { actor, source };
+  await callLog.updateStatus(status, details, context);
+
+  const lead = await updateLeadForCall(callLog, status, callLog.duration, context);
+
+  if (status === 'answered') {
+    await setAgentState(callLog.salesperson, 'on_call', { callLog, source: 'call' });
+  }
+
+  if (TERMINAL_CALL_STATUSES.includes(status)) {
+    await updateSalespersonStats(callLog, status);
+    await releaseQueueSlot(callLog);
+    // The salesperson records a disposition before taking the next dialed call
+    const wrapUpEndsAt = await startWrapUp(callLog);
+    if (!wrapUpEndsAt) {
+      await setAgentState(callLog.salesperson, 'available', { source: 'call', from: ['ringing', 'on_call'] });
+    }
+  }
+
+  emitCallUpdate('call_status_updated', {
+    callId: callLog._id,
+    status,
+    leadId: callLog.lead,
+    salespersonId: callLog.salesperson,
+    source
+  });
+
+  console.log(`Call ${callLog._id} status updated to: ${status} (${source})`);
+
+  return { callLog, lead, changed: true };
+};
+
+// Apply a status change to a call by its ID
+const applyCallStatusById = async (callLogId, status, options = {}) => {
+  const callLog = await CallLog.findById(callLogId);
+  if (!callLog) {
+    return null;
+  }
+
+  return applyCallStatus(callLog, status, options);
+};
+
+module.exports = {
+  CALL_STATUSES,
+  TERMINAL_CALL_STATUSES,
+  LIVE_CALL_STATUSES,
+  normalizeCallStatus,
+  applyCallStatus,
+  applyCallStatusById
+};
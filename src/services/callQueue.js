@@ -1,16 +1,47 @@
+const os = require('os');
+const crypto = require('crypto');
 const Lead = require('../models/Lead');
+const CallLog = require('../models/CallLog');
+const QueueEntry = require('../models/QueueEntry');
+const LeaderLock = require('../models/LeaderLock');
+const QueueControl = require('../models/QueueControl');
+const Campaign = require('../models/Campaign');
+const DncEntry = require('../models/DncEntry');
+const Callback = require('../models/Callback');
 const User = require('../models/User');
-const { initiateCall } = require('./twilioService');
-const { emitCallUpdate } = require('./socketHandler');
+const { initiateCall, getCallerId, getCallDetails, cancelCall } = require('./twilioService');
+const { emitCallUpdate, emitToRoom } = require('./socketHandler');
+const { resolveCallingWindow, getNextCallableTime } = require('./callingHours');
+const { routeLead } = require('./routing');
+const { computePacing } = require('./pacing');
+const { applyCallStatus, TERMINAL_CALL_STATUSES, LIVE_CALL_STATUSES } = require('./callLifecycle');
+const { expireWrapUps } = require('./wrapUp');
+const { setAgentState, reconcileAgentStates } = require('./agentState');
+const { getOwnerWait, sendCallbackReminders } = require('./callbacks');
+
+const LEADER_LOCK_NAME = 'dialer';
+const CALLBACK_RECHECK_DELAY = 30000; // How often a due callback checks whether its owner is free
 
 class CallQueue {
   constructor() {
     this.isRunning = false;
     this.callInterval = null;
+    this.heartbeatInterval = null;
     this.callTimeout = parseInt(process.env.CALL_TIMEOUT) || 30000; // 30 seconds
-    this.maxConcurrentCalls = 5; // Maximum concurrent calls
-    this.activeCalls = new Map(); // Track active calls
-    this.callDelay = 5000; // 5 seconds between calls
+    this.callTimeoutGrace = parseInt(process.env.CALL_TIMEOUT_GRACE) || 15000; // Time allowed for the final webhook
+    this.maxConcurrentCalls = parseInt(process.env.MAX_CONCURRENT_CALLS) || 5; // Cap on calls in flight, see pacing
+    this.activeCalls = new Map(); // Local view of the leases this worker holds
+    this.callDelay = 5000; // 5 seconds between dialing cycles
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.leaseTtl = parseInt(process.env.QUEUE_LEASE_TTL) || 60000; // 60 seconds
+    this.queueBuffer = parseInt(process.env.QUEUE_BUFFER_SIZE) || 20; // Leads kept queued ahead of dialing
+    this.stuckLeadTimeout = parseInt(process.env.STUCK_LEAD_TIMEOUT) || 5 * 60 * 1000; // 5 minutes
+    this.leaderTtl = parseInt(process.env.LEADER_LOCK_TTL) || 30000; // 30 seconds
+    this.leaderUntil = 0; // Local expiry of our leadership
+    this.electionInterval = null;
+    this.pacing = null; // Latest pacing decision, see services/pacing
+    this.leadershipTasks = []; // Run once each time this worker becomes the dialer leader
+    this.isPaused = false; // Last known pause switch, stored in QueueControl
   }
 
   // Initialize the call queue
@@ -18,8 +49,23 @@ class CallQueue {
     try {
       console.log('🚀 Initializing call queue...');
       
+      // Recover calls left behind by crashed or restarted workers
+      await this.recoverExpiredLeases();
+
       // Reset any stuck leads
       await this.resetStuckLeads();
+
+      // A pause set before a restart, or on another instance, still holds
+      if (await this.checkPaused()) {
+        console.log('⏸️ Call queue is paused');
+      }
+
+      // Keep our leases alive, even while dialing is paused
+      this.startHeartbeat();
+
+      // Only the elected leader runs the dialer loop
+      await this.runElection();
+      this.startElection();
       
       // Start the queue processor
       this.start();
@@ -48,6 +94,140 @@ class CallQueue {
     console.log('✅ Call queue processor started');
   }
 
+  // Start renewing leases and recovering expired ones
+  startHeartbeat() {
+    if (this.heartbeatInterval) {
+      return;
+    }
+
+    this.heartbeatInterval = setInterval(async () => {
+      await this.heartbeat();
+    }, Math.floor(this.leaseTtl / 3));
+
+    console.log(`💓 Queue heartbeat started for worker ${this.workerId}`);
+  }
+
+  // Whether this worker currently holds the dialer lock
+  get isLeader() {
+    return Date.now() < this.leaderUntil;
+  }
+
+  // Register a task for the dialer leader only (cluster-wide maintenance), run when this
+  // worker becomes the leader. The task handles its own errors.
+  onLeadership(task) {
+    this.leadershipTasks.push(task);
+  }
+
+  // Start competing for the dialer lock
+  startElection() {
+    if (this.electionInterval) {
+      return;
+    }
+
+    this.electionInterval = setInterval(async () => {
+      await this.runElection();
+    }, Math.floor(this.leaderTtl / 3));
+  }
+
+  // Acquire or renew the dialer lock
+  async runElection() {
+    const wasLeader = this.isLeader;
+    const attemptedAt = Date.now();
+
+    try {
+      const acquired = await LeaderLock.acquire(LEADER_LOCK_NAME, this.workerId, this.leaderTtl, {
+        hostname: os.hostname(),
+        pid: process.pid
+      });
+
+      this.leaderUntil = acquired ? attemptedAt + this.leaderTtl : 0;
+    } catch (error) {
+      // Keep leadership until the local expiry; another worker takes over after that
+      console.error('❌ Leader election error:', error);
+    }
+
+    if (!wasLeader && this.isLeader) {
+      console.log(`👑 Worker ${this.workerId} is now the dialer leader`);
+      this.leadershipTasks.forEach(task => task());
+    } else if (wasLeader && !this.isLeader) {
+      console.log(`⚠️ Worker ${this.workerId} lost dialer leadership`);
+    }
+  }
+
+  // Give up the dialer lock (on shutdown) so another worker takes over immediately
+  async releaseLeadership() {
+    if (this.electionInterval) {
+      clearInterval(this.electionInterval);
+      this.electionInterval = null;
+    }
+
+    if (this.isLeader) {
+      this.leaderUntil = 0;
+      await LeaderLock.release(LEADER_LOCK_NAME, this.workerId);
+      console.log(`👋 Worker ${this.workerId} released dialer leadership`);
+    }
+  }
+
+  // Get the current holder of the dialer lock
+  async getLeaderInfo() {
+    const lock = await LeaderLock.findById(LEADER_LOCK_NAME);
+    if (!lock) {
+      return null;
+    }
+
+    return {
+      owner: lock.owner,
+      hostname: lock.hostname,
+      pid: lock.pid,
+      acquiredAt: lock.acquiredAt,
+      expiresAt: lock.expiresAt,
+      isExpired: lock.expiresAt < new Date(),
+      isSelf: lock.owner === this.workerId
+    };
+  }
+
+  // Renew our leases, sync local state and recover abandoned entries. The cluster-wide
+  // upkeep after that is left to the leader, so workers do not race on the same records.
+  async heartbeat() {
+    try {
+      await QueueEntry.renewLeases(this.workerId, this.leaseTtl);
+      await this.syncActiveCalls();
+      await this.recoverExpiredLeases();
+      await this.expireTimedOutCalls();
+
+      if (!this.isLeader) {
+        return;
+      }
+
+      await expireWrapUps();
+      await reconcileAgentStates();
+      await sendCallbackReminders();
+      await this.resetStuckLeads();
+      await DncEntry.releaseExpired();
+    } catch (error) {
+      console.error('❌ Queue heartbeat error:', error);
+    }
+  }
+
+  // Rebuild the local view of active calls from the leases we hold
+  async syncActiveCalls() {
+    const entries = await QueueEntry.find({ owner: this.workerId, state: 'leased' });
+    const activeCalls = new Map();
+
+    for (const entry of entries) {
+      const leadId = entry.lead.toString();
+      const existing = this.activeCalls.get(leadId);
+      activeCalls.set(leadId, {
+        entryId: entry._id,
+        leadId: entry.lead,
+        salespersonId: entry.salesperson,
+        startTime: existing ? existing.startTime : entry.updatedAt
+      });
+    }
+
+    this.activeCalls = activeCalls;
+  }
+
   // Stop the call queue processor
   stop() {
     if (!this.isRunning) {
@@ -68,98 +248,411 @@ class CallQueue {
   // Process the call queue
   async processQueue() {
     try {
-      // Check if we can make more calls
-      if (this.activeCalls.size >= this.maxConcurrentCalls) {
-        return; // Max concurrent calls reached
+      // Only the leader dials, and only while the queue is not paused
+      if (!this.isLeader || await this.checkPaused()) {
+        return;
       }
 
-      // Get next lead to call
-      const lead = await Lead.getNextLeadToCall();
-      if (!lead) {
-        return; // No leads to call
+      // Work out how many calls to place from the free salespeople. Count every call in
+      // flight in the database, whichever worker holds it: calls placed by a previous
+      // leader or another worker still take salespeople.
+      const inFlight = await QueueEntry.countDocuments({ state: 'leased' });
+      const pacing = await computePacing(inFlight);
+      this.updatePacing(pacing);
+
+      // Predictive calls are given to a salesperson when they are answered
+      const reserveSalesperson = pacing.mode !== 'predictive';
+      let slots = pacing.slots;
+
+      // Each active campaign dials its own pool; leads without a campaign form the default pool.
+      // Go round the pools until the slots are used or no pool has anything left to dial.
+      let pools = [...await Campaign.getDialableCampaigns(), null];
+
+      while (slots > 0 && pools.length > 0) {
+        const dialedPools = [];
+
+        for (const campaign of pools) {
+          if (slots <= 0) {
+            break;
+          }
+
+          if (await this.processPool(campaign, reserveSalesperson)) {
+            slots -= 1;
+            dialedPools.push(campaign);
+          }
+        }
+
+        pools = dialedPools;
+      }
+
+    } catch (error) {
+      console.error('❌ Error processing call queue:', error);
+    }
+  }
+
+  // Dial the next lead of one pool (a campaign, or the default pool when campaign is null).
+  // Without reserveSalesperson the call is placed unassigned and routed when answered.
+  // Returns whether a call was placed.
+  async processPool(campaign, reserveSalesperson = true) {
+    const campaignId = campaign ? campaign._id : null;
+
+    try {
+      // Respect the campaign's own concurrency
+      if (campaign) {
+        const campaignActive = await QueueEntry.countDocuments({ campaign: campaignId, state: 'leased' });
+        if (campaignActive >= campaign.concurrency) {
+          return false;
+        }
+      }
+
+      // Make sure due leads are queued
+      await this.enqueueDueLeads(campaign);
+
+      // A pause from any instance stops the dialing cycle before the next claim
+      if (await this.checkPaused()) {
+        return false;
       }
 
-      // Check if lead is already being called
-      if (this.activeCalls.has(lead._id.toString())) {
-        return; // Lead is already being processed
+      // Atomically claim the next queue entry
+      const entry = await QueueEntry.claimNext(this.workerId, this.leaseTtl, campaignId);
+      if (!entry) {
+        return false; // No leads to call
       }
 
-      // Find available salesperson
-      const salesperson = await this.findAvailableSalesperson();
-      if (!salesperson) {
-        console.log('⚠️ No available salesperson found, skipping lead:', lead.phone);
-        return;
+      const lead = await Lead.findById(entry.lead);
+      if (!lead || !lead.isActive || lead.status !== 'pending') {
+        // Lead changed since it was queued
+        await QueueEntry.complete(entry.lead);
+        return false;
+      }
+
+      // The calling window may have closed since the lead was queued
+      const nextSlot = await this.deferToCallingHours(lead, campaign);
+      if (nextSlot) {
+        await QueueEntry.requeue(entry._id, nextSlot);
+        return false;
+      }
+
+      let salesperson = null;
+      let routing = null;
+
+      // A due callback goes to its owner, even in predictive mode
+      const callback = await Callback.findDueForLead(lead._id);
+
+      if (callback) {
+        const decision = await this.routeCallback(callback, campaign, lead);
+        if (!decision) {
+          // Look again shortly; the pool dials its other leads meanwhile
+          await QueueEntry.requeue(entry._id, new Date(Date.now() + CALLBACK_RECHECK_DELAY));
+          return false;
+        }
+
+        ({ salesperson, routing } = decision);
+      } else if (reserveSalesperson) {
+        // Find available salesperson
+        const decision = await this.routeLead(campaign, lead);
+        if (!decision) {
+          console.log('⚠️ No available salesperson found, skipping lead:', lead.phone);
+          await QueueEntry.requeue(entry._id);
+          return false;
+        }
+
+        ({ salesperson, routing } = decision);
       }
 
       // Add to active calls
       this.activeCalls.set(lead._id.toString(), {
+        entryId: entry._id,
         leadId: lead._id,
-        salespersonId: salesperson._id,
+        salespersonId: salesperson ? salesperson._id : null,
         startTime: new Date()
       });
 
       // Initiate call
-      await this.makeCall(lead, salesperson);
+      const callLog = await this.makeCall(lead, salesperson, entry, routing);
+      if (callback && callLog) {
+        await callback.markDialed(callLog);
+      }
+      return true;
 
     } catch (error) {
-      console.error('❌ Error processing call queue:', error);
+      console.error(`❌ Error processing ${campaign ? `campaign ${campaign.name}` : 'default pool'}:`, error);
+      return false;
+    }
+  }
+
+  // Queue due pending leads of a pool, keeping a small buffer ahead of the dialer
+  async enqueueDueLeads(campaign = null) {
+    const campaignId = campaign ? campaign._id : null;
+
+    // Due callbacks are queued ahead of the buffer
+    await this.enqueueDueCallbacks(campaign);
+
+    const queuedCount = await QueueEntry.countDocuments({ campaign: campaignId, state: 'queued' });
+    let remaining = this.queueBuffer - queuedCount;
+    if (remaining <= 0) {
+      return;
+    }
+
+    const queuedLeadIds = await QueueEntry.distinct('lead');
+
+    // Fill the buffer in priority order
+    for (const priority of Object.keys(QueueEntry.PRIORITY_RANK)) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const query = {
+        _id: { $nin: queuedLeadIds },
+        campaign: campaignId,
+        status: 'pending',
+        isActive: true,
+        doNotCall: { $ne: true },
+        priority,
+        $or: [
+          { nextCallTime: { $exists: false } },
+          { nextCallTime: null },
+          { nextCallTime: { $lte: new Date() } }
+        ]
+      };
+
+      if (campaign) {
+        query.callAttempts = { $lt: campaign.maxAttempts };
+      }
+
+      const leads = await Lead.find(query).sort({ createdAt: 1 }).limit(remaining);
+
+      for (const lead of leads) {
+        // Leads outside their calling hours wait for their next legal slot instead
+        if (await this.deferToCallingHours(lead, campaign)) {
+          continue;
+        }
+
+        await QueueEntry.enqueue(lead);
+        remaining -= 1;
+      }
+    }
+  }
+
+  // Queue the pool's leads whose callback is due, ahead of every other lead
+  async enqueueDueCallbacks(campaign = null) {
+    const dueLeadIds = await Callback.getDueLeadIds();
+    if (dueLeadIds.length === 0) {
+      return;
+    }
+
+    const leads = await Lead.find({
+      _id: { $in: dueLeadIds },
+      campaign: campaign ? campaign._id : null,
+      status: 'pending',
+      isActive: true,
+      doNotCall: { $ne: true },
+      $or: [
+        { nextCallTime: { $exists: false } },
+        { nextCallTime: null },
+        { nextCallTime: { $lte: new Date() } }
+      ]
+    });
+
+    for (const lead of leads) {
+      // Calling hours still apply to the time the lead asked for
+      if (await this.deferToCallingHours(lead, campaign)) {
+        continue;
+      }
+
+      await QueueEntry.enqueue(lead, new Date(), QueueEntry.CALLBACK_RANK);
     }
   }
 
-  // Find available salesperson
-  async findAvailableSalesperson() {
+  // Move a lead that is outside its calling hours to its next legal slot.
+  // Returns the new call time, or null when the lead may be called now.
+  async deferToCallingHours(lead, campaign = null) {
+    const now = new Date();
+    const window = await resolveCallingWindow(lead, campaign);
+    let nextSlot = getNextCallableTime(window, now);
+    if (nextSlot === now) {
+      return null;
+    }
+
+    // Without any calling window, look again in a day
+    if (!nextSlot) {
+      nextSlot = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    await Lead.updateOne({ _id: lead._id }, { $set: { nextCallTime: nextSlot } });
+    console.log(`🌙 Lead ${lead.phone} is outside calling hours, next call at ${nextSlot.toISOString()}`);
+
+    return nextSlot;
+  }
+
+  // Route a lead to an available salesperson who is not on a call or wrapping up, with the campaign's
+  // routing strategy (limited to the campaign's team when it has one). Returns { salesperson, routing } or null.
+  async routeLead(campaign = null, lead = null) {
     try {
-      const salesperson = await User.findOne({
-        role: 'salesperson',
-        isAvailable: true,
-        isActive: true
-      }).sort({ 
-        // Prioritize salespeople with fewer active calls
-        'callStats.totalCalls': 1,
-        'lastLogin': -1
-      });
+      const baseQuery = await this.getFreeSalespersonQuery();
+
+      if (campaign && campaign.salespeople && campaign.salespeople.length > 0) {
+        baseQuery._id.$in = campaign.salespeople;
+      }
+
+      const decision = await routeLead({ lead, campaign, baseQuery });
+
+      if (decision && decision.routing.skillsRelaxed.length > 0) {
+        console.log(`🔀 No exact skill match for ${lead ? lead.phone : 'lead'}, relaxed: ${decision.routing.skillsRelaxed.join(', ')}`);
+      }
 
-      return salesperson;
+      return decision;
     } catch (error) {
-      console.error('Error finding available salesperson:', error);
+      console.error('Error routing lead:', error);
+      return null;
+    }
+  }
+
+  // User query for salespeople who may take a call now: in the available agent state and,
+  // in case a status update is still on its way, not on a live call
+  async getFreeSalespersonQuery() {
+    const onCall = await CallLog.distinct('salesperson', { status: { $in: LIVE_CALL_STATUSES } });
+
+    return {
+      _id: { $nin: onCall.filter(Boolean) },
+      role: 'salesperson',
+      'agentState.state': 'available',
+      isActive: true
+    };
+  }
+
+  // Route a due callback to its owner. While the owner is busy the callback waits for them
+  // (returns null) until CALLBACK_OWNER_WAIT has passed, then it is routed like any other lead.
+  async routeCallback(callback, campaign = null, lead = null) {
+    const freeQuery = await this.getFreeSalespersonQuery();
+    const owner = await User.findOne({ $and: [freeQuery, { _id: callback.owner }] });
+
+    if (owner) {
+      return {
+        salesperson: owner,
+        routing: { strategy: 'callback', reason: 'Callback owner', skillsRelaxed: [], candidates: 1 }
+      };
+    }
+
+    if (Date.now() < callback.dueAt.getTime() + getOwnerWait()) {
+      return null;
+    }
+
+    const decision = await this.routeLead(campaign, lead);
+    if (decision) {
+      decision.routing.reason = `Callback owner unavailable; ${decision.routing.reason}`;
+      console.log(`📅 Callback owner unavailable for ${lead ? lead.phone : 'lead'}, routed to another salesperson`);
+    }
+
+    return decision;
+  }
+
+  // Give an answered call that was dialed without a salesperson (predictive mode) to a free
+  // salesperson. When nobody is free the call is abandoned. Returns the salesperson or null.
+  async assignAnsweredCall(callLog, lead = null, campaign = null) {
+    const decision = await this.routeLead(campaign, lead);
+
+    if (!decision) {
+      callLog.abandoned = true;
+      await callLog.save();
+      console.log(`⚠️ No free salesperson for answered call ${callLog._id}, call abandoned`);
       return null;
     }
+
+    const { salesperson, routing } = decision;
+
+    callLog.salesperson = salesperson._id;
+    callLog.routing = routing;
+    await callLog.save();
+
+    if (lead) {
+      lead.assignedTo = salesperson._id;
+      await lead.save();
+    }
+
+    await QueueEntry.updateOne({ callLog: callLog._id }, { $set: { salesperson: salesperson._id } });
+    await setAgentState(salesperson._id, 'on_call', { callLog, source: 'dialer' });
+
+    const activeCall = this.activeCalls.get(callLog.lead.toString());
+    if (activeCall) {
+      activeCall.salespersonId = salesperson._id;
+    }
+
+    return salesperson;
+  }
+
+  // Keep the latest pacing decision and push it to supervisors when it changes
+  updatePacing(pacing) {
+    const { updatedAt, ...current } = pacing;
+    const { updatedAt: previousAt, ...previous } = this.pacing || {};
+
+    this.pacing = pacing;
+
+    if (JSON.stringify(current) !== JSON.stringify(previous)) {
+      emitToRoom('admin', 'pacing_update', pacing);
+    }
   }
 
-  // Make a call to a lead
-  async makeCall(lead, salesperson) {
+  // Make a call to a lead (salesperson is null for predictive calls, routed when answered).
+  // Returns the call log, or null when no call was logged.
+  async makeCall(lead, salesperson, entry = null, routing = null) {
     try {
+      // Never dial a number on the Do-Not-Call registry
+      const dncEntry = await DncEntry.findActive(lead.phone);
+      if (dncEntry) {
+        console.log(`🚫 Skipping ${lead.phone}: on Do-Not-Call list (${dncEntry.reason})`);
+        lead.doNotCall = true;
+        await lead.save();
+        this.activeCalls.delete(lead._id.toString());
+        await QueueEntry.complete(lead._id);
+        return null;
+      }
+
       console.log(`📞 Making call to ${lead.phone} (${lead.name || 'Unknown'})`);
 
       // Update lead status
-      lead.status = 'calling';
-      lead.assignedTo = salesperson._id;
+      lead.transitionTo('calling', { source: 'dialer' });
+      lead.assignedTo = salesperson ? salesperson._id : undefined;
       await lead.save();
 
       // Create call log
-      const CallLog = require('../models/CallLog');
       const callLog = new CallLog({
         lead: lead._id,
-        salesperson: salesperson._id,
-        from: process.env.TWILIO_PHONE_NUMBER,
+        salesperson: salesperson ? salesperson._id : undefined,
+        campaign: lead.campaign,
+        from: getCallerId(),
         to: lead.phone,
-        status: 'initiated'
+        status: 'initiated',
+        routing
       });
 
       await callLog.save();
 
-      // Initiate call via Twilio
-      const callResult = await initiateCall(lead.phone, salesperson.phone, callLog._id);
+      // Record the call on our lease before dialing, so a crash can be reconciled
+      if (entry) {
+        await QueueEntry.updateOne(
+          { _id: entry._id },
+          { $set: { callLog: callLog._id, salesperson: salesperson ? salesperson._id : null } }
+        );
+      }
+
+      if (salesperson) {
+        await setAgentState(salesperson._id, 'ringing', { callLog, source: 'dialer' });
+      }
+
+      // Initiate call via the telephony provider
+      const callResult = await initiateCall(lead.phone, salesperson && salesperson.phone, callLog._id);
 
       if (callResult.success) {
-        // Update call log with Twilio call SID
+        // Update call log with provider call SID
         callLog.twilioCallSid = callResult.callSid;
+        callLog.provider = callResult.provider;
         await callLog.save();
 
         // Emit real-time update
         emitCallUpdate('call_initiated', {
           leadId: lead._id,
-          salespersonId: salesperson._id,
+          salespersonId: salesperson ? salesperson._id : null,
           callId: callLog._id,
           status: 'initiated',
           phone: lead.phone
@@ -171,9 +664,12 @@ class CallQueue {
         await this.handleCallFailure(lead, callLog, callResult.error);
       }
 
+      return callLog;
+
     } catch (error) {
       console.error(`❌ Error making call to ${lead.phone}:`, error);
       await this.handleCallFailure(lead, null, error.message);
+      return null;
     }
   }
 
@@ -181,19 +677,24 @@ class CallQueue {
   async handleCallFailure(lead, callLog, error) {
     try {
       // Reset lead status
-      lead.status = 'pending';
+      const salespersonId = lead.assignedTo;
+      lead.transitionTo('pending', { source: 'dialer', reason: String(error) });
       lead.assignedTo = undefined;
       await lead.save();
 
+      // The salesperson never got the call
+      await setAgentState(salespersonId, 'available', { source: 'dialer', from: ['ringing'] });
+
       // Update call log if it exists
       if (callLog) {
-        callLog.status = 'failed';
+        callLog.transitionTo('failed', { source: 'dialer', reason: String(error) });
         callLog.errorMessage = error;
         await callLog.save();
       }
 
       // Remove from active calls
       this.activeCalls.delete(lead._id.toString());
+      await QueueEntry.complete(lead._id);
 
       console.log(`❌ Call failed for ${lead.phone}: ${error}`);
 
@@ -202,62 +703,171 @@ class CallQueue {
     }
   }
 
-  // Handle call completion
-  async handleCallCompletion(callLogId, status) {
+  // Recover queue entries whose lease expired (their worker crashed or was restarted)
+  async recoverExpiredLeases() {
     try {
-      const CallLog = require('../models/CallLog');
-      const callLog = await CallLog.findById(callLogId);
-      
-      if (!callLog) {
-        console.error('Call log not found for completion:', callLogId);
+      const expiredEntries = await QueueEntry.find({
+        state: 'leased',
+        leaseExpiresAt: { $lt: new Date() }
+      }).limit(50);
+
+      for (const expired of expiredEntries) {
+        // Take the lease over atomically so only one worker recovers each entry
+        const entry = await QueueEntry.findOneAndUpdate(
+          { _id: expired._id, state: 'leased', leaseExpiresAt: { $lt: new Date() } },
+          { $set: { owner: this.workerId, leaseExpiresAt: new Date(Date.now() + this.leaseTtl) } },
+          { new: true }
+        );
+        if (!entry) {
+          continue;
+        }
+
+        await this.recoverEntry(entry);
+      }
+    } catch (error) {
+      console.error('Error recovering expired leases:', error);
+    }
+  }
+
+  // Decide what to do with a recovered entry without dialing the lead twice
+  async recoverEntry(entry) {
+    const callLog = entry.callLog ? await CallLog.findById(entry.callLog) : null;
+
+    // The call already finished; only the lease was left behind
+    if (callLog && TERMINAL_CALL_STATUSES.includes(callLog.status)) {
+      await QueueEntry.complete(entry.lead);
+      return;
+    }
+
+    if (callLog && callLog.twilioCallSid) {
+      const details = await getCallDetails(callLog.twilioCallSid);
+
+      if (details.success && LIVE_CALL_STATUSES.includes(details.call.status)) {
+        // Still on the line: adopt the call and keep its lease alive
+        this.activeCalls.set(entry.lead.toString(), {
+          entryId: entry._id,
+          leadId: entry.lead,
+          salespersonId: entry.salesperson,
+          startTime: callLog.startTime
+        });
+        console.log(`🔁 Adopted live call ${callLog._id} from an expired lease`);
         return;
       }
 
-      // Remove from active calls
-      this.activeCalls.delete(callLog.lead.toString());
-
-      // Update lead status based on call result
-      const lead = await Lead.findById(callLog.lead);
-      if (lead) {
-        if (status === 'answered') {
-          lead.status = 'answered';
-        } else if (status === 'completed') {
-          lead.status = 'transferred';
-        } else if (['busy', 'no-answer', 'failed'].includes(status)) {
-          await lead.updateCallStatus(status);
-        }
+      if (details.success && TERMINAL_CALL_STATUSES.includes(details.call.status)) {
+        // The webhook was lost; apply the final status now
+        await applyCallStatus(callLog, details.call.status, {
+          duration: parseInt(details.call.duration) || 0,
+          source: 'recovery'
+        });
+        return;
       }
+    }
 
-      // Update salesperson stats
-      const salesperson = await User.findById(callLog.salesperson);
-      if (salesperson) {
-        salesperson.callStats.totalCalls += 1;
-        if (status === 'completed') {
-          salesperson.callStats.successfulCalls += 1;
+    // The call was never placed or its state is unknown: put the lead back in the queue
+    if (callLog) {
+      callLog.transitionTo('failed', { source: 'recovery' });
+      callLog.errorMessage = 'Queue lease expired before the call finished';
+      callLog.endTime = new Date();
+      await callLog.save();
+    }
+
+    // A lead that moved on since is left alone
+    const lead = await Lead.findById(entry.lead);
+    if (lead && lead.status === 'calling') {
+      lead.assignedTo = undefined;
+      await lead.saveTransition('pending', { source: 'recovery', reason: 'Queue lease expired' });
+    }
+    await QueueEntry.requeue(entry._id, new Date(Date.now() + this.leaseTtl));
+
+    console.log(`🔄 Re-queued lead ${entry.lead} after its lease expired`);
+  }
+
+  // Watchdog for calls whose final webhook never arrived: unanswered calls past the call
+  // timeout and answered calls past it since they were answered are checked with the provider.
+  // Calls leased by this worker are ours to check; calls without a lease (started by hand)
+  // are checked by the leader.
+  async expireTimedOutCalls() {
+    try {
+      const now = Date.now();
+      const overdue = new Date(now - this.callTimeout - this.callTimeoutGrace);
+
+      const callLogs = await CallLog.find({
+        $or: [
+          { status: { $in: ['initiated', 'ringing'] }, startTime: { $lt: overdue } },
+          { status: 'answered', answerTime: { $lt: overdue } }
+        ]
+      }).limit(50);
+
+      for (const callLog of callLogs) {
+        const entry = await QueueEntry.findOne({ callLog: callLog._id, state: 'leased' });
+        const isOurs = entry ? entry.owner === this.workerId : this.isLeader;
+        if (!isOurs) {
+          continue;
+        }
+
+        try {
+          await this.reconcileCall(callLog);
+        } catch (error) {
+          console.error(`Error reconciling call ${callLog._id}:`, error);
         }
-        await salesperson.save();
       }
+    } catch (error) {
+      console.error('Error expiring timed out calls:', error);
+    }
+  }
 
-      console.log(`✅ Call ${callLogId} completed with status: ${status}`);
+  // Bring an overdue call in line with the provider and free its slot once it is over
+  async reconcileCall(callLog) {
+    const details = callLog.twilioCallSid ? await getCallDetails(callLog.twilioCallSid) : null;
+    let status;
+    let duration = 0;
+    let errorMessage;
 
-    } catch (error) {
-      console.error('Error handling call completion:', error);
+    if (!details) {
+      // The call never reached the provider
+      errorMessage = 'Call was never placed with the provider';
+      status = 'failed';
+    } else if (details.success && TERMINAL_CALL_STATUSES.includes(details.call.status)) {
+      // The final webhook was lost; apply the provider's status
+      status = details.call.status;
+      duration = parseInt(details.call.duration) || 0;
+    } else if (details.success && details.call.status === 'answered') {
+      // A conversation still in progress
+      return;
+    } else if (details.success && LIVE_CALL_STATUSES.includes(details.call.status)) {
+      // Still ringing past the timeout: hang up
+      await cancelCall(callLog.twilioCallSid);
+      status = 'no-answer';
+    } else if (callLog.status === 'answered') {
+      // The provider no longer knows the call, so it is over
+      status = 'completed';
+      duration = Math.floor((Date.now() - callLog.answerTime.getTime()) / 1000);
+    } else {
+      status = 'no-answer';
     }
+
+    // Finishes the call log and the lead and releases the queue entry
+    await applyCallStatus(callLog, status, { duration, errorMessage, source: 'watchdog' });
+
+    console.log(`⏱️ Call ${callLog._id} timed out without a final webhook, closed as ${status}`);
   }
 
-  // Reset stuck leads (leads stuck in 'calling' status)
+  // Reset stuck leads (leads stuck in 'calling' status without a queue lease)
   async resetStuckLeads() {
     try {
+      const leasedLeadIds = await QueueEntry.distinct('lead', { state: 'leased' });
       const stuckLeads = await Lead.find({
+        _id: { $nin: leasedLeadIds },
         status: 'calling',
-        updatedAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) } // 5 minutes ago
+        updatedAt: { $lt: new Date(Date.now() - this.stuckLeadTimeout) }
       });
 
       if (stuckLeads.length > 0) {
         console.log(`🔄 Resetting ${stuckLeads.length} stuck leads...`);
         
         for (const lead of stuckLeads) {
-          lead.status = 'pending';
+          lead.transitionTo('pending', { source: 'watchdog', reason: 'Stuck in calling without a queue lease' });
           lead.assignedTo = undefined;
           await lead.save();
         }
@@ -273,10 +883,15 @@ class CallQueue {
   getStatus() {
     return {
       isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      workerId: this.workerId,
+      isLeader: this.isLeader,
+      leaseTtl: this.leaseTtl,
       activeCalls: this.activeCalls.size,
       maxConcurrentCalls: this.maxConcurrentCalls,
       callDelay: this.callDelay,
-      callTimeout: this.callTimeout
+      callTimeout: this.callTimeout,
+      pacing: this.pacing
     };
   }
 
@@ -326,6 +941,12 @@ class CallQueue {
       lead.nextCallTime = nextCallTime;
       await lead.save();
 
+      // Move an already queued entry to the new time
+      await QueueEntry.updateOne(
+        { lead: lead._id, state: 'queued' },
+        { $set: { availableAt: nextCallTime, priorityRank: QueueEntry.PRIORITY_RANK[priority] ?? QueueEntry.PRIORITY_RANK.medium } }
+      );
+
       console.log(`📋 Lead ${leadId} added to queue with priority: ${priority}`);
 
       return { success: true, nextCallTime };
@@ -336,20 +957,70 @@ class CallQueue {
     }
   }
 
-  // Pause queue processing
-  pause() {
-    if (this.isRunning) {
-      this.stop();
-      console.log('⏸️ Call queue paused');
+  // Get queue counts per campaign
+  async getCampaignStatus() {
+    const campaigns = await Campaign.find({ status: { $in: ['active', 'paused'] } });
+    const now = new Date();
+
+    return Promise.all(campaigns.map(async (campaign) => ({
+      campaignId: campaign._id,
+      name: campaign.name,
+      status: campaign.status,
+      isDialing: campaign.status === 'active' && campaign.isInSchedule(now),
+      concurrency: campaign.concurrency,
+      activeCalls: await QueueEntry.countDocuments({ campaign: campaign._id, state: 'leased' }),
+      queued: await QueueEntry.countDocuments({ campaign: campaign._id, state: 'queued' })
+    })));
+  }
+
+  // Pause a campaign (persisted, so it applies to every instance)
+  async pauseCampaign(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: 'active' },
+      { status: 'paused' },
+      { new: true }
+    );
+    if (!campaign) {
+      throw new Error('Active campaign not found');
     }
+
+    console.log(`⏸️ Campaign ${campaign.name} paused`);
+    return campaign;
   }
 
-  // Resume queue processing
-  resume() {
-    if (!this.isRunning) {
-      this.start();
-      console.log('▶️ Call queue resumed');
+  // Resume a paused campaign
+  async resumeCampaign(campaignId) {
+    const campaign = await Campaign.findOneAndUpdate(
+      { _id: campaignId, status: { $in: ['paused', 'draft'] } },
+      { status: 'active' },
+      { new: true }
+    );
+    if (!campaign) {
+      throw new Error('Paused campaign not found');
     }
+
+    console.log(`▶️ Campaign ${campaign.name} resumed`);
+    return campaign;
+  }
+
+  // Read the stored pause switch
+  async checkPaused() {
+    this.isPaused = await QueueControl.isPaused(LEADER_LOCK_NAME);
+    return this.isPaused;
+  }
+
+  // Pause dialing (persisted, so it applies to the leader and survives restarts)
+  async pause(actor) {
+    await QueueControl.setPaused(LEADER_LOCK_NAME, true, actor);
+    this.isPaused = true;
+    console.log('⏸️ Call queue paused');
+  }
+
+  // Resume dialing
+  async resume(actor) {
+    await QueueControl.setPaused(LEADER_LOCK_NAME, false, actor);
+    this.isPaused = false;
+    console.log('▶️ Call queue resumed');
   }
 }
 
@@ -0,0 +1,128 @@
+// Scheduled callbacks. A callback promises a lead a call from a given salesperson
+// (the owner) at a given time. The lead is parked as pending until then; when it is
+// due the dialer queues it ahead of other leads and routes it to the owner, falling
+// back to normal routing once the owner has been unavailable for CALLBACK_OWNER_WAIT.
+// Owners get a `callback_reminder` shortly before each callback.
+
+const Callback = require('../models/Callback');
+const QueueEntry = require('../models/QueueEntry');
+const Lead = require('../models/Lead');
+const { emitToUser } = require('./socketHandler');
+const { InvalidTransitionError } = require('./stateMachine');
+
+// Lead statuses that mean a call is in progress
+const LEAD_ON_CALL_STATUSES = ['calling', 'answered'];
+
+const getReminderLead = () => (parseInt(process.env.CALLBACK_REMINDER_MINUTES) || 5) * 60 * 1000;
+const getOwnerWait = () => {
+  const minutes = parseInt(process.env.CALLBACK_OWNER_WAIT_MINUTES);
+  return (Number.isNaN(minutes) ? 5 : Math.max(0, minutes)) * 60 * 1000;
+};
+
+// Drop a queued (not yet dialed) entry so the lead is queued again at its new time
+const unqueueLead = (leadId) => QueueEntry.deleteOne({ lead: leadId, state: 'queued' });
+
+// Park a lead until its callback: pending, owned by the callback's owner, due at the callback time
+const parkLead = async (lead, callback, context) => {
+  if (lead.status !== 'pending') {
+    lead.transitionTo('pending', { ...context, reason: 'Callback scheduled' });
+  }
+  lead.assignedTo = callback.owner;
+  lead.nextCallTime = callback.dueAt;
+  await lead.save();
+  await unqueueLead(lead._id);
+};
+
+// Schedule a callback for a lead. A lead has at most one scheduled callback;
+// scheduling another one replaces it. Throws InvalidTransitionError when the
+// lead is on a call or cannot go back to pending.
+const scheduleCallback = async (lead, { owner, dueAt, note, createdBy, sourceCall }) => {
+  if (LEAD_ON_CALL_STATUSES.includes(lead.status)) {
+    throw new InvalidTransitionError('lead', lead.status, 'pending', 'lead is on a call');
+  }
+
+  const callback = new Callback({
+    lead: lead._id,
+    owner,
+    dueAt,
+    note,
+    createdBy: createdBy || owner,
+    sourceCall
+  });
+
+  await parkLead(lead, callback, { actor: createdBy || owner, source: 'callback' });
+
+  await Callback.updateMany(
+    { lead: lead._id, status: 'scheduled' },
+    { $set: { status: 'canceled', canceledAt: new Date(), canceledBy: createdBy || owner } }
+  );
+  await callback.save();
+
+  return callback;
+};
+
+// Move a scheduled callback to a new time and/or change its note
+const rescheduleCallback = async (callback, { dueAt, note }, actor) => {
+  if (dueAt) {
+    callback.dueAt = dueAt;
+    callback.remindedAt = undefined;
+    callback.rescheduleCount += 1;
+
+    const lead = await Lead.findById(callback.lead);
+    if (lead && !LEAD_ON_CALL_STATUSES.includes(lead.status)) {
+      await parkLead(lead, callback, { actor, source: 'callback' });
+    }
+  }
+
+  if (note !== undefined) {
+    callback.note = note;
+  }
+
+  return callback.save();
+};
+
+// Cancel a scheduled callback. The lead stays in the normal dialing flow at its next call time.
+const cancelCallback = async (callback, actor) => {
+  callback.status = 'canceled';
+  callback.canceledAt = new Date();
+  callback.canceledBy = actor;
+  await callback.save();
+
+  // A lead queued ahead of others for the callback is queued again like any other
+  await unqueueLead(callback.lead);
+
+  return callback;
+};
+
+// Remind owners of the callbacks coming up. Returns how many reminders were sent.
+const sendCallbackReminders = async () => {
+  const remindBefore = getReminderLead();
+  let sent = 0;
+
+  let callback = await Callback.claimReminder(remindBefore);
+  while (callback) {
+    const lead = await Lead.findById(callback.lead).select('phone name');
+
+    emitToUser(callback.owner, 'callback_reminder', {
+      callbackId: callback._id,
+      leadId: callback.lead,
+      phone: lead ? lead.phone : null,
+      name: lead ? lead.name : null,
+      dueAt: callback.dueAt,
+      note: callback.note
+    });
+    sent += 1;
+
+    callback = await Callback.claimReminder(remindBefore);
+  }
+
+  return sent;
+};
+
+module.exports = {
+  getOwnerWait,
+  scheduleCallback,
+  rescheduleCallback,
+  cancelCallback,
+  sendCallbackReminders
+};
@@ -0,0 +1,229 @@
+// Calling-hours windows for the dialer.
+// A lead may be called when its local time (lead time zone, derived from the
+// phone prefix when missing) falls inside one of its campaign's windows for
+// that weekday, and the local date is not on the holiday calendar.
+
+const HolidayCalendar = require('../models/HolidayCalendar');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tashkent';
+
+// How long holiday calendars are cached between queue cycles
+const CALENDAR_CACHE_TTL = 60 * 1000;
+
+// Farthest ahead we look for the next legal slot
+const MAX_SEARCH_DAYS = 366;
+
+// Time zones by international dialing prefix (longest prefix wins)
+const PHONE_PREFIX_TIMEZONES = {
+  998: 'Asia/Tashkent',
+  992: 'Asia/Dushanbe',
+  993: 'Asia/Ashgabat',
+  994: 'Asia/Baku',
+  995: 'Asia/Tbilisi',
+  996: 'Asia/Bishkek',
+  971: 'Asia/Dubai',
+  90: 'Europe/Istanbul',
+  86: 'Asia/Shanghai',
+  82: 'Asia/Seoul',
+  77: 'Asia/Almaty',
+  49: 'Europe/Berlin',
+  44: 'Europe/London',
+  7: 'Europe/Moscow',
+  1: 'America/New_York'
+};
+
+const calendarCache = new Map();
+
+// Derive a time zone from a phone number's country prefix
+const getTimezoneForPhone = (phone) => {
+  if (!phone) {
+    return DEFAULT_TIMEZONE;
+  }
+
+  const digits = phone.replace(/\D/g, '');
+
+  // Local numbers without a country code are Uzbek
+  if (!phone.trim().startsWith('+') && digits.length === 9) {
+    return PHONE_PREFIX_TIMEZONES[998];
+  }
+
+  for (let length = 3; length >= 1; length--) {
+    const timezone = PHONE_PREFIX_TIMEZONES[digits.slice(0, length)];
+    if (timezone) {
+      return timezone;
+    }
+  }
+
+  return DEFAULT_TIMEZONE;
+};
+
+// Local date (YYYY-MM-DD), weekday (0 = Sunday) and time (HH:mm) of a moment in a time zone
+const getLocalTime = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(part => part.type === type).value;
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    day: weekdays.indexOf(get('weekday')),
+    time: `${get('hour')}:${get('minute')}`
+  };
+};
+
+// Local calendar date (YYYY-MM-DD) of a moment in a time zone
+const getLocalDate = (date, timezone) => getLocalTime(date, timezone).date;
+
+// Offset of a time zone from UTC at a given moment, in ms
+const getTimezoneOffset = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parseInt(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Moment of a local date (YYYY-MM-DD) and time (HH:mm) in a time zone
+const toInstant = (localDate, time, timezone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const guess = asUtc - getTimezoneOffset(new Date(asUtc), timezone);
+
+  // Second pass in case the guess crossed a DST change
+  return new Date(asUtc - getTimezoneOffset(new Date(guess), timezone));
+};
+
+// Local date a number of days after another local date
+const addDays = (localDate, days) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Start of the next local day after a moment in a time zone
+const getNextDayStart = (date, timezone) => toInstant(addDays(getLocalDate(date, timezone), 1), '00:00', timezone);
+
+// Calling hours for leads outside campaigns
+const getDefaultCallingHours = () => ({
+  start: process.env.CALLING_HOURS_START || '09:00',
+  end: process.env.CALLING_HOURS_END || '20:00',
+  days: (process.env.CALLING_DAYS || '1,2,3,4,5,6').split(',').map(day => parseInt(day))
+});
+
+// Windows per weekday from a campaign (per-weekday windows win over the simple calling hours)
+const getWeeklyWindows = (campaign = null) => {
+  const windows = [[], [], [], [], [], [], []];
+
+  if (campaign && campaign.callingWindows && campaign.callingWindows.length > 0) {
+    campaign.callingWindows.forEach(({ day, start, end }) => windows[day].push({ start, end }));
+  } else {
+    const { start, end, days } = campaign ? campaign.callingHours : getDefaultCallingHours();
+    days.forEach(day => windows[day].push({ start, end }));
+  }
+
+  windows.forEach(dayWindows => dayWindows.sort((a, b) => a.start.localeCompare(b.start)));
+  return windows;
+};
+
+// Get a holiday calendar by ID (or the default one), cached briefly
+const getCalendar = async (calendarId = null) => {
+  const key = calendarId ? calendarId.toString() : 'default';
+  const cached = calendarCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.calendar;
+  }
+
+  const calendar = calendarId
+    ? await HolidayCalendar.findById(calendarId)
+    : await HolidayCalendar.getDefault();
+
+  calendarCache.set(key, { calendar, expiresAt: Date.now() + CALENDAR_CACHE_TTL });
+  return calendar;
+};
+
+// Drop cached calendars after they were edited
+const clearCalendarCache = () => calendarCache.clear();
+
+// Build the calling window of a lead, optionally within a campaign
+const resolveCallingWindow = async (lead, campaign = null) => {
+  const calendar = await getCalendar(campaign && campaign.holidayCalendar ? campaign.holidayCalendar : null);
+
+  return {
+    timezone: lead.timezone || (campaign && campaign.timezone) || getTimezoneForPhone(lead.phone),
+    windows: getWeeklyWindows(campaign),
+    calendar
+  };
+};
+
+// Check whether a moment is inside a calling window
+const isCallable = (window, date = new Date()) => {
+  const local = getLocalTime(date, window.timezone);
+
+  if (window.calendar && window.calendar.isHoliday(local.date)) {
+    return false;
+  }
+
+  return window.windows[local.day].some(({ start, end }) => local.time >= start && local.time < end);
+};
+
+// Next moment at or after `from` inside a calling window, or null if there is none
+const getNextCallableTime = (window, from = new Date()) => {
+  if (window.windows.every(dayWindows => dayWindows.length === 0)) {
+    return null;
+  }
+
+  if (isCallable(window, from)) {
+    return from;
+  }
+
+  const today = getLocalDate(from, window.timezone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const localDate = addDays(today, offset);
+    if (window.calendar && window.calendar.isHoliday(localDate)) {
+      continue;
+    }
+
+    const day = new Date(`${localDate}T00:00:00Z`).getUTCDay();
+    for (const { start } of window.windows[day]) {
+      const slot = toInstant(localDate, start, window.timezone);
+      if (slot > from) {
+        return slot;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getTimezoneForPhone,
+  getLocalTime,
+  getLocalDate,
+  getNextDayStart,
+  getWeeklyWindows,
+  resolveCallingWindow,
+  clearCalendarCache,
+  isCallable,
+  getNextCallableTime
+};
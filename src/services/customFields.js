@@ -0,0 +1,106 @@
+// Admin-defined lead fields (see models/CustomField) in lead queries and views.
+// GET /api/leads filters on them with custom[key] query parameters:
+// - text: the value appears in the field, ignoring case
+// - number and date: custom[key]=value, or a range with custom[key][min] and custom[key][max]
+//   (a date alone matches that whole day)
+// - enum and multi-select: any of comma-separated options
+// - boolean: true or false (unset counts as false)
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Conditions on lead.customFields for the custom[key] filters of a query.
+// Returns { conditions, errors }.
+const buildCustomFieldFilters = (filters, fields) => {
+  const conditions = {};
+  const errors = [];
+
+  if (!filters || typeof filters !== 'object') {
+    return { conditions, errors: filters ? ['custom filters must name a field, as custom[key]=value'] : [] };
+  }
+
+  for (const [key, filter] of Object.entries(filters)) {
+    const field = fields.find(item => item.key === key);
+    if (!field) {
+      errors.push(`Unknown custom field: ${key}`);
+      continue;
+    }
+
+    const name = field.label || field.key;
+    const path = `customFields.${key}`;
+    const parse = (raw) => {
+      const value = field.parseValue(raw);
+      if (value === undefined) {
+        errors.push(`Invalid filter value for ${name}: ${raw}`);
+      }
+      return value;
+    };
+
+    if (filter && typeof filter === 'object' && !Array.isArray(filter)) {
+      if (!['number', 'date'].includes(field.type)) {
+        errors.push(`${name} cannot be filtered by range`);
+        continue;
+      }
+      const range = {};
+      if (filter.min !== undefined) range.$gte = parse(filter.min);
+      if (filter.max !== undefined) range.$lte = parse(filter.max);
+      conditions[path] = range;
+      continue;
+    }
+    if (typeof filter !== 'string' || filter.trim() === '') {
+      errors.push(`Invalid filter value for ${name}`);
+      continue;
+    }
+
+    if (field.type === 'text') {
+      conditions[path] = { $regex: escapeRegex(filter.trim()), $options: 'i' };
+    } else if (field.type === 'date') {
+      const day = parse(filter);
+      if (day) {
+        const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+        conditions[path] = { $gte: start, $lt: new Date(start.getTime() + DAY_MS) };
+      }
+    } else if (field.type === 'boolean') {
+      conditions[path] = parse(filter) ? true : { $ne: true };
+    } else if (field.type === 'enum' || field.type === 'multiselect') {
+      conditions[path] = { $in: filter.split(',').map(item => parse(item)) };
+    } else {
+      conditions[path] = parse(filter);
+    }
+  }
+
+  return { conditions, errors };
+};
+
+// The custom field values of a lead, labelled and in field order, for display.
+// With `operator`, only the fields salespeople see.
+const describeCustomFields = (lead, fields, { operator = false } = {}) => {
+  const values = lead.customFields || new Map();
+  const valueOf = (key) => (values instanceof Map ? values.get(key) : values[key]);
+
+  return fields
+    .filter(field => !operator || field.showToOperator)
+    .filter(field => valueOf(field.key) !== undefined && valueOf(field.key) !== null)
+    .map(field => ({
+      key: field.key,
+      label: field.label,
+      type: field.type,
+      value: valueOf(field.key)
+    }));
+};
+
+// A custom field value as text, for CSV export
+const formatCustomValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+module.exports = {
+  escapeRegex,
+  buildCustomFieldFilters,
+  describeCustomFields,
+  formatCustomValue
+};
@@ -0,0 +1,270 @@
+// Reading uploaded import files (leads and Do-Not-Call numbers) as rows of text keyed by
+// header. Handles CSV in UTF-8, UTF-16 (Excel's "Unicode text") or Windows-1251 with a
+// comma, semicolon, tab or pipe delimiter, Excel workbooks (.xlsx/.xls, first sheet) and
+// JSON arrays of objects. Encoding and delimiter are detected from the start of the file
+// unless given. Column headers are matched to fields through HEADER_ALIASES.
+// Parsing a workbook is synchronous, so it runs in a worker thread (this module, see the
+// end) and the rows come back in chunks; the server keeps answering webhooks meanwhile.
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const iconv = require('iconv-lite');
+const XLSX = require('xlsx');
+
+const FILE_FORMATS = ['csv', 'excel', 'json'];
+const ENCODINGS = ['utf8', 'utf16le', 'win1251'];
+const DELIMITERS = [',', ';', '\t', '|'];
+const SAMPLE_SIZE = 64 * 1024;
+const EXCEL_CHUNK_SIZE = 500; // Rows per message from the workbook reader thread
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.xlsx': 'excel',
+  '.xls': 'excel',
+  '.json': 'json'
+};
+
+const MIME_FORMATS = {
+  'text/csv': 'csv',
+  'text/plain': 'csv',
+  'text/tab-separated-values': 'csv',
+  'application/vnd.ms-excel': 'excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'excel',
+  'application/json': 'json'
+};
+
+// Header names recognised for each field (matched case-insensitively, ignoring spaces,
+// dashes and underscores)
+const HEADER_ALIASES = {
+  phone: ['phone', 'telephone', 'tel', 'mobile', 'phone number', 'number', 'telefon', 'телефон'],
+  name: ['name', 'fullname', 'full name', 'ism', 'fio', 'имя', 'фио'],
+  email: ['email', 'e-mail', 'mail'],
+  priority: ['priority'],
+  notes: ['notes', 'note', 'comment', 'comments', 'izoh', 'комментарий'],
+  tags: ['tags', 'tag'],
+  language: ['language', 'lang', 'til', 'язык'],
+  course: ['course', 'courses', 'kurs', 'курс'],
+  timezone: ['timezone', 'time zone'],
+  reason: ['reason'],
+  expiresAt: ['expiresat', 'expires at', 'expires']
+};
+
+const headerKey = (header) => String(header).trim().toLowerCase().replace(/[\s_-]+/g, '');
+
+// Format of an upload from its file name, else its MIME type (Windows browsers send
+// application/vnd.ms-excel for .csv files, so the extension wins)
+const detectFormat = ({ originalName, mimeType }) => (
+  EXTENSION_FORMATS[path.extname(originalName || '').toLowerCase()] || MIME_FORMATS[mimeType] || null
+);
+
+// Encoding of a text sample: a byte order mark, else UTF-8 when the bytes are valid UTF-8,
+// else Windows-1251 (Cyrillic exports from older Excel versions)
+const detectEncoding = (sample) => {
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return 'utf16le';
+  }
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return 'utf8';
+  }
+
+  try {
+    // A character cut off at the end of the sample is not an error in stream mode
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return 'utf8';
+  } catch (error) {
+    return 'win1251';
+  }
+};
+
+// Delimiter used most often in the header line, outside quotes
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!quoted && char in counts) {
+      counts[char] += 1;
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+};
+
+// Work out how to read a stored upload. Encoding and delimiter only apply to CSV; given
+// ones are kept. Returns { format, encoding, delimiter }, format null when unsupported.
+const inspectFile = async (file, { encoding, delimiter } = {}) => {
+  const format = detectFormat(file);
+  if (format !== 'csv') {
+    return { format };
+  }
+
+  const handle = await fs.promises.open(file.path, 'r');
+  let sample;
+  try {
+    const buffer = Buffer.alloc(SAMPLE_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, SAMPLE_SIZE, 0);
+    sample = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const detectedEncoding = encoding || detectEncoding(sample);
+
+  return {
+    format,
+    encoding: detectedEncoding,
+    delimiter: delimiter || detectDelimiter(iconv.decode(sample, detectedEncoding))
+  };
+};
+
+// Cell value as text: whole numbers without exponent (phone numbers), dates as ISO
+// strings and lists comma-separated
+const toText = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString();
+  if (typeof value === 'number') return Number.isInteger(value) ? value.toFixed(0) : String(value);
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const toTextRow = (record) => {
+  const row = {};
+  Object.keys(record).forEach(key => {
+    row[key.trim()] = toText(record[key]);
+  });
+  return row;
+};
+
+async function* readCsv(filePath, { encoding = 'utf8', delimiter = ',' }) {
+  const parser = fs.createReadStream(filePath)
+    .pipe(iconv.decodeStream(encoding))
+    .pipe(csv({ separator: delimiter, mapHeaders: ({ header }) => header.trim() }));
+
+  for await (const row of parser) {
+    yield row;
+  }
+}
+
+// Rows of the first sheet of a workbook, run in the reader thread
+const parseWorkbook = (filePath) => {
+  const workbook = XLSX.readFile(filePath, { cellDates: true, dense: true });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return;
+  }
+
+  const records = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true });
+  for (let start = 0; start < records.length; start += EXCEL_CHUNK_SIZE) {
+    parentPort.postMessage(records.slice(start, start + EXCEL_CHUNK_SIZE).map(toTextRow));
+  }
+};
+
+async function* readExcel(filePath) {
+  const worker = new Worker(__filename, { workerData: { excelFile: filePath } });
+  const chunks = [];
+  let failure = null;
+  let finished = false;
+  let wake = null;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  worker.on('message', (rows) => { chunks.push(rows); notify(); });
+  worker.on('error', (error) => { failure = error; notify(); });
+  worker.on('exit', (code) => {
+    if (code !== 0 && !failure) {
+      failure = new Error(`Excel reader stopped with exit code ${code}`);
+    }
+    finished = true;
+    notify();
+  });
+
+  try {
+    for (;;) {
+      if (chunks.length > 0) {
+        yield* chunks.shift();
+      } else if (failure) {
+        throw failure;
+      } else if (finished) {
+        return;
+      } else {
+        await new Promise(resolve => { wake = resolve; });
+      }
+    }
+  } finally {
+    // The reader may be stopped early (a canceled import)
+    await worker.terminate();
+  }
+}
+
+async function* readJson(filePath) {
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  const records = JSON.parse(text.replace(/^\uFEFF/, ''));
+  if (!Array.isArray(records)) {
+    throw new Error('JSON import file must contain an array of objects');
+  }
+
+  for (const record of records) {
+    if (record && typeof record === 'object' && !Array.isArray(record)) {
+      yield toTextRow(record);
+    }
+  }
+}
+
+// Rows of a file as { header: text } objects, read as inspectFile described it
+const readRows = (filePath, { format, encoding, delimiter }) => {
+  switch (format) {
+    case 'excel':
+      return readExcel(filePath);
+    case 'json':
+      return readJson(filePath);
+    case 'csv':
+      return readCsv(filePath, { encoding, delimiter });
+    default:
+      throw new Error(`Unsupported import file format: ${format}`);
+  }
+};
+
+// Header of a row for a field: the given one, else the first alias present
+const findHeader = (headers, field, wanted = null) => {
+  const byKey = new Map(headers.map(header => [headerKey(header), header]));
+  const names = wanted ? [wanted] : HEADER_ALIASES[field] || [field];
+  return names.map(name => byKey.get(headerKey(name))).find(Boolean) || null;
+};
+
+// A value as a CSV cell, quoted when it has to be
+const escapeCsv = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+module.exports = {
+  FILE_FORMATS,
+  ENCODINGS,
+  DELIMITERS,
+  HEADER_ALIASES,
+  detectFormat,
+  detectEncoding,
+  detectDelimiter,
+  inspectFile,
+  readRows,
+  findHeader,
+  escapeCsv
+};
+
+// Workbook reader thread started by readExcel
+if (!isMainThread && workerData && workerData.excelFile) {
+  parseWorkbook(workerData.excelFile);
+}
@@ -0,0 +1,533 @@
+// Duplicate leads. The same person often arrives twice: from two imports, typed by hand
+// with a different spelling, or with a number the phone migration could not normalize
+// because another lead already had it. Leads are paired when their numbers normalize to
+// the same one, their emails are equal, or their names are alike across scripts and
+// spellings, up to a typo or two (see services/transliteration). Pairs wait in a review queue (DuplicateCandidate)
+// until an admin merges or dismisses them; a dismissed pair is never suggested again.
+//
+// A merge keeps one lead (the survivor) and deactivates the other: the survivor gets
+// the other's call history, tags, notes and call attempts, fills its empty fields
+// (custom fields included), and takes over its call logs and callbacks. Every merge is
+// recorded (LeadMerge) with what it changed, so it can be undone; survivor fields
+// edited since the merge are kept.
+
+const Lead = require('../models/Lead');
+const CallLog = require('../models/CallLog');
+const Callback = require('../models/Callback');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const LeadMerge = require('../models/LeadMerge');
+const { E164_PATTERN, normalizePhone } = require('./phoneNumber');
+const { nameKey, nameBlocks, nameSimilarity } = require('./transliteration');
+const { emitToRoom } = require('./socketHandler');
+const { InvalidTransitionError } = require('./stateMachine');
+
+// Leads sharing an email or name with more leads than this are not paired: the value is
+// too common (a shared office address, a frequent name) to say they are one person
+const MAX_GROUP_SIZE = parseInt(process.env.DUPLICATE_MAX_GROUP_SIZE) || 25;
+// How alike two full names must be to pair their leads (1 = equal name keys only)
+const NAME_SIMILARITY = parseFloat(process.env.DUPLICATE_NAME_SIMILARITY) || 0.85;
+const BATCH_SIZE = 500;
+
+// A lead on a call cannot be merged, or the call would update the wrong lead
+const BUSY_STATUSES = ['claimed', 'calling', 'answered'];
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, urgent: 3 };
+const SENIORITY_RANK = { junior: 0, middle: 1, senior: 2 };
+const NOTES_MAX_LENGTH = 500;
+
+const MATCH_FIELDS = 'phone email nameKey nameBlocks';
+
+let isScanning = false;
+
+// A single word (first name only) says too little to pair two leads
+const isFullName = (key) => Boolean(key) && key.includes(' ');
+
+// What two leads have in common: phone, email and/or name, with how alike the names are
+const matchesOf = (leadA, leadB) => {
+  const matchedOn = [];
+  const phone = normalizePhone(leadA.phone);
+  const similarity = isFullName(leadA.nameKey) && isFullName(leadB.nameKey)
+    ? nameSimilarity(leadA.nameKey, leadB.nameKey)
+    : 0;
+
+  if (phone && phone === normalizePhone(leadB.phone)) {
+    matchedOn.push('phone');
+  }
+  if (leadA.email && leadA.email === leadB.email) {
+    matchedOn.push('email');
+  }
+  if (similarity >= NAME_SIMILARITY) {
+    matchedOn.push('name');
+  }
+
+  return { matchedOn, nameSimilarity: matchedOn.includes('name') ? Math.round(similarity * 1000) / 1000 : null };
+};
+
+const pairsOf = (leads) => {
+  const pairs = [];
+  for (let i = 0; i < leads.length; i += 1) {
+    for (let j = i + 1; j < leads.length; j += 1) {
+      pairs.push([leads[i], leads[j]]);
+    }
+  }
+  return pairs;
+};
+
+// Queue the pairs that match. New pairs start pending; pending ones get their matches
+// refreshed, and reviewed ones are left alone. Returns how many pairs are new.
+const upsertCandidates = async (pairs) => {
+  const operations = [];
+
+  for (const [leadA, leadB] of pairs) {
+    const { matchedOn, nameSimilarity: similarity } = matchesOf(leadA, leadB);
+    if (matchedOn.length === 0) {
+      continue;
+    }
+
+    const pairKey = DuplicateCandidate.pairKeyOf(leadA._id, leadB._id);
+    const score = DuplicateCandidate.scoreOf(matchedOn, similarity);
+    const leads = [leadA._id, leadB._id].sort((a, b) => String(a).localeCompare(String(b)));
+
+    operations.push(
+      {
+        updateOne: {
+          filter: { pairKey },
+          update: { $setOnInsert: { pairKey, leads, matchedOn, nameSimilarity: similarity, score, status: 'pending' } },
+          upsert: true
+        }
+      },
+      {
+        updateOne: {
+          filter: { pairKey, status: 'pending' },
+          update: { $set: { matchedOn, nameSimilarity: similarity, score } }
+        }
+      }
+    );
+  }
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  const result = await DuplicateCandidate.bulkWrite(operations, { ordered: true });
+  return result.upsertedCount;
+};
+
+// Give leads saved before name keys and blocks existed theirs
+const backfillNameKeys = async () => {
+  const cursor = Lead.collection.find(
+    { $or: [{ nameKey: { $exists: false } }, { nameBlocks: { $exists: false } }] },
+    { projection: { name: 1 } }
+  );
+  let operations = [];
+
+  for await (const doc of cursor) {
+    const key = nameKey(doc.name);
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: { nameKey: key, nameBlocks: nameBlocks(key) } }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await Lead.collection.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Lead.collection.bulkWrite(operations, { ordered: false });
+  }
+};
+
+// Ids of the active leads sharing each value of a field (groups of 2 to MAX_GROUP_SIZE);
+// for a list field, each value of the list
+const groupBy = async (field, match, { list = false } = {}) => {
+  const groups = await Lead.aggregate([
+    { $match: { isActive: true, ...match } },
+    ...(list ? [{ $unwind: `$${field}` }] : []),
+    { $group: { _id: `$${field}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1, $lte: MAX_GROUP_SIZE } } }
+  ]);
+  return groups.map(group => group.ids);
+};
+
+// Pair leads whose number was left as typed with the lead that has it normalized
+const matchUnnormalizedPhones = async () => {
+  const cursor = Lead.collection.find(
+    { isActive: true, phone: { $not: E164_PATTERN } },
+    { projection: { phone: 1, email: 1, nameKey: 1 } }
+  );
+  const pairs = [];
+
+  for await (const doc of cursor) {
+    const phone = normalizePhone(doc.phone);
+    if (!phone) {
+      continue;
+    }
+
+    const other = await Lead.findOne({ _id: { $ne: doc._id }, phone, isActive: true }).select(MATCH_FIELDS);
+    if (other) {
+      pairs.push([doc, other]);
+    }
+  }
+
+  return upsertCandidates(pairs);
+};
+
+// Pending pairs with a lead that was deactivated or merged meanwhile are stale
+const markStaleCandidates = async () => {
+  const leadIds = await DuplicateCandidate.distinct('leads', { status: 'pending' });
+  const inactive = await Lead.distinct('_id', { _id: { $in: leadIds }, isActive: false });
+  if (inactive.length === 0) {
+    return 0;
+  }
+
+  const result = await DuplicateCandidate.updateMany(
+    { status: 'pending', leads: { $in: inactive } },
+    { $set: { status: 'stale' } }
+  );
+  return result.modifiedCount;
+};
+
+// Look through all active leads for duplicates and queue the new pairs.
+// Returns { found, stale }, or null when a scan is already running.
+const scanForDuplicates = async () => {
+  if (isScanning) {
+    return null;
+  }
+  isScanning = true;
+
+  try {
+    await backfillNameKeys();
+
+    const groups = [
+      ...await groupBy('email', { email: { $nin: [null, ''] } }),
+      ...await groupBy('nameKey', { nameKey: / / }),
+      // Names a typo apart share a block; matchesOf tells whether they are alike enough
+      ...await groupBy('nameBlocks', { 'nameBlocks.0': { $exists: true } }, { list: true })
+    ];
+
+    let found = 0;
+    for (const ids of groups) {
+      const leads = await Lead.find({ _id: { $in: ids } }).select(MATCH_FIELDS);
+      found += await upsertCandidates(pairsOf(leads));
+    }
+    found += await matchUnnormalizedPhones();
+
+    const stale = await markStaleCandidates();
+
+    if (found > 0) {
+      console.log(`🔍 Found ${found} new pair(s) of duplicate leads to review`);
+      emitToRoom('admin', 'duplicates_found', { count: found });
+    }
+
+    return { found, stale };
+  } finally {
+    isScanning = false;
+  }
+};
+
+// Queue the duplicates of one lead (a lead just created). Returns how many pairs are new.
+const findDuplicatesOf = async (lead) => {
+  const conditions = [];
+
+  if (lead.phone) {
+    conditions.push({ phone: lead.phone });
+  }
+  if (lead.email) {
+    conditions.push({ email: lead.email });
+  }
+  if (isFullName(lead.nameKey) && lead.nameBlocks && lead.nameBlocks.length > 0) {
+    conditions.push({ nameBlocks: { $in: lead.nameBlocks } });
+  }
+
+  // One query per condition, so leads sharing a name block cannot crowd out a phone match
+  const others = new Map();
+  for (const condition of conditions) {
+    const found = await Lead.find({ _id: { $ne: lead._id }, isActive: true, ...condition })
+      .select(MATCH_FIELDS)
+      .limit(MAX_GROUP_SIZE);
+    found.forEach(other => others.set(String(other._id), other));
+  }
+  if (others.size === 0) {
+    return 0;
+  }
+
+  const found = await upsertCandidates([...others.values()].map(other => [lead, other]));
+  if (found > 0) {
+    emitToRoom('admin', 'duplicates_found', { count: found, lead: lead._id });
+  }
+  return found;
+};
+
+// The lead to keep by default: the one called more, then the older one
+const pickSurvivor = (leadA, leadB) => {
+  if (leadA.callAttempts !== leadB.callAttempts) {
+    return leadA.callAttempts > leadB.callAttempts ? leadA : leadB;
+  }
+  return leadA.createdAt <= leadB.createdAt ? leadA : leadB;
+};
+
+const union = (list, other) => [...new Set([...(list || []), ...(other || [])])];
+
+// Survivor field values after taking in the merged lead; only the changed ones
+const mergedFields = (survivor, merged) => {
+  const fields = {};
+
+  if (!survivor.name && merged.name) fields.name = merged.name;
+  if (!survivor.email && merged.email) fields.email = merged.email;
+  if (!survivor.assignedTo && merged.assignedTo) fields.assignedTo = merged.assignedTo;
+  if (!survivor.campaign && merged.campaign) fields.campaign = merged.campaign;
+
+  if (merged.notes && !(survivor.notes || '').includes(merged.notes)) {
+    fields.notes = (survivor.notes ? `${survivor.notes}\n${merged.notes}` : merged.notes).slice(0, NOTES_MAX_LENGTH);
+  }
+  if (PRIORITY_RANK[merged.priority] > PRIORITY_RANK[survivor.priority]) {
+    fields.priority = merged.priority;
+  }
+  if (merged.lastCallAttempt && !(survivor.lastCallAttempt >= merged.lastCallAttempt)) {
+    fields.lastCallAttempt = merged.lastCallAttempt;
+  }
+  if (merged.lastDisposition && merged.lastDisposition.at &&
+      !(survivor.lastDisposition && survivor.lastDisposition.at >= merged.lastDisposition.at)) {
+    fields.lastDisposition = merged.lastDisposition;
+  }
+  if (merged.doNotCall && !survivor.doNotCall) {
+    fields.doNotCall = true;
+  }
+
+  const skills = survivor.requiredSkills || {};
+  const mergedSkills = merged.requiredSkills || {};
+  const requiredSkills = {
+    languages: union(skills.languages, mergedSkills.languages),
+    courses: union(skills.courses, mergedSkills.courses),
+    minSeniority: SENIORITY_RANK[mergedSkills.minSeniority] > (SENIORITY_RANK[skills.minSeniority] ?? -1)
+      ? mergedSkills.minSeniority
+      : skills.minSeniority
+  };
+  if (JSON.stringify(requiredSkills) !== JSON.stringify({
+    languages: skills.languages || [],
+    courses: skills.courses || [],
+    minSeniority: skills.minSeniority
+  })) {
+    fields.requiredSkills = requiredSkills;
+  }
+
+  // Custom field values the survivor has none for
+  const customFields = Object.fromEntries(survivor.customFields || []);
+  const missing = [...(merged.customFields || new Map()).entries()].filter(([key]) => customFields[key] === undefined);
+  if (missing.length > 0) {
+    fields.customFields = { ...customFields, ...Object.fromEntries(missing) };
+  }
+
+  return fields;
+};
+
+const valueOf = (lead, field) => {
+  const value = lead.toObject({ flattenMaps: true })[field];
+  return value === undefined ? null : value;
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Merge one lead into another. Returns the LeadMerge record, or null when either lead
+// is on a call or was merged meanwhile.
+const mergeLeads = async (survivorId, mergedId, { actor, candidate = null } = {}) => {
+  const survivor = await Lead.findOne({ _id: survivorId, mergedInto: null, status: { $nin: BUSY_STATUSES } });
+  if (!survivor) {
+    return null;
+  }
+
+  // Taking the merged lead out first means a concurrent merge of it finds nothing
+  const merged = await Lead.findOneAndUpdate(
+    { _id: mergedId, mergedInto: null, status: { $nin: BUSY_STATUSES } },
+    { $set: { mergedInto: survivor._id, isActive: false } }
+  );
+  if (!merged) {
+    return null;
+  }
+
+  // A direct merge of a queued pair settles that pair too
+  if (!candidate) {
+    candidate = await DuplicateCandidate.findOne({
+      pairKey: DuplicateCandidate.pairKeyOf(survivor._id, merged._id),
+      status: 'pending'
+    });
+  }
+
+  const record = new LeadMerge({
+    survivor: survivor._id,
+    merged: merged._id,
+    candidate: candidate ? candidate._id : undefined,
+    mergedBefore: { isActive: merged.isActive },
+    mergedBy: actor
+  });
+
+  // Survivor: replaced fields, plus the merged lead's history, tags and attempts
+  const fields = mergedFields(survivor, merged);
+  const addedTags = (merged.tags || []).filter(tag => !(survivor.tags || []).includes(tag));
+  const update = {
+    $set: { ...fields },
+    $inc: { callAttempts: merged.callAttempts || 0 }
+  };
+  if (fields.name) {
+    update.$set.nameKey = nameKey(fields.name);
+    update.$set.nameBlocks = nameBlocks(update.$set.nameKey);
+  }
+  if (merged.callHistory.length > 0) {
+    update.$push = { callHistory: { $each: merged.callHistory.map(entry => entry.toObject()), $sort: { timestamp: 1 } } };
+  }
+  if (addedTags.length > 0) {
+    update.$addToSet = { tags: { $each: addedTags } };
+  }
+
+  const updated = await Lead.findByIdAndUpdate(survivor._id, update, { new: true });
+
+  record.survivorBefore = Object.fromEntries(Object.keys(fields).map(field => [field, valueOf(survivor, field)]));
+  record.survivorAfter = Object.fromEntries(Object.keys(fields).map(field => [field, valueOf(updated, field)]));
+  record.addedCallHistory = merged.callHistory.map(entry => entry._id);
+  record.addedTags = addedTags;
+  record.addedCallAttempts = merged.callAttempts || 0;
+
+  // Call logs and callbacks follow the lead; one scheduled callback per lead is enough
+  record.movedCallLogs = await CallLog.distinct('_id', { lead: merged._id });
+  await CallLog.updateMany({ _id: { $in: record.movedCallLogs } }, { $set: { lead: survivor._id } });
+
+  if (await Callback.findScheduled(survivor._id)) {
+    record.canceledCallbacks = await Callback.distinct('_id', { lead: merged._id, status: 'scheduled' });
+    await Callback.updateMany(
+      { _id: { $in: record.canceledCallbacks } },
+      { $set: { status: 'canceled', canceledAt: new Date(), canceledBy: actor } }
+    );
+  }
+  record.movedCallbacks = await Callback.distinct('_id', { lead: merged._id });
+  await Callback.updateMany({ _id: { $in: record.movedCallbacks } }, { $set: { lead: survivor._id } });
+
+  // Other pairs with the merged lead no longer apply
+  record.staleCandidates = await DuplicateCandidate.distinct('_id', {
+    _id: { $ne: candidate ? candidate._id : null },
+    leads: merged._id,
+    status: 'pending'
+  });
+  await DuplicateCandidate.updateMany({ _id: { $in: record.staleCandidates } }, { $set: { status: 'stale' } });
+
+  await record.save();
+
+  if (candidate) {
+    await DuplicateCandidate.updateOne(
+      { _id: candidate._id },
+      { $set: { status: 'merged', reviewedBy: actor, reviewedAt: new Date(), merge: record._id } }
+    );
+  }
+
+  console.log(`🔗 Lead ${merged._id} merged into ${survivor._id}`);
+  return record;
+};
+
+// Undo a merge: take back what it added to the survivor, return the call logs and
+// callbacks and reactivate the merged lead. Survivor fields edited since the merge are
+// kept and listed in undoConflicts. Returns the updated record, or null when there is
+// no such merge.
+const undoMerge = async (mergeId, actor) => {
+  const existing = await LeadMerge.findById(mergeId);
+  if (!existing) {
+    return null;
+  }
+  if (existing.status !== 'applied') {
+    throw new InvalidTransitionError('merge', existing.status, 'undone');
+  }
+  // Its history and records went on to the later survivor
+  if (await LeadMerge.exists({ merged: existing.survivor, status: 'applied' })) {
+    throw new InvalidTransitionError('merge', existing.status, 'undone', 'the surviving lead was merged into another lead since, undo that merge first');
+  }
+
+  const record = await LeadMerge.findOneAndUpdate(
+    { _id: existing._id, status: 'applied' },
+    { $set: { status: 'undone', undoneBy: actor, undoneAt: new Date() } },
+    { new: true }
+  );
+  if (!record) {
+    throw new InvalidTransitionError('merge', 'undone', 'undone');
+  }
+
+  const survivor = await Lead.findById(record.survivor);
+  const before = record.survivorBefore || {};
+  const after = record.survivorAfter || {};
+  const update = {
+    $set: { callAttempts: Math.max(0, survivor.callAttempts - record.addedCallAttempts) },
+    $unset: {},
+    $pull: {}
+  };
+  const conflicts = [];
+
+  for (const field of Object.keys(before)) {
+    if (!sameValue(valueOf(survivor, field), after[field])) {
+      conflicts.push(field);
+    } else if (before[field] === null) {
+      update.$unset[field] = 1;
+    } else {
+      update.$set[field] = before[field];
+    }
+  }
+  if (!conflicts.includes('name') && 'name' in before) {
+    update.$set.nameKey = nameKey(before.name);
+    update.$set.nameBlocks = nameBlocks(update.$set.nameKey);
+  }
+  if (record.addedCallHistory.length > 0) {
+    update.$pull.callHistory = { _id: { $in: record.addedCallHistory } };
+  }
+  if (record.addedTags.length > 0) {
+    update.$pull.tags = { $in: record.addedTags };
+  }
+  ['$unset', '$pull'].forEach(operator => {
+    if (Object.keys(update[operator]).length === 0) delete update[operator];
+  });
+
+  await Lead.updateOne({ _id: survivor._id }, update);
+
+  await CallLog.updateMany(
+    { _id: { $in: record.movedCallLogs }, lead: record.survivor },
+    { $set: { lead: record.merged } }
+  );
+  await Callback.updateMany(
+    { _id: { $in: record.movedCallbacks }, lead: record.survivor },
+    { $set: { lead: record.merged } }
+  );
+  await Callback.updateMany(
+    { _id: { $in: record.canceledCallbacks }, status: 'canceled' },
+    { $set: { status: 'scheduled' }, $unset: { canceledAt: 1, canceledBy: 1 } }
+  );
+
+  await Lead.updateOne(
+    { _id: record.merged },
+    { $set: { mergedInto: null, isActive: record.mergedBefore.isActive !== false } }
+  );
+
+  // The pair goes back to the queue, with the pairs the merge made stale
+  if (record.candidate) {
+    await DuplicateCandidate.updateOne(
+      { _id: record.candidate, status: 'merged' },
+      { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, merge: 1 } }
+    );
+  }
+  await DuplicateCandidate.updateMany(
+    { _id: { $in: record.staleCandidates }, status: 'stale' },
+    { $set: { status: 'pending' } }
+  );
+
+  record.undoConflicts = conflicts;
+  await record.save();
+
+  console.log(`↩️ Merge of lead ${record.merged} into ${record.survivor} undone`);
+  return record;
+};
+
+module.exports = {
+  BUSY_STATUSES,
+  matchesOf,
+  scanForDuplicates,
+  findDuplicatesOf,
+  pickSurvivor,
+  mergeLeads,
+  undoMerge
+};
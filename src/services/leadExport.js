@@ -0,0 +1,60 @@
+// Lead export as CSV. The columns are the ones lead imports read (so an export can be
+// edited and imported again), then the lead's status, source and creation time, then
+// one column per active custom field, headed by its key.
+
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Lead = require('../models/Lead');
+const { IMPORT_FIELDS } = require('../models/ImportMapping');
+const { escapeCsv } = require('./importFile');
+const { formatCustomValue } = require('./customFields');
+
+const EXTRA_COLUMNS = ['status', 'source', 'createdAt'];
+
+// Cell values of a lead, one per import field
+const importFieldValues = (lead) => {
+  const skills = lead.requiredSkills || {};
+
+  return {
+    phone: lead.phone,
+    name: lead.name,
+    email: lead.email,
+    priority: lead.priority,
+    notes: lead.notes,
+    tags: (lead.tags || []).join(', '),
+    language: (skills.languages || []).join(', '),
+    course: (skills.courses || []).join(', '),
+    timezone: lead.timezone
+  };
+};
+
+// CSV lines of the leads matching a query, oldest first
+async function* leadCsvLines(query, customFields) {
+  const headers = [...IMPORT_FIELDS, ...EXTRA_COLUMNS, ...customFields.map(field => field.key)];
+  yield headers.map(escapeCsv).join(',') + '\n';
+
+  const cursor = Lead.find(query).sort({ createdAt: 1 }).lean().cursor();
+  for await (const lead of cursor) {
+    const values = importFieldValues(lead);
+    const custom = lead.customFields || {};
+
+    const line = [
+      ...IMPORT_FIELDS.map(field => values[field]),
+      lead.status,
+      lead.source,
+      lead.createdAt ? lead.createdAt.toISOString() : '',
+      ...customFields.map(field => formatCustomValue(custom[field.key]))
+    ];
+    yield line.map(escapeCsv).join(',') + '\n';
+  }
+}
+
+// Write the leads matching a query as CSV. Leads are read only as fast as the output
+// takes them, and the cursor is closed if the output goes away.
+const writeLeadsCsv = (query, customFields, output) => (
+  pipeline(Readable.from(leadCsvLines(query, customFields)), output)
+);
+
+module.exports = {
+  writeLeadsCsv
+};
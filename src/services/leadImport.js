@@ -0,0 +1,519 @@
+// Background lead imports. An upload becomes an ImportJob that a worker claims and
+// streams in batches, so large exports neither time out a request nor sit in memory.
+// Each row is mapped to a lead through the job's columns (a saved ImportMapping,
+// overridden per job, with the usual header names as fallback; custom fields included),
+// validated against the Lead model and the custom field definitions, checked for
+// duplicates and against the Do-Not-Call list, and inserted in bulk. A dry run does all
+// of that without saving. After every batch the job records
+// its counts and checkpoint, which is where a canceled or interrupted job resumes, and
+// admins get `import_progress`. Rows left out are kept for the error report.
+
+const os = require('os');
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Lead = require('../models/Lead');
+const DncEntry = require('../models/DncEntry');
+const ImportJob = require('../models/ImportJob');
+const ImportMapping = require('../models/ImportMapping');
+const ImportRowError = require('../models/ImportRowError');
+const CustomField = require('../models/CustomField');
+const { parseLanguages } = require('./skillRouting');
+const { HEADER_ALIASES, inspectFile, readRows, findHeader, escapeCsv } = require('./importFile');
+const { emitToRoom } = require('./socketHandler');
+const { InvalidTransitionError } = require('./stateMachine');
+const { scanForDuplicates } = require('./leadDedup');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const BATCH_SIZE = 500;
+const LOCK_TTL = 2 * 60 * 1000; // A job whose worker stops renewing its claim is picked up again
+const POLL_INTERVAL = 5000;
+
+let workerInterval = null;
+let isProcessing = false;
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Pick the file header for each field: the mapped one, or a known alias when none is mapped.
+// Custom fields are read from the header mapped under `custom`, else one named like the
+// field's key or label. Returns { columns, missing } where missing lists mapped headers
+// the file does not have.
+const resolveColumns = (headers, mapped = {}, customFields = []) => {
+  const columns = {};
+  const missing = [];
+
+  for (const field of ImportMapping.IMPORT_FIELDS) {
+    const header = findHeader(headers, field, mapped[field]);
+
+    if (header) {
+      columns[field] = header;
+    } else if (mapped[field]) {
+      missing.push(mapped[field]);
+    }
+  }
+
+  // Mapped keys of fields deactivated since are ignored
+  const mappedCustom = mapped.custom || {};
+  const custom = {};
+  for (const field of customFields) {
+    const wanted = mappedCustom[field.key];
+    const header = wanted
+      ? findHeader(headers, field.key, wanted)
+      : findHeader(headers, field.key, field.key) || findHeader(headers, field.key, field.label);
+
+    if (header) {
+      custom[field.key] = header;
+    } else if (wanted) {
+      missing.push(wanted);
+    }
+  }
+  if (Object.keys(custom).length > 0) {
+    columns.custom = custom;
+  }
+
+  return { columns, missing };
+};
+
+// Turn a file row into lead data
+const mapRow = (data, columns, defaults = {}) => {
+  const value = (field) => (columns[field] && data[columns[field]] != null ? String(data[columns[field]]).trim() : '');
+
+  return {
+    phone: value('phone'),
+    name: value('name') || undefined,
+    email: value('email') || undefined,
+    priority: value('priority').toLowerCase() || defaults.priority || 'medium',
+    notes: value('notes') || undefined,
+    tags: [...new Set([...splitList(value('tags')), ...(defaults.tags || [])])],
+    timezone: value('timezone') || undefined,
+    source: defaults.source || 'csv_upload',
+    requiredSkills: {
+      languages: parseLanguages(value('language')),
+      courses: splitList(value('course'))
+    },
+    customFields: Object.fromEntries(Object.entries(columns.custom || {}).map(([key, header]) => (
+      [key, data[header] != null ? String(data[header]).trim() : '']
+    )))
+  };
+};
+
+// Build and validate the lead for a row. Returns { lead } or { error }.
+const buildLead = (data, columns, defaults, customFields = []) => {
+  const { customFields: customValues, ...leadData } = mapRow(data, columns, defaults);
+
+  if (!leadData.phone) {
+    return { error: 'Phone number is required' };
+  }
+  if (leadData.timezone && !isValidTimezone(leadData.timezone)) {
+    return { error: `Invalid time zone: ${leadData.timezone}` };
+  }
+
+  // A required custom field needs a value in every row
+  const { values, errors } = CustomField.checkValues(customValues, customFields);
+  if (errors.length > 0) {
+    return { error: errors.join('; ') };
+  }
+
+  const lead = new Lead({
+    ...leadData,
+    customFields: Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null))
+  });
+  const validationError = lead.validateSync();
+  if (validationError) {
+    return { error: Object.values(validationError.errors).map(error => error.message).join('; ') };
+  }
+
+  return { lead };
+};
+
+const emitProgress = (job) => {
+  emitToRoom('admin', 'import_progress', {
+    jobId: job._id,
+    status: job.status,
+    dryRun: job.dryRun,
+    progress: job.progress,
+    error: job.error
+  });
+};
+
+// Check and (unless dry-running) insert one batch of rows, then record the counts and the
+// checkpoint. Returns the updated job, or null when the job was taken from this worker.
+const processBatch = async (job, rows, columns, seen, customFields) => {
+  const counts = { valid: 0, invalid: 0, duplicate: 0, dnc: 0, imported: 0 };
+  const rowErrors = [];
+  const candidates = [];
+
+  const leaveOut = (item, kind, message, phone) => {
+    counts[kind] += 1;
+    rowErrors.push({ job: job._id, row: item.row, kind, phone, message, data: item.data });
+  };
+
+  for (const item of rows) {
+    const { lead, error } = buildLead(item.data, columns, job.defaults, customFields);
+    if (error) {
+      leaveOut(item, 'invalid', error, columns.phone ? item.data[columns.phone] : undefined);
+      continue;
+    }
+
+    // The same number twice in one file is imported once (phones are normalized by the model)
+    if (seen.has(lead.phone)) {
+      leaveOut(item, 'duplicate', 'Duplicate of an earlier row', lead.phone);
+      continue;
+    }
+    seen.add(lead.phone);
+
+    candidates.push({ ...item, lead });
+  }
+
+  // Numbers already stored as leads
+  const existing = new Set(
+    (await Lead.find({ phone: { $in: candidates.map(item => item.lead.phone) } }).select('phone'))
+      .map(lead => lead.phone)
+  );
+
+  const fresh = [];
+  for (const item of candidates) {
+    if (existing.has(item.lead.phone)) {
+      leaveOut(item, 'duplicate', 'Phone number already exists', item.lead.phone);
+    } else {
+      fresh.push(item);
+    }
+  }
+
+  // Numbers on the Do-Not-Call list are imported but flagged, so they are never dialed
+  const blocked = await DncEntry.findBlocked(fresh.map(item => item.lead.phone));
+  for (const item of fresh) {
+    if (blocked.has(item.lead.phone)) {
+      item.lead.doNotCall = true;
+      counts.dnc += 1;
+    }
+    // Bulk inserts skip save middleware, so the first status history entry is added here
+    item.lead.statusHistory.push({ from: null, to: 'pending', actor: job.createdBy, source: 'import' });
+  }
+  counts.valid += fresh.length;
+
+  if (!job.dryRun && fresh.length > 0) {
+    try {
+      await Lead.insertMany(fresh.map(item => item.lead), { ordered: false });
+      counts.imported += fresh.length;
+    } catch (error) {
+      if (!error.writeErrors) {
+        throw error;
+      }
+
+      // A number added meanwhile (unique phone index) or another write error leaves just that row out
+      const writeErrors = [].concat(error.writeErrors);
+      for (const writeError of writeErrors) {
+        const item = fresh[writeError.index];
+        counts.valid -= 1;
+        if (item.lead.doNotCall) counts.dnc -= 1;
+        if (writeError.code === 11000) {
+          leaveOut(item, 'duplicate', 'Phone number already exists', item.lead.phone);
+        } else {
+          leaveOut(item, 'invalid', writeError.errmsg || 'Could not be saved', item.lead.phone);
+        }
+      }
+      counts.imported += fresh.length - writeErrors.length;
+    }
+  }
+
+  if (rowErrors.length > 0) {
+    await ImportRowError.insertMany(rowErrors);
+  }
+
+  const inc = {};
+  Object.keys(counts).forEach(key => { inc[`progress.${key}`] = counts[key]; });
+
+  return ImportJob.findOneAndUpdate(
+    { _id: job._id, worker: WORKER_ID },
+    {
+      $inc: inc,
+      $set: {
+        'progress.processedRows': rows[rows.length - 1].row,
+        lockedUntil: new Date(Date.now() + LOCK_TTL)
+      }
+    },
+    { new: true }
+  );
+};
+
+// Delete a job's file once no unfinished job needs it
+const removeFileIfUnused = async (job) => {
+  const inUse = await ImportJob.exists({
+    _id: { $ne: job._id },
+    'file.path': job.file.path,
+    status: { $in: ['queued', 'running', 'canceled', 'failed'] }
+  });
+
+  if (!inUse && fs.existsSync(job.file.path)) {
+    fs.unlinkSync(job.file.path);
+  }
+};
+
+// Finish a job this worker holds, unless it was canceled or taken over meanwhile
+const finishJob = async (job, update) => {
+  const finished = await ImportJob.findOneAndUpdate(
+    { _id: job._id, worker: WORKER_ID, status: 'running' },
+    { $set: { ...update, finishedAt: new Date(), lockedUntil: null } },
+    { new: true }
+  );
+  return finished || ImportJob.findById(job._id);
+};
+
+// Run a claimed job from its checkpoint to the end of the file, or until it is canceled
+const processJob = async (claimed) => {
+  let job = claimed;
+
+  try {
+    if (!job.startedAt) {
+      job = await ImportJob.findByIdAndUpdate(job._id, { $set: { startedAt: new Date() } }, { new: true });
+    }
+    if (!fs.existsSync(job.file.path)) {
+      throw new Error('Import file is no longer available');
+    }
+    emitProgress(job);
+
+    const checkpoint = job.progress.processedRows;
+    const customFields = await CustomField.getActive();
+    const seen = new Set();
+    let columns = null;
+    let batch = [];
+    let rowNumber = 0;
+
+    for await (const data of readRows(job.file.path, job.file)) {
+      rowNumber += 1;
+
+      if (!columns) {
+        const resolved = resolveColumns(Object.keys(data), job.toObject({ flattenMaps: true }).columns, customFields);
+        if (resolved.missing.length > 0) {
+          throw new Error(`Mapped columns not found in the file: ${resolved.missing.join(', ')}`);
+        }
+        if (!resolved.columns.phone) {
+          throw new Error(`No phone column found (expected one of: ${HEADER_ALIASES.phone.join(', ')})`);
+        }
+        columns = resolved.columns;
+        await ImportJob.updateOne({ _id: job._id }, { $set: { resolvedColumns: columns } });
+      }
+
+      // Rows up to the checkpoint were processed before; their numbers still count as
+      // seen, so a number repeated across the checkpoint is a duplicate on resume too
+      if (rowNumber <= checkpoint) {
+        const { lead } = buildLead(data, columns, job.defaults, customFields);
+        if (lead) seen.add(lead.phone);
+        continue;
+      }
+
+      batch.push({ row: rowNumber, data });
+      if (batch.length >= BATCH_SIZE) {
+        job = await processBatch(job, batch, columns, seen, customFields);
+        batch = [];
+
+        if (!job || job.status !== 'running') {
+          break;
+        }
+        emitProgress(job);
+      }
+    }
+
+    if (job && job.status === 'running' && batch.length > 0) {
+      job = await processBatch(job, batch, columns, seen, customFields);
+    }
+
+    // Canceled, or claimed by another worker after this one stalled
+    if (!job || job.status !== 'running') {
+      if (job) emitProgress(job);
+      return;
+    }
+
+    // The file is read once, so its row count is known when it has been read to the end
+    job = await finishJob(job, { status: 'completed', 'progress.totalRows': rowNumber });
+    if (!job.dryRun) {
+      await removeFileIfUnused(job);
+    }
+    // Imported leads may be people already on file under another number or spelling
+    if (!job.dryRun && job.progress.imported > 0) {
+      scanForDuplicates().catch(error => {
+        console.error('❌ Error scanning for duplicate leads:', error);
+      });
+    }
+
+    console.log(`📥 Import ${job._id} ${job.dryRun ? 'dry run ' : ''}completed: ${job.progress.valid} valid, ${job.progress.invalid} invalid, ${job.progress.duplicate} duplicate`);
+
+  } catch (error) {
+    console.error(`❌ Import ${claimed._id} failed:`, error);
+    job = await finishJob(claimed, { status: 'failed', error: error.message });
+  }
+
+  emitProgress(job);
+};
+
+// Process queued jobs one at a time until none is left
+const runImports = async () => {
+  if (isProcessing) {
+    return;
+  }
+  isProcessing = true;
+
+  try {
+    let job = await ImportJob.claimNext(WORKER_ID, LOCK_TTL);
+    while (job) {
+      await processJob(job);
+      job = await ImportJob.claimNext(WORKER_ID, LOCK_TTL);
+    }
+  } catch (error) {
+    console.error('❌ Import worker error:', error);
+  } finally {
+    isProcessing = false;
+  }
+};
+
+// Poll for queued jobs in this worker
+const startImportWorker = () => {
+  if (workerInterval) {
+    return;
+  }
+
+  workerInterval = setInterval(runImports, POLL_INTERVAL);
+  console.log(`📥 Import worker started for worker ${WORKER_ID}`);
+
+  runImports();
+};
+
+// Queue an import of an uploaded file. Columns and defaults override the mapping's;
+// encoding and delimiter (CSV only) are detected unless given.
+const createImportJob = async ({ file, mapping = null, columns = {}, defaults = {}, encoding, delimiter, dryRun = false, createdBy }) => {
+  const { format, ...reading } = await inspectFile(file, { encoding, delimiter });
+  if (!format) {
+    throw new Error(`Unsupported import file: ${file.originalName}`);
+  }
+
+  const mapped = mapping ? mapping.toObject({ flattenMaps: true }) : {};
+
+  const job = await ImportJob.create({
+    file: {
+      originalName: file.originalName,
+      path: file.path,
+      size: file.size,
+      mimeType: file.mimeType,
+      format,
+      ...reading
+    },
+    mapping: mapping ? mapping._id : undefined,
+    columns: {
+      ...mapped.columns,
+      ...columns,
+      custom: { ...(mapped.columns || {}).custom, ...columns.custom }
+    },
+    defaults: { ...mapped.defaults, ...defaults },
+    dryRun,
+    createdBy
+  });
+
+  // Start now rather than at the next poll
+  runImports();
+
+  return job;
+};
+
+// Stop a queued or running job; it keeps its checkpoint
+const cancelImportJob = async (job) => {
+  if (!['queued', 'running'].includes(job.status)) {
+    throw new InvalidTransitionError('import', job.status, 'canceled');
+  }
+
+  const canceled = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'canceled', canceledAt: new Date(), lockedUntil: null } },
+    { new: true }
+  );
+
+  if (canceled) {
+    emitProgress(canceled);
+  }
+  return canceled;
+};
+
+// Queue a canceled or failed job again from its checkpoint
+const resumeImportJob = async (job) => {
+  if (!['canceled', 'failed'].includes(job.status)) {
+    throw new InvalidTransitionError('import', job.status, 'queued', 'only canceled or failed imports resume');
+  }
+
+  const resumed = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: job.status },
+    { $set: { status: 'queued', lockedUntil: null }, $unset: { error: 1, finishedAt: 1, canceledAt: 1 } },
+    { new: true }
+  );
+
+  runImports();
+
+  return resumed;
+};
+
+// Import the file of a completed dry run for real, as a new job
+const confirmDryRun = async (job, createdBy) => {
+  if (!job.dryRun || job.status !== 'completed') {
+    throw new InvalidTransitionError('import', job.status, 'queued', 'only completed dry runs can be confirmed');
+  }
+
+  // Same file, columns and defaults; the mapping may have changed since, so it is not read again
+  const { file, mapping, columns, defaults } = job.toObject({ flattenMaps: true });
+  const confirmed = await ImportJob.create({ file, mapping, columns, defaults, createdBy });
+
+  runImports();
+
+  return confirmed;
+};
+
+// Delete a job that is not queued or running, with its row errors and (if unused) its file
+const deleteImportJob = async (job) => {
+  if (['queued', 'running'].includes(job.status)) {
+    throw new InvalidTransitionError('import', job.status, 'deleted', 'cancel the import first');
+  }
+
+  await ImportRowError.deleteMany({ job: job._id });
+  await ImportJob.deleteOne({ _id: job._id });
+  await removeFileIfUnused(job);
+};
+
+// CSV lines of the rows a job left out: row number, kind and reason, then the row as uploaded
+async function* errorReportLines(job) {
+  const first = await ImportRowError.findOne({ job: job._id }).sort({ row: 1 });
+  const headers = first && first.data ? Object.keys(first.data) : [];
+
+  yield ['row', 'kind', 'error', ...headers].map(escapeCsv).join(',') + '\n';
+
+  const cursor = ImportRowError.find({ job: job._id }).sort({ row: 1 }).lean().cursor();
+  for await (const rowError of cursor) {
+    const data = rowError.data || {};
+    const line = [rowError.row, rowError.kind, rowError.message, ...headers.map(header => data[header])];
+    yield line.map(escapeCsv).join(',') + '\n';
+  }
+}
+
+// Write a job's error report as CSV, only as fast as the output takes it
+const writeErrorReport = (job, output) => pipeline(Readable.from(errorReportLines(job)), output);
+
+module.exports = {
+  resolveColumns,
+  mapRow,
+  buildLead,
+  startImportWorker,
+  runImports,
+  createImportJob,
+  cancelImportJob,
+  resumeImportJob,
+  confirmDryRun,
+  deleteImportJob,
+  writeErrorReport
+};
@@ -0,0 +1,168 @@
+// Dialer pacing: how many new calls to place in each queue cycle.
+// - fixed: keep up to MAX_CONCURRENT_CALLS calls in flight, whatever the agents are doing
+// - progressive: one call per free salesperson, reserved for that salesperson
+// - predictive: over-dial by the measured answer rate and route answered calls to
+//   whoever is free; the dial ratio is pulled back when abandonment exceeds the target
+// MAX_CONCURRENT_CALLS caps the calls in flight in every mode.
+
+const CallLog = require('../models/CallLog');
+const User = require('../models/User');
+const { WORKING_STATES } = require('./agentState');
+
+const DIALER_MODES = ['fixed', 'progressive', 'predictive'];
+const LIVE_CALL_STATUSES = ['initiated', 'ringing', 'answered'];
+
+// Assumed until enough calls have been measured
+const DEFAULT_ANSWER_RATE = 0.25;
+const DEFAULT_HANDLE_TIME = 180; // seconds
+const MIN_SAMPLES = 20;
+
+const getPacingConfig = () => ({
+  mode: DIALER_MODES.includes(process.env.DIALER_MODE) ? process.env.DIALER_MODE : 'progressive',
+  maxConcurrentCalls: parseInt(process.env.MAX_CONCURRENT_CALLS) || 5,
+  maxDialRatio: parseFloat(process.env.PREDICTIVE_MAX_RATIO) || 3,
+  abandonTarget: parseFloat(process.env.PREDICTIVE_ABANDON_TARGET) || 0.03,
+  windowMinutes: parseInt(process.env.PACING_WINDOW_MINUTES) || 30
+});
+
+// Answer rate, average handle time and abandonment of calls finished in the window.
+// The answer rate is blended with the default until MIN_SAMPLES calls are measured.
+const getCallMetrics = async (windowMinutes) => {
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const [stats] = await CallLog.aggregate([
+    { $match: { startTime: { $gte: since }, status: { $nin: LIVE_CALL_STATUSES } } },
+    {
+      $group: {
+        _id: null,
+        finished: { $sum: 1 },
+        answered: { $sum: { $cond: [{ $ifNull: ['$answerTime', false] }, 1, 0] } },
+        abandoned: { $sum: { $cond: ['$abandoned', 1, 0] } },
+        talkTime: {
+          $sum: {
+            $cond: [
+              { $and: [{ $ifNull: ['$answerTime', false] }, { $ne: ['$abandoned', true] }] },
+              { $ifNull: ['$duration', 0] },
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  const { finished = 0, answered = 0, abandoned = 0, talkTime = 0 } = stats || {};
+  const connected = answered - abandoned;
+
+  return {
+    samples: finished,
+    answerRate: (answered + DEFAULT_ANSWER_RATE * MIN_SAMPLES) / (finished + MIN_SAMPLES),
+    averageHandleTime: connected > 0 ? talkTime / connected : DEFAULT_HANDLE_TIME,
+    abandonRate: answered > 0 ? abandoned / answered : 0
+  };
+};
+
+// Salespeople working the queue split into free, on a call and wrapping up, plus the unassigned calls still ringing
+const getAgentCounts = async (averageHandleTime) => {
+  const available = await User.find({
+    role: 'salesperson',
+    isActive: true,
+    'agentState.state': { $in: WORKING_STATES }
+  }).select('_id agentState');
+  const liveCalls = await CallLog.find({ status: { $in: LIVE_CALL_STATUSES } })
+    .select('salesperson status answerTime');
+
+  const busy = new Set();
+  let finishingSoon = 0;
+  let unassignedDialing = 0;
+
+  for (const call of liveCalls) {
+    if (!call.salesperson) {
+      if (call.status !== 'answered') {
+        unassignedDialing += 1;
+      }
+      continue;
+    }
+
+    busy.add(call.salesperson.toString());
+
+    // Agents past the average handle time are likely free by the time a new call connects
+    if (call.answerTime && Date.now() - call.answerTime.getTime() >= averageHandleTime * 1000) {
+      finishingSoon += 1;
+    }
+  }
+
+  const idle = available.filter(user => !busy.has(user._id.toString()));
+  const onCall = available.length - idle.length;
+  const wrappingUp = idle.filter(user => user.agentState.state === 'wrap_up').length;
+
+  return {
+    available: available.length,
+    free: idle.filter(user => user.agentState.state === 'available').length,
+    onCall,
+    wrappingUp,
+    finishingSoon: Math.min(finishingSoon, onCall),
+    unassignedDialing
+  };
+};
+
+// Over-dial ratio for predictive mode, scaled down towards 1 while abandonment is above target
+const getDialRatio = (metrics, config) => {
+  let ratio = Math.min(config.maxDialRatio, 1 / Math.max(metrics.answerRate, 0.01));
+
+  if (metrics.abandonRate > config.abandonTarget) {
+    ratio = 1 + (ratio - 1) * (config.abandonTarget / metrics.abandonRate);
+  }
+
+  return Math.max(1, ratio);
+};
+
+// Work out how many calls to place now, given the calls this dialer already has in flight
+const computePacing = async (inFlight) => {
+  const config = getPacingConfig();
+  const metrics = await getCallMetrics(config.windowMinutes);
+  const agents = await getAgentCounts(metrics.averageHandleTime);
+  const capacity = Math.max(0, config.maxConcurrentCalls - inFlight);
+
+  let dialRatio = 1;
+  let wanted;
+
+  switch (config.mode) {
+    case 'fixed':
+      wanted = capacity;
+      break;
+    case 'predictive':
+      dialRatio = getDialRatio(metrics, config);
+      wanted = Math.floor((agents.free + agents.finishingSoon) * dialRatio) - agents.unassignedDialing;
+      break;
+    case 'progressive':
+    default:
+      wanted = agents.free;
+  }
+
+  return {
+    mode: config.mode,
+    slots: Math.max(0, Math.min(wanted, capacity)),
+    inFlight,
+    maxConcurrentCalls: config.maxConcurrentCalls,
+    dialRatio: Math.round(dialRatio * 100) / 100,
+    abandonTarget: config.abandonTarget,
+    agents,
+    metrics: {
+      samples: metrics.samples,
+      answerRate: Math.round(metrics.answerRate * 1000) / 1000,
+      averageHandleTime: Math.round(metrics.averageHandleTime),
+      abandonRate: Math.round(metrics.abandonRate * 1000) / 1000
+    },
+    updatedAt: new Date()
+  };
+};
+
+module.exports = {
+  DIALER_MODES,
+  getPacingConfig,
+  getCallMetrics,
+  getAgentCounts,
+  getDialRatio,
+  computePacing
+};
@@ -0,0 +1,113 @@
+// Bring phone numbers stored before normalization to E.164 (see services/phoneNumber).
+// Run by the dialer leader when it takes over, and only touches records that are not
+// normalized yet, so later runs are cheap. Works on the raw collections: the models' setters would normalize the
+// stored values out of the queries.
+//
+// - A number another record of the same kind already has is left as typed and logged
+//   (two leads for one number are duplicates to review, not to merge blindly); the
+//   duplicate scan that follows the migration queues such leads for review.
+// - Records left as typed are marked `phoneMigration: 'conflict'` or `'invalid'`, so
+//   later runs skip them instead of logging them again.
+// - A lead whose number cannot be a phone number is deactivated and tagged
+//   `invalid_phone`, since it could never be dialed.
+// - A Do-Not-Call entry duplicating a normalized one is dropped; the number stays blocked.
+
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const DncEntry = require('../models/DncEntry');
+const { E164_PATTERN, normalizePhone } = require('./phoneNumber');
+
+const notNormalized = { phone: { $not: E164_PATTERN } };
+const notLeftAsTyped = { phoneMigration: { $exists: false } };
+
+// Mark a record whose number is left as typed ('invalid' or 'conflict')
+const markLeftAsTyped = (Model, doc, outcome) => Model.collection.updateOne(
+  { _id: doc._id },
+  { $set: { phoneMigration: outcome } }
+);
+
+// Normalize the phones of one collection. `onInvalid` and `onConflict` handle the
+// records that cannot be, which are then marked; returns the counts.
+const migrateCollection = async (Model, { filter = { ...notNormalized, ...notLeftAsTyped }, extraFields = () => ({}), onInvalid, onConflict }) => {
+  const counts = { normalized: 0, invalid: 0, conflicts: 0 };
+  const cursor = Model.collection.find(filter, { projection: { phone: 1 } });
+
+  for await (const doc of cursor) {
+    const normalized = normalizePhone(doc.phone);
+    if (!normalized) {
+      counts.invalid += 1;
+      if (onInvalid) await onInvalid(doc);
+      await markLeftAsTyped(Model, doc, 'invalid');
+      continue;
+    }
+
+    try {
+      await Model.collection.updateOne(
+        { _id: doc._id },
+        { $set: { phone: normalized, ...extraFields(normalized) } }
+      );
+      counts.normalized += 1;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counts.conflicts += 1;
+      if (onConflict) await onConflict(doc, normalized);
+      await markLeftAsTyped(Model, doc, 'conflict');
+    }
+  }
+
+  return counts;
+};
+
+const migratePhoneNumbers = async () => {
+  const leads = await migrateCollection(Lead, {
+    // Leads also get their number details; ones already left as typed (or tagged
+    // invalid before they were marked) are skipped
+    filter: {
+      tags: { $ne: 'invalid_phone' },
+      ...notLeftAsTyped,
+      $or: [notNormalized, { phoneInfo: { $exists: false } }]
+    },
+    extraFields: (phone) => ({ phoneInfo: Lead.getPhoneInfo(phone) }),
+    onInvalid: (doc) => Lead.collection.updateOne(
+      { _id: doc._id },
+      { $set: { isActive: false }, $addToSet: { tags: 'invalid_phone' } }
+    ),
+    onConflict: (doc, phone) => {
+      console.warn(`⚠️ Lead ${doc._id} (${doc.phone}) has the number of another lead (${phone}), left as is for review`);
+    }
+  });
+
+  const users = await migrateCollection(User, {
+    onInvalid: (doc) => {
+      console.warn(`⚠️ User ${doc._id} has an invalid phone number: ${doc.phone}`);
+    },
+    onConflict: (doc, phone) => {
+      console.warn(`⚠️ User ${doc._id} (${doc.phone}) has the number of another user (${phone}), left as is`);
+    }
+  });
+
+  const dncEntries = await migrateCollection(DncEntry, {
+    onInvalid: (doc) => {
+      console.warn(`⚠️ Do-Not-Call entry ${doc._id} has an invalid phone number: ${doc.phone}`);
+    },
+    onConflict: (doc) => DncEntry.collection.deleteOne({ _id: doc._id })
+  });
+
+  if (leads.normalized + users.normalized + dncEntries.normalized > 0) {
+    console.log(`📞 Normalized the phone numbers of ${leads.normalized} lead(s), ${users.normalized} user(s) and ${dncEntries.normalized} Do-Not-Call entries`);
+  }
+  if (leads.conflicts > 0) {
+    console.warn(`⚠️ Left ${leads.conflicts} lead(s) with the number of another lead as typed, for duplicate review`);
+  }
+  if (leads.invalid > 0) {
+    console.warn(`⚠️ Deactivated ${leads.invalid} lead(s) with invalid phone numbers (tagged invalid_phone)`);
+  }
+
+  return { leads, users, dncEntries };
+};
+
+module.exports = {
+  migratePhoneNumbers
+};
@@ -0,0 +1,126 @@
+// Phone numbers in one form. Every number is stored in E.164 (+ and country code,
+// no spaces): leads, users and Do-Not-Call entries normalize on assignment and in
+// queries, so `998 90 123 45 67`, `+998901234567` and `90-123-45-67` are one number.
+// Local 9-digit numbers are Uzbek. Uzbek numbers also carry their mobile operator, or
+// the region of a landline, from the two digits after +998.
+
+const UZ_COUNTRY_CODE = '998';
+
+// Mobile operator of each Uzbek mobile code
+const UZ_MOBILE_OPERATORS = {
+  90: 'Beeline',
+  91: 'Beeline',
+  93: 'Ucell',
+  94: 'Ucell',
+  50: 'Ucell',
+  95: 'Uzmobile',
+  99: 'Uzmobile',
+  77: 'Uzmobile',
+  97: 'Mobiuz',
+  88: 'Mobiuz',
+  98: 'Perfectum Mobile',
+  33: 'Humans',
+  20: 'OQ'
+};
+
+// Region of each Uzbek landline area code
+const UZ_LANDLINE_REGIONS = {
+  71: 'Tashkent',
+  70: 'Tashkent Region',
+  61: 'Karakalpakstan',
+  62: 'Khorezm',
+  65: 'Bukhara',
+  66: 'Samarkand',
+  67: 'Syrdarya',
+  69: 'Namangan',
+  72: 'Jizzakh',
+  73: 'Fergana',
+  74: 'Andijan',
+  75: 'Kashkadarya',
+  76: 'Surkhandarya',
+  79: 'Navoi'
+};
+
+const UZ_OPERATORS = [...new Set(Object.values(UZ_MOBILE_OPERATORS))];
+const UZ_REGIONS = Object.values(UZ_LANDLINE_REGIONS);
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// E.164 form of a number as typed, or null when it is not a phone number. Spaces,
+// dashes, dots and parentheses are dropped; 00 stands for +; 9 digits are an Uzbek
+// number without the country code.
+const normalizePhone = (phone) => {
+  if (phone == null) {
+    return null;
+  }
+
+  let text = String(phone).trim().replace(/[\s\-().]/g, '');
+  if (text.startsWith('00')) {
+    text = `+${text.slice(2)}`;
+  }
+  if (!/^\+?\d+$/.test(text)) {
+    return null;
+  }
+
+  const digits = text.replace('+', '');
+  let normalized;
+  if (text.startsWith('+')) {
+    normalized = `+${digits}`;
+  } else if (digits.length === 9) {
+    normalized = `+${UZ_COUNTRY_CODE}${digits}`;
+  } else {
+    normalized = `+${digits}`;
+  }
+
+  if (!E164_PATTERN.test(normalized)) {
+    return null;
+  }
+  // Uzbek numbers have exactly 9 digits after the country code
+  if (normalized.startsWith(`+${UZ_COUNTRY_CODE}`) && normalized.length !== 13) {
+    return null;
+  }
+
+  return normalized;
+};
+
+const isValidPhone = (phone) => normalizePhone(phone) !== null;
+
+// What a number says about itself: { e164, country, type, operator, region }. Country,
+// type (mobile or landline), operator and region are only known for Uzbek numbers.
+// Returns null for an invalid number.
+const parsePhone = (phone) => {
+  const e164 = normalizePhone(phone);
+  if (!e164) {
+    return null;
+  }
+
+  const info = { e164, country: null, type: null, operator: null, region: null };
+
+  if (e164.startsWith(`+${UZ_COUNTRY_CODE}`)) {
+    const code = e164.slice(4, 6);
+    info.country = 'UZ';
+
+    if (UZ_MOBILE_OPERATORS[code]) {
+      info.type = 'mobile';
+      info.operator = UZ_MOBILE_OPERATORS[code];
+    } else if (UZ_LANDLINE_REGIONS[code]) {
+      info.type = 'landline';
+      info.region = UZ_LANDLINE_REGIONS[code];
+    }
+  }
+
+  return info;
+};
+
+// Mongoose setter: normalized when possible, as typed otherwise so validation rejects it
+const phoneSetter = (phone) => normalizePhone(phone) || phone;
+
+module.exports = {
+  UZ_OPERATORS,
+  UZ_REGIONS,
+  E164_PATTERN,
+  normalizePhone,
+  isValidPhone,
+  parsePhone,
+  phoneSetter
+};
@@ -0,0 +1,190 @@
+// Presence from socket connections. Every authenticated socket (one per browser tab) is
+// recorded on its user and leased by the worker holding it; each worker renews its own
+// sockets, so the sockets of a worker that went away expire on their own. A salesperson
+// left without a socket for PRESENCE_GRACE_SECONDS (a closed browser rather than a
+// reload) is taken offline, out of the routing pool, and supervisors get
+// `agent_disconnected`. A salesperson on a call keeps their state until the call ends.
+// On reconnect they go back to the state they were in.
+
+const os = require('os');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { setAgentState } = require('./agentState');
+const { isWrappingUp } = require('./wrapUp');
+const { emitToRoom } = require('./socketHandler');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+const CHECK_INTERVAL = 15000; // How often sockets are renewed and absent salespeople checked
+const SOCKET_TTL = 90000; // A socket not renewed for this long belonged to a worker that went away
+const STATES_TAKEN_OFFLINE = ['available', 'wrap_up', 'break', 'training'];
+
+let monitorInterval = null;
+
+// How long a salesperson may be without a socket before going offline
+const getGracePeriod = () => {
+  const seconds = parseInt(process.env.PRESENCE_GRACE_SECONDS);
+  return (Number.isNaN(seconds) ? 60 : Math.max(0, seconds)) * 1000;
+};
+
+// Sockets of a user that are still renewed
+const getLiveSockets = (user, now = new Date()) => (
+  (user && user.presence && user.presence.sockets) || []
+).filter(socket => socket.seenAt && now - socket.seenAt < SOCKET_TTL);
+
+// Put a salesperson taken offline by presence back in the state they were in. A wrap-up
+// still running goes on until its endsAt, when the queue heartbeat ends it as usual; one
+// that ran out meanwhile leaves them available.
+const restorePresence = async (userId) => {
+  const user = await User.findOne({
+    _id: userId,
+    'agentState.state': 'offline',
+    'presence.restoreState.state': { $exists: true }
+  }).select('presence wrapUp');
+  if (!user) {
+    return null;
+  }
+
+  const { state, reason } = user.presence.restoreState;
+  await User.updateOne({ _id: userId }, { $unset: { 'presence.restoreState': 1 } });
+
+  if (state === 'wrap_up') {
+    return isWrappingUp(user)
+      ? setAgentState(userId, 'wrap_up', { callLog: user.wrapUp.callLog, source: 'presence', from: ['offline'] })
+      : setAgentState(userId, 'available', { source: 'presence', from: ['offline'] });
+  }
+
+  return setAgentState(userId, state, { reason, source: 'presence', from: ['offline'] });
+};
+
+// Record a new socket of a user. Returns whether it is the user's first open socket.
+const socketConnected = async (userId, socketId) => {
+  const now = new Date();
+
+  const before = await User.findOneAndUpdate(
+    { _id: userId },
+    {
+      $push: { 'presence.sockets': { id: socketId, worker: WORKER_ID, connectedAt: now, seenAt: now } },
+      $set: { 'presence.lastSeenAt': now }
+    },
+    { new: false }
+  ).select('presence');
+
+  await restorePresence(userId);
+
+  return getLiveSockets(before, now).length === 0;
+};
+
+// Forget a closed socket. Returns whether it was the user's last open socket.
+const socketDisconnected = async (userId, socketId) => {
+  const now = new Date();
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId },
+    {
+      $pull: { 'presence.sockets': { id: socketId } },
+      $set: { 'presence.lastSeenAt': now }
+    },
+    { new: true }
+  ).select('presence');
+
+  return Boolean(user) && getLiveSockets(user, now).length === 0;
+};
+
+// Take an absent salesperson offline and tell supervisors. Returns whether they were.
+const takeOffline = async (user) => {
+  const previous = user.agentState;
+
+  const changed = await setAgentState(user._id, 'offline', { source: 'presence', from: [previous.state] });
+  if (!changed) {
+    return false;
+  }
+
+  // A wrap-up keeps running while they are away
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { 'presence.restoreState': { state: previous.state, reason: previous.reason } } }
+  );
+
+  emitToRoom('admin', 'agent_disconnected', {
+    userId: user._id,
+    name: user.name,
+    previousState: previous.state,
+    lastSeenAt: user.presence ? user.presence.lastSeenAt : null
+  });
+
+  console.log(`📴 ${user.name} has no open connection, taken offline (was ${previous.state})`);
+
+  return true;
+};
+
+// Renew this worker's sockets, drop the sockets of workers that went away, take
+// salespeople absent for longer than the grace period offline and bring back the
+// ones who reconnected meanwhile
+const checkPresence = async () => {
+  const now = new Date();
+
+  await User.updateMany(
+    { 'presence.sockets.worker': WORKER_ID },
+    { $set: { 'presence.sockets.$[socket].seenAt': now, 'presence.lastSeenAt': now } },
+    { arrayFilters: [{ 'socket.worker': WORKER_ID }] }
+  );
+
+  const expired = new Date(now.getTime() - SOCKET_TTL);
+  await User.updateMany(
+    { 'presence.sockets.seenAt': { $lt: expired } },
+    { $pull: { 'presence.sockets': { seenAt: { $lt: expired } } } }
+  );
+
+  // Never connected counts as absent too
+  const absentSince = new Date(now.getTime() - getGracePeriod());
+  const absent = await User.find({
+    role: 'salesperson',
+    isActive: true,
+    'agentState.state': { $in: STATES_TAKEN_OFFLINE },
+    'presence.sockets.0': { $exists: false },
+    $or: [
+      { 'presence.lastSeenAt': { $lt: absentSince } },
+      { 'presence.lastSeenAt': { $exists: false } }
+    ]
+  }).select('name agentState presence');
+
+  for (const user of absent) {
+    await takeOffline(user);
+  }
+
+  const returned = await User.find({
+    'agentState.state': 'offline',
+    'presence.restoreState.state': { $exists: true },
+    'presence.sockets.0': { $exists: true }
+  }).select('_id');
+
+  for (const user of returned) {
+    await restorePresence(user._id);
+  }
+};
+
+// Check presence on an interval in this worker
+const startPresenceMonitor = () => {
+  if (monitorInterval) {
+    return;
+  }
+
+  monitorInterval = setInterval(async () => {
+    try {
+      await checkPresence();
+    } catch (error) {
+      console.error('❌ Presence check error:', error);
+    }
+  }, CHECK_INTERVAL);
+
+  console.log(`👀 Presence monitor started for worker ${WORKER_ID}`);
+};
+
+module.exports = {
+  getGracePeriod,
+  getLiveSockets,
+  socketConnected,
+  socketDisconnected,
+  checkPresence,
+  startPresenceMonitor
+};
@@ -0,0 +1,87 @@
+// Routing strategy registry.
+// Skill matching (see ../skillRouting) narrows the available salespeople down
+// to candidates; the campaign's strategy picks one of them. Each strategy
+// returns the salesperson and a human-readable reason, which is logged on
+// the CallLog.
+
+const User = require('../../models/User');
+const { getRequiredSkills, getRoutingSteps, getFallbackOrder } = require('../skillRouting');
+
+const strategies = {
+  'least-busy': require('./leastBusy'),
+  'round-robin': require('./roundRobin'),
+  'longest-idle': require('./longestIdle'),
+  weighted: require('./weighted'),
+  sticky: require('./sticky')
+};
+
+// Upper bound on candidates handed to a strategy
+const MAX_CANDIDATES = 50;
+
+// Strategy for leads outside campaigns
+const getDefaultStrategyName = () => {
+  const name = process.env.ROUTING_STRATEGY || 'least-busy';
+  return strategies[name] ? name : 'least-busy';
+};
+
+// Get a strategy by name, falling back to the default one
+const getStrategy = (name) => strategies[name] || strategies[getDefaultStrategyName()];
+
+// List strategies for admin screens
+const listStrategies = () => Object.values(strategies).map(({ name, description }) => ({ name, description }));
+
+// Pick a salesperson for a lead. `baseQuery` selects the salespeople who may
+// take calls at all. Returns { salesperson, routing } or null.
+const routeLead = async ({ lead = null, campaign = null, baseQuery }) => {
+  const strategy = getStrategy(campaign && campaign.routingStrategy);
+  const context = {
+    lead,
+    campaign,
+    poolKey: campaign ? campaign._id.toString() : 'default',
+    owner: null
+  };
+
+  // A returning lead's previous owner comes before skill matching
+  if (strategy.name === 'sticky' && lead && lead.assignedTo) {
+    context.owner = await User.findOne({ $and: [baseQuery, { _id: lead.assignedTo }] });
+    if (context.owner) {
+      const decision = await strategy.select([context.owner], context);
+      return {
+        salesperson: decision.salesperson,
+        routing: { strategy: strategy.name, reason: decision.reason, skillsRelaxed: [], candidates: 1 }
+      };
+    }
+  }
+
+  const required = getRequiredSkills(lead, campaign);
+
+  for (const step of getRoutingSteps(required, getFallbackOrder(campaign))) {
+    const candidates = await User.find({ ...baseQuery, ...step.query })
+      .sort({ 'callStats.totalCalls': 1, lastLogin: -1 })
+      .limit(MAX_CANDIDATES);
+
+    if (candidates.length === 0) {
+      continue;
+    }
+
+    const decision = await strategy.select(candidates, context);
+    return {
+      salesperson: decision.salesperson,
+      routing: {
+        strategy: strategy.name,
+        reason: decision.reason,
+        skillsRelaxed: step.relaxed,
+        candidates: candidates.length
+      }
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  strategies,
+  getStrategy,
+  listStrategies,
+  routeLead
+};
@@ -0,0 +1,36 @@
+// Least busy: the salesperson with the fewest calls in progress right now,
+// then the fewest calls overall.
+
+const CallLog = require('../../models/CallLog');
+
+const LIVE_CALL_STATUSES = ['initiated', 'ringing', 'answered'];
+
+// Calls in progress per salesperson
+const getLiveCallCounts = async (salespersonIds) => {
+  const counts = await CallLog.aggregate([
+    { $match: { salesperson: { $in: salespersonIds }, status: { $in: LIVE_CALL_STATUSES } } },
+    { $group: { _id: '$salesperson', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const select = async (candidates) => {
+  const liveCalls = await getLiveCallCounts(candidates.map(candidate => candidate._id));
+  const liveCount = (candidate) => liveCalls.get(candidate._id.toString()) || 0;
+
+  const [salesperson] = [...candidates].sort((a, b) => (
+    liveCount(a) - liveCount(b) || a.callStats.totalCalls - b.callStats.totalCalls
+  ));
+
+  return {
+    salesperson,
+    reason: `${liveCount(salesperson)} calls in progress, ${salesperson.callStats.totalCalls} calls in total`
+  };
+};
+
+module.exports = {
+  name: 'least-busy',
+  description: 'Fewest calls in progress, then fewest calls overall',
+  select
+};
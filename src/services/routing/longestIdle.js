@@ -0,0 +1,37 @@
+// Longest idle: the salesperson whose last call ended the longest time ago.
+
+const CallLog = require('../../models/CallLog');
+
+// Time of each salesperson's last call activity
+const getLastCallTimes = async (salespersonIds) => {
+  const lastCalls = await CallLog.aggregate([
+    { $match: { salesperson: { $in: salespersonIds } } },
+    { $group: { _id: '$salesperson', lastCall: { $max: { $ifNull: ['$endTime', '$startTime'] } } } }
+  ]);
+
+  return new Map(lastCalls.map(({ _id, lastCall }) => [_id.toString(), lastCall]));
+};
+
+const select = async (candidates) => {
+  const lastCalls = await getLastCallTimes(candidates.map(candidate => candidate._id));
+  const lastCallTime = (candidate) => {
+    const lastCall = lastCalls.get(candidate._id.toString());
+    return lastCall ? lastCall.getTime() : 0;
+  };
+
+  const [salesperson] = [...candidates].sort((a, b) => lastCallTime(a) - lastCallTime(b));
+  const lastCall = lastCalls.get(salesperson._id.toString());
+
+  return {
+    salesperson,
+    reason: lastCall
+      ? `Idle since ${lastCall.toISOString()}`
+      : 'No calls yet'
+  };
+};
+
+module.exports = {
+  name: 'longest-idle',
+  description: 'Salesperson whose last call ended the longest time ago',
+  select
+};
@@ -0,0 +1,24 @@
+// Round robin: salespeople take turns in a fixed order, per dialing pool.
+// The turn is kept in memory; only the dialer leader routes queued calls.
+
+const lastAssigned = new Map(); // Pool key -> ID of the last salesperson routed to
+
+const select = async (candidates, { poolKey }) => {
+  const ordered = [...candidates].sort((a, b) => a._id.toString().localeCompare(b._id.toString()));
+  const previous = lastAssigned.get(poolKey);
+
+  // First salesperson after the previous one, wrapping around
+  const salesperson = ordered.find(candidate => previous && candidate._id.toString() > previous) || ordered[0];
+  lastAssigned.set(poolKey, salesperson._id.toString());
+
+  return {
+    salesperson,
+    reason: `Next in turn after ${previous || 'start of rotation'}`
+  };
+};
+
+module.exports = {
+  name: 'round-robin',
+  description: 'Salespeople take turns in a fixed order',
+  select
+};
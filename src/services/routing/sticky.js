@@ -0,0 +1,27 @@
+// Sticky owner: a returning lead goes back to the salesperson it was last
+// assigned to when they are available; otherwise least busy.
+
+const leastBusy = require('./leastBusy');
+
+const select = async (candidates, context) => {
+  const { lead, owner } = context;
+
+  if (owner) {
+    return {
+      salesperson: owner,
+      reason: 'Previous owner of the lead'
+    };
+  }
+
+  const decision = await leastBusy.select(candidates, context);
+  return {
+    ...decision,
+    reason: `${lead && lead.assignedTo ? 'Previous owner unavailable' : 'No previous owner'}; least busy: ${decision.reason}`
+  };
+};
+
+module.exports = {
+  name: 'sticky',
+  description: 'Returning leads go to their previous salesperson, otherwise least busy',
+  select
+};
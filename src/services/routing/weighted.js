@@ -0,0 +1,30 @@
+// Weighted by conversion: a random pick where each salesperson's chance is
+// proportional to their conversion rate (successful / total calls).
+// Rates are smoothed so newcomers still get calls.
+
+const conversionRate = ({ callStats }) => (callStats.successfulCalls + 1) / (callStats.totalCalls + 2);
+
+const select = async (candidates) => {
+  const weights = candidates.map(conversionRate);
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  let roll = Math.random() * totalWeight;
+
+  let index = 0;
+  while (index < candidates.length - 1 && roll > weights[index]) {
+    roll -= weights[index];
+    index++;
+  }
+
+  const salesperson = candidates[index];
+
+  return {
+    salesperson,
+    reason: `Conversion rate ${(weights[index] * 100).toFixed(1)}%, ${(weights[index] / totalWeight * 100).toFixed(1)}% chance`
+  };
+};
+
+module.exports = {
+  name: 'weighted',
+  description: 'Random pick weighted by conversion rate',
+  select
+};
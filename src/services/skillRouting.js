@@ -0,0 +1,96 @@
+// Skill-based routing of leads to salespeople.
+// A lead's required skills (its own, falling back to its campaign's) are
+// matched against salespeople's skills. When nobody available matches, the
+// requirements are relaxed one at a time in the fallback order; a skill that
+// is not in the fallback order is never relaxed.
+
+const LANGUAGES = ['uz', 'ru', 'en'];
+const SENIORITY_LEVELS = ['junior', 'middle', 'senior'];
+const SKILL_TYPES = ['languages', 'courses', 'seniority'];
+
+// Language names as they appear in imported spreadsheets
+const LANGUAGE_ALIASES = {
+  uz: 'uz', uzbek: 'uz', "o'zbek": 'uz', ozbek: 'uz', 'узбекский': 'uz',
+  ru: 'ru', russian: 'ru', 'русский': 'ru',
+  en: 'en', english: 'en', 'английский': 'en'
+};
+
+const DEFAULT_FALLBACK_ORDER = (process.env.SKILL_FALLBACK_ORDER || 'seniority,courses,languages')
+  .split(',')
+  .map(skill => skill.trim())
+  .filter(skill => SKILL_TYPES.includes(skill));
+
+// Skills a lead needs, taking each skill from the lead first and the campaign second
+const getRequiredSkills = (lead, campaign = null) => {
+  const leadSkills = (lead && lead.requiredSkills) || {};
+  const campaignSkills = (campaign && campaign.requiredSkills) || {};
+  const pick = (key) => (leadSkills[key] && leadSkills[key].length > 0 ? leadSkills[key] : campaignSkills[key]);
+
+  return {
+    languages: pick('languages') || [],
+    courses: (pick('courses') || []).map(course => course.toLowerCase()),
+    minSeniority: leadSkills.minSeniority || campaignSkills.minSeniority || null
+  };
+};
+
+// Parse a comma-separated list of language names into language codes
+const parseLanguages = (value = '') => [...new Set(
+  String(value)
+    .split(/[,;/]/)
+    .map(name => LANGUAGE_ALIASES[name.trim().toLowerCase()])
+    .filter(Boolean)
+)];
+
+// User query for the required skills, leaving out the relaxed ones
+const buildSkillQuery = (required, relaxed = []) => {
+  const query = {};
+
+  if (required.languages.length > 0 && !relaxed.includes('languages')) {
+    query['skills.languages'] = { $in: required.languages };
+  }
+
+  if (required.courses.length > 0 && !relaxed.includes('courses')) {
+    query['skills.courses'] = { $in: required.courses };
+  }
+
+  if (required.minSeniority && !relaxed.includes('seniority')) {
+    query['skills.seniority'] = { $in: SENIORITY_LEVELS.slice(SENIORITY_LEVELS.indexOf(required.minSeniority)) };
+  }
+
+  return query;
+};
+
+// Routing steps from an exact match to the most relaxed one allowed
+const getRoutingSteps = (required, fallbackOrder = DEFAULT_FALLBACK_ORDER) => {
+  const steps = [{ relaxed: [], query: buildSkillQuery(required) }];
+  const relaxed = [];
+
+  for (const skill of fallbackOrder) {
+    // Relaxing a skill the lead does not require changes nothing
+    const isRequired = skill === 'seniority' ? Boolean(required.minSeniority) : required[skill].length > 0;
+    if (!isRequired) {
+      continue;
+    }
+
+    relaxed.push(skill);
+    steps.push({ relaxed: [...relaxed], query: buildSkillQuery(required, relaxed) });
+  }
+
+  return steps;
+};
+
+// Fallback order of a campaign (an empty list means strict matching), or the default one
+const getFallbackOrder = (campaign = null) => (
+  campaign && Array.isArray(campaign.skillFallback) ? campaign.skillFallback : DEFAULT_FALLBACK_ORDER
+);
+
+module.exports = {
+  LANGUAGES,
+  SENIORITY_LEVELS,
+  SKILL_TYPES,
+  parseLanguages,
+  getRequiredSkills,
+  buildSkillQuery,
+  getRoutingSteps,
+  getFallbackOrder
+};
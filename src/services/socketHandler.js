@@ -1,3 +1,5 @@
+const { isInvalidTransition } = require('./stateMachine');
+
 let io;
 
 // Setup socket handlers
@@ -50,12 +52,18 @@ const setupSocketHandlers = (socketIo) => {
           name: user.name
         });
         
+        // Record the connection; other tabs of the same user are already online
+        const { socketConnected } = require('./presence');
+        const firstConnection = await socketConnected(user._id, socket.id);
+
         // Notify others that user is online
-        socket.broadcast.to('general').emit('user_online', {
-          userId: user._id,
-          name: user.name,
-          role: user.role
-        });
+        if (firstConnection) {
+          socket.broadcast.to('general').emit('user_online', {
+            userId: user._id,
+            name: user.name,
+            role: user.role
+          });
+        }
         
         console.log(`✅ User ${user.name} (${user.role}) authenticated via socket`);
         
@@ -81,7 +89,7 @@ const setupSocketHandlers = (socketIo) => {
       }
     });
 
-    // Handle availability updates
+    // Handle agent state updates ({ state, reason } or the older { isAvailable })
     socket.on('update_availability', async (data) => {
       try {
         if (!socket.userId) {
@@ -89,21 +97,27 @@ const setupSocketHandlers = (socketIo) => {
           return;
         }
 
-        const { isAvailable } = data;
-        const User = require('../models/User');
-        
-        await User.findByIdAndUpdate(socket.userId, { isAvailable });
-        
-        // Broadcast availability change
-        socket.broadcast.to('general').emit('user_availability_changed', {
-          userId: socket.userId,
-          isAvailable,
-          name: socket.userName
+        const { schemas } = require('../middleware/validation');
+        const { error: validationError } = schemas.agentState.validate(data || {});
+        if (validationError) {
+          socket.emit('error', { message: validationError.message });
+          return;
+        }
+
+        // Goes through the agent state service, which broadcasts agent_state_changed
+        const { parseStateRequest, requestAgentState } = require('./agentState');
+        const agentState = await requestAgentState(socket.userId, parseStateRequest(data), {
+          actor: socket.userId,
+          source: 'agent'
         });
         
-        console.log(`📱 User ${socket.userName} availability updated: ${isAvailable}`);
+        console.log(`📱 User ${socket.userName} agent state updated: ${agentState ? agentState.state : 'unchanged'}`);
         
       } catch (error) {
+        if (isInvalidTransition(error)) {
+          socket.emit('error', { message: error.message, from: error.from, to: error.to });
+          return;
+        }
         console.error('Error updating availability:', error);
         socket.emit('error', { message: 'Failed to update availability' });
       }
@@ -164,6 +178,52 @@ const setupSocketHandlers = (socketIo) => {
       }
     });
 
+    // Handle call status updates from the operator panel
+    socket.on('update_call_status', async (data) => {
+      try {
+        if (!socket.userId) {
+          socket.emit('error', { message: 'Not authenticated' });
+          return;
+        }
+
+        const { callId, status, notes, duration } = data;
+
+        const CallLog = require('../models/CallLog');
+        const callLog = await CallLog.findById(callId);
+        if (!callLog) {
+          socket.emit('error', { message: 'Call not found' });
+          return;
+        }
+
+        // Salespeople may only update their own calls
+        const isOwner = callLog.salesperson && callLog.salesperson.toString() === socket.userId.toString();
+        if (socket.userRole !== 'admin' && !isOwner) {
+          socket.emit('error', { message: 'Access denied. This call does not belong to you.' });
+          return;
+        }
+
+        // Goes through the call lifecycle, which broadcasts call_status_updated
+        const { applyCallStatus } = require('./callLifecycle');
+        await applyCallStatus(callLog, status, {
+          notes,
+          duration,
+          source: 'socket',
+          actor: socket.userId,
+          strict: true
+        });
+
+        console.log(`📞 User ${socket.userName} set call ${callId} to: ${status}`);
+
+      } catch (error) {
+        if (isInvalidTransition(error)) {
+          socket.emit('error', { message: error.message, from: error.from, to: error.to });
+          return;
+        }
+        console.error('Error updating call status:', error);
+        socket.emit('error', { message: 'Failed to update call status' });
+      }
+    });
+
     // Handle user typing indicators
     socket.on('typing_start', (data) => {
       if (socket.userId) {
@@ -186,16 +246,26 @@ const setupSocketHandlers = (socketIo) => {
     });
 
     // Handle disconnect
-    socket.on('disconnect', () => {
+    socket.on('disconnect', async () => {
       if (socket.userId) {
         console.log(`🔌 User ${socket.userName} disconnected: ${socket.id}`);
-        
-        // Notify others that user is offline
-        socket.broadcast.to('general').emit('user_offline', {
-          userId: socket.userId,
-          name: socket.userName,
-          role: socket.userRole
-        });
+
+        try {
+          // Salespeople leave the routing pool once the presence grace period runs out
+          const { socketDisconnected } = require('./presence');
+          const lastConnection = await socketDisconnected(socket.userId, socket.id);
+
+          // Notify others that user is offline (when their last tab closed)
+          if (lastConnection) {
+            socket.broadcast.to('general').emit('user_offline', {
+              userId: socket.userId,
+              name: socket.userName,
+              role: socket.userRole
+            });
+          }
+        } catch (error) {
+          console.error('Error recording disconnect:', error);
+        }
       } else {
         console.log(`🔌 Anonymous client disconnected: ${socket.id}`);
       }
@@ -207,6 +277,10 @@ const setupSocketHandlers = (socketIo) => {
     });
   });
 
+  // Take salespeople whose connections are gone out of the routing pool
+  const { startPresenceMonitor } = require('./presence');
+  startPresenceMonitor();
+
   console.log('✅ Socket.io handlers setup completed');
 };
 
@@ -0,0 +1,165 @@
+// Declarative status state machines for models.
+// A model declares which statuses may follow each status, plus optional guards
+// (functions of the document returning true or a reason string). The plugin checks
+// every status change when the document is saved, whether it went through
+// transitionTo or a plain assignment, and records it in statusHistory with the
+// actor and time.
+
+const mongoose = require('mongoose');
+
+// Error for a status change the state machine does not allow (sent as 409)
+class InvalidTransitionError extends Error {
+  constructor(modelName, from, to, reason = null) {
+    super(reason
+      ? `Cannot change ${modelName} status from ${from} to ${to}: ${reason}`
+      : `Cannot change ${modelName} status from ${from} to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+const isInvalidTransition = (error) => Boolean(error && error.name === 'InvalidTransitionError');
+
+// Send a 409 for an invalid transition; returns false for any other error
+const sendTransitionError = (res, error) => {
+  if (!isInvalidTransition(error)) {
+    return false;
+  }
+
+  res.status(409).json({
+    error: 'Invalid status transition',
+    message: error.message,
+    from: error.from,
+    to: error.to
+  });
+  return true;
+};
+
+const historyEntrySchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // What made the change: provider, dialer, operator, admin, watchdog...
+  source: {
+    type: String,
+    default: 'system'
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Mongoose plugin. Options: transitions ({ status: [next statuses] }), guards
+// ({ status: (doc) => true | reason }), field (default 'status'), modelName (for messages).
+const stateMachinePlugin = (schema, { transitions, guards = {}, field = 'status', modelName = 'document' }) => {
+  schema.add({ statusHistory: [historyEntrySchema] });
+
+  // Throw InvalidTransitionError unless the document may move from one status to the other
+  const assertTransition = (doc, from, to) => {
+    if (from === to) {
+      return;
+    }
+    if (!(transitions[from] || []).includes(to)) {
+      throw new InvalidTransitionError(modelName, from, to);
+    }
+
+    const guard = guards[to];
+    const result = guard ? guard(doc, from) : true;
+    if (result !== true) {
+      throw new InvalidTransitionError(modelName, from, to, result || 'guard failed');
+    }
+  };
+
+  schema.statics.TRANSITIONS = transitions;
+
+  // Static method to check whether a status may follow another (guards not included)
+  schema.statics.canTransition = function(from, to) {
+    return from === to || (transitions[from] || []).includes(to);
+  };
+
+  // Method to check whether this document may move to a status
+  schema.methods.canTransitionTo = function(to) {
+    try {
+      assertTransition(this, this[field], to);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Method to move to a status, recording who did it ({ actor, source, reason }).
+  // Throws InvalidTransitionError when not allowed; the change is stored on save.
+  schema.methods.transitionTo = function(to, context = {}) {
+    assertTransition(this, this[field], to);
+
+    this[field] = to;
+    this.$locals.transition = context;
+    return this;
+  };
+
+  // Method to move to a status and save, only while the stored status is still the one
+  // this document was loaded with. Returns false, saving nothing, when it changed since.
+  schema.methods.saveTransition = async function(to, context = {}) {
+    this.transitionTo(to, context);
+    this.$where = { [field]: this.$locals.storedStatus };
+
+    try {
+      await this.save();
+      return true;
+    } catch (error) {
+      // Nothing matched: the status (or, for versioned changes, the document) changed
+      if (error.name === 'DocumentNotFoundError' || error.name === 'VersionError') {
+        return false;
+      }
+      throw error;
+    } finally {
+      this.$where = undefined;
+    }
+  };
+
+  // Remember the stored status so plain assignments can be checked too
+  schema.post('init', function() {
+    this.$locals.storedStatus = this[field];
+  });
+
+  schema.pre('save', function(next) {
+    const context = this.$locals.transition || {};
+    const to = this[field];
+
+    if (this.isNew) {
+      this.statusHistory.push({ from: null, to, actor: context.actor, source: context.source, reason: context.reason });
+    } else if (this.isModified(field)) {
+      const from = this.$locals.storedStatus;
+      try {
+        assertTransition(this, from, to);
+      } catch (error) {
+        return next(error);
+      }
+
+      if (from !== to) {
+        this.statusHistory.push({ from, to, actor: context.actor, source: context.source, reason: context.reason });
+      }
+    }
+
+    next();
+  });
+
+  schema.post('save', function() {
+    this.$locals.storedStatus = this[field];
+    this.$locals.transition = null;
+  });
+};
+
+module.exports = {
+  InvalidTransitionError,
+  isInvalidTransition,
+  sendTransitionError,
+  stateMachinePlugin
+};
@@ -0,0 +1,246 @@
+// Asterisk REST Interface (ARI) adapter.
+// Calls are originated into a Stasis application on our own PBX. The Stasis
+// bridge on the PBX side posts channel events back to our webhooks as JSON and
+// executes the dialplan actions returned by buildCallFlow.
+
+const crypto = require('crypto');
+
+const getConfig = () => ({
+  url: (process.env.ARI_URL || '').replace(/\/$/, ''),
+  username: process.env.ARI_USERNAME,
+  password: process.env.ARI_PASSWORD,
+  app: process.env.ARI_APP || 'ibrat-dialer',
+  // e.g. PJSIP/{number}@uztelecom-trunk
+  endpointTemplate: process.env.ASTERISK_ENDPOINT_TEMPLATE || 'PJSIP/{number}',
+  callerId: process.env.ASTERISK_CALLER_ID
+});
+
+// Map Asterisk channel states to our internal call statuses
+const STATE_MAP = {
+  Down: 'initiated',
+  Rsrvd: 'initiated',
+  OffHook: 'initiated',
+  Dialing: 'initiated',
+  Ring: 'ringing',
+  Ringing: 'ringing',
+  Up: 'answered',
+  Busy: 'busy'
+};
+
+// Map Q.850 hangup causes to our internal call statuses
+const HANGUP_CAUSE_MAP = {
+  16: 'completed', // Normal clearing
+  17: 'busy', // User busy
+  18: 'no-answer', // No user responding
+  19: 'no-answer', // No answer from user
+  21: 'failed', // Call rejected
+  1: 'failed', // Unallocated number
+  34: 'failed', // No circuit available
+  127: 'failed' // Interworking, unspecified
+};
+
+// Check whether this provider can place real calls
+const isConfigured = () => {
+  const config = getConfig();
+  return Boolean(config.url && config.username && config.password);
+};
+
+// Caller ID used for outbound calls
+const getCallerId = () => getConfig().callerId;
+
+// Perform an ARI request
+const ariRequest = async (method, path, query = {}) => {
+  const config = getConfig();
+  const search = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null)
+  );
+  const url = `${config.url}/ari${path}${search.toString() ? `?${search}` : ''}`;
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${config.username}:${config.password}`).toString('base64')}`
+    }
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`ARI ${method} ${path} failed with ${response.status}: ${text}`);
+  }
+
+  return response.status === 204 ? null : response.json();
+};
+
+// Dialplan actions for call flow, executed by the Stasis bridge
+const buildCallFlow = (action, options = {}) => {
+  const { targetPhone = null, greeting = null } = options;
+  const config = getConfig();
+  const actions = [];
+
+  switch (action) {
+    case 'greeting':
+      actions.push(greeting
+        ? { action: 'speak', text: greeting }
+        : { action: 'playback', media: 'sound:ibrat-greeting' });
+      actions.push({ action: 'wait', seconds: 2 });
+      break;
+
+    case 'transfer':
+      if (targetPhone) {
+        if (greeting) {
+          actions.push({ action: 'speak', text: greeting });
+        }
+        actions.push({ action: 'playback', media: 'sound:ibrat-connecting' });
+        actions.push({ action: 'dial', endpoint: config.endpointTemplate.replace('{number}', targetPhone) });
+      } else {
+        actions.push({ action: 'playback', media: 'sound:ibrat-unavailable' });
+        actions.push({ action: 'hangup' });
+      }
+      break;
+
+    case 'voicemail':
+      actions.push({ action: 'playback', media: 'sound:ibrat-leave-message' });
+      actions.push({ action: 'record', maxDuration: 30, callback: '/api/calls/webhook/voicemail' });
+      break;
+
+    default:
+      actions.push({ action: 'playback', media: 'sound:ibrat-thank-you' });
+      actions.push({ action: 'hangup' });
+  }
+
+  return {
+    contentType: 'application/json',
+    body: JSON.stringify({ actions })
+  };
+};
+
+// Initiate outbound call
+const initiateCall = async ({ to, callLogId }) => {
+  const config = getConfig();
+  const number = to.replace(/^\+/, '');
+  const channelId = `ibrat-${crypto.randomUUID()}`;
+
+  const channel = await ariRequest('POST', '/channels', {
+    endpoint: config.endpointTemplate.replace('{number}', number),
+    app: config.app,
+    appArgs: callLogId ? callLogId.toString() : undefined,
+    callerId: config.callerId,
+    timeout: Math.round((parseInt(process.env.CALL_TIMEOUT) || 30000) / 1000),
+    channelId
+  });
+
+  console.log(`Call initiated to ${to} on Asterisk channel: ${channel.id}`);
+
+  return {
+    callSid: channel.id,
+    status: STATE_MAP[channel.state] || 'initiated'
+  };
+};
+
+// Get channel details from Asterisk
+const getCallDetails = async (callSid) => {
+  const channel = await ariRequest('GET', `/channels/${encodeURIComponent(callSid)}`);
+
+  return {
+    sid: channel.id,
+    status: STATE_MAP[channel.state] || channel.state,
+    startTime: channel.creationtime,
+    from: channel.caller && channel.caller.number,
+    to: channel.connected && channel.connected.number
+  };
+};
+
+// Hang up ongoing call
+const cancelCall = async (callSid) => {
+  await ariRequest('DELETE', `/channels/${encodeURIComponent(callSid)}`, { reason: 'normal' });
+  return { status: 'canceled' };
+};
+
+// Parse a channel event posted by the Stasis bridge
+const parseStatusWebhook = (body = {}) => {
+  let status;
+
+  if (body.type === 'ChannelDestroyed' || body.type === 'ChannelHangupRequest') {
+    const cause = parseInt(body.cause);
+    // A hangup before the channel was ever up is an unanswered call
+    if (cause === 16 && !body.answered) {
+      status = 'no-answer';
+    } else {
+      status = HANGUP_CAUSE_MAP[cause] || 'failed';
+    }
+  } else {
+    status = STATE_MAP[body.state] || body.state;
+  }
+
+  return {
+    callSid: body.channelId,
+    status,
+    duration: parseInt(body.duration) || 0,
+    from: body.callerNumber,
+    to: body.dialedNumber
+  };
+};
+
+// Parse the answer event posted by the Stasis bridge
+const parseAnswerWebhook = (body = {}) => ({
+  callSid: body.channelId,
+  status: 'answered',
+  from: body.callerNumber,
+  to: body.dialedNumber
+});
+
+// Parse a recording event posted by the Stasis bridge
+const parseRecordingWebhook = (body = {}) => ({
+  callSid: body.channelId,
+  recordingSid: body.recordingName,
+  recordingUrl: body.recordingUrl,
+  recordingDuration: parseInt(body.duration) || 0,
+  recordingStatus: body.state === 'failed' ? 'failed' : 'completed'
+});
+
+// Check whether webhook signatures are enforced for Asterisk
+const isWebhookValidationEnabled = () => process.env.ASTERISK_WEBHOOK_VALIDATION !== 'false';
+
+// Sign a webhook body the way the Stasis bridge does
+const signWebhook = (secret, timestamp, rawBody) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+// Verify a webhook request sent by the Stasis bridge (HMAC-SHA256 over timestamp and raw body)
+const verifyWebhook = ({ body, rawBody, headers }) => {
+  const secret = process.env.ASTERISK_WEBHOOK_SECRET;
+  const signature = headers['x-ibrat-signature'] || '';
+  const timestamp = headers['x-ibrat-timestamp'];
+  let valid = false;
+
+  if (secret && signature && timestamp) {
+    const expected = Buffer.from(signWebhook(secret, timestamp, rawBody));
+    const received = Buffer.from(signature);
+    valid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  return {
+    valid,
+    signature,
+    callSid: body.channelId,
+    timestamp: timestamp ? new Date(parseInt(timestamp) * 1000) : null,
+    deliveryId: headers['x-ibrat-delivery'] || null
+  };
+};
+
+module.exports = {
+  name: 'asterisk',
+  isConfigured,
+  getCallerId,
+  buildCallFlow,
+  initiateCall,
+  getCallDetails,
+  cancelCall,
+  parseStatusWebhook,
+  parseAnswerWebhook,
+  parseRecordingWebhook,
+  isWebhookValidationEnabled,
+  verifyWebhook,
+  signWebhook
+};
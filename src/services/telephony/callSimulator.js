@@ -0,0 +1,275 @@
+// In-process call simulator.
+// Plays out simulated calls by posting Twilio-style webhooks to our own
+// /api/calls/webhook/* endpoints, so the queue -> webhook -> lead status loop
+// runs end to end without a telephony account.
+
+const fs = require('fs');
+const path = require('path');
+const twilio = require('twilio');
+
+const SCENARIO_DIR = path.join(__dirname, '../../../scenarios');
+
+class CallSimulator {
+  constructor() {
+    this.enabled = process.env.SIMULATOR_ENABLED !== 'false';
+    this.extraDelay = parseInt(process.env.SIMULATOR_DELAY) || 0;
+    this.calls = new Map(); // Track simulated calls by SID
+    this.scenario = null;
+  }
+
+  // Auth token used to sign simulated webhooks, like Twilio does with the account token.
+  // There is no default: anyone who knows the token can forge call webhooks.
+  getAuthToken() {
+    return process.env.SIMULATOR_AUTH_TOKEN || null;
+  }
+
+  // Load scenario by name (from scenarios/) or by file path
+  loadScenario(nameOrPath = process.env.SIMULATOR_SCENARIO || 'default') {
+    const filePath = nameOrPath.endsWith('.json')
+      ? path.resolve(nameOrPath)
+      : path.join(SCENARIO_DIR, `${nameOrPath}.json`);
+
+    const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    const totalWeight = Object.values(scenario.outcomes || {}).reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+      throw new Error(`Scenario ${nameOrPath} has no outcomes`);
+    }
+
+    this.scenario = {
+      initialDelay: { min: 500, max: 2000 },
+      ringTime: { min: 3000, max: 15000 },
+      talkTime: { average: 60, jitter: 0.5 },
+      timeScale: 1,
+      ...scenario
+    };
+
+    console.log(`🎭 Call simulator loaded scenario: ${this.scenario.name || nameOrPath}`);
+    return this.scenario;
+  }
+
+  getScenario() {
+    if (!this.scenario) {
+      this.loadScenario();
+    }
+    return this.scenario;
+  }
+
+  // Random integer between min and max
+  randomBetween({ min, max }) {
+    return Math.round(min + Math.random() * (max - min));
+  }
+
+  // Pick an outcome using the scenario weights
+  pickOutcome() {
+    const { outcomes } = this.getScenario();
+    const totalWeight = Object.values(outcomes).reduce((sum, weight) => sum + weight, 0);
+    let roll = Math.random() * totalWeight;
+
+    for (const [outcome, weight] of Object.entries(outcomes)) {
+      roll -= weight;
+      if (roll <= 0) {
+        return outcome;
+      }
+    }
+
+    return 'no-answer';
+  }
+
+  // Talk time in seconds around the scenario average
+  pickTalkTime() {
+    const { average, jitter } = this.getScenario().talkTime;
+    const spread = average * jitter;
+    return Math.max(1, Math.round(average - spread + Math.random() * spread * 2));
+  }
+
+  // Start simulating a call
+  startCall(callSid, { from, to }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const scenario = this.getScenario();
+    const scale = scenario.timeScale || 1;
+    const outcome = this.pickOutcome();
+    const call = {
+      callSid,
+      from,
+      to,
+      outcome,
+      status: 'initiated',
+      startTime: new Date(),
+      answerTime: null,
+      endTime: null,
+      duration: 0,
+      sequence: 0,
+      timers: []
+    };
+    this.calls.set(callSid, call);
+
+    // Leave the caller time to store the call SID before the first webhook arrives
+    let elapsed = Math.max(250, this.extraDelay + this.randomBetween(scenario.initialDelay) * scale);
+    const ringTime = this.randomBetween(scenario.ringTime) * scale;
+
+    this.schedule(call, elapsed, () => this.sendStatus(call, 'ringing'));
+
+    switch (outcome) {
+      case 'answered': {
+        const talkTime = this.pickTalkTime();
+        elapsed += ringTime;
+        this.schedule(call, elapsed, async () => {
+          call.answerTime = new Date();
+          await this.sendAnswer(call);
+          await this.sendStatus(call, 'in-progress');
+        });
+        elapsed += talkTime * 1000 * scale;
+        this.schedule(call, elapsed, () => this.sendStatus(call, 'completed', talkTime));
+        break;
+      }
+
+      case 'busy':
+        // Busy comes back almost immediately after the first ring
+        this.schedule(call, elapsed + 1000 * scale, () => this.sendStatus(call, 'busy'));
+        break;
+
+      case 'failed':
+        this.schedule(call, elapsed, () => this.sendStatus(call, 'failed'));
+        break;
+
+      default:
+        this.schedule(call, elapsed + ringTime, () => this.sendStatus(call, 'no-answer'));
+    }
+
+    console.log(`🎭 Simulating ${outcome} for call ${callSid} to ${to}`);
+  }
+
+  // Schedule a simulated event
+  schedule(call, delay, fn) {
+    const timer = setTimeout(async () => {
+      try {
+        await fn();
+      } catch (error) {
+        console.error(`Simulator error for call ${call.callSid}:`, error.message);
+      }
+    }, delay);
+    call.timers.push(timer);
+  }
+
+  // Cancel a simulated call
+  async cancelCall(callSid) {
+    const call = this.calls.get(callSid);
+    if (!call) {
+      return false;
+    }
+
+    call.timers.forEach(timer => clearTimeout(timer));
+    call.timers = [];
+    await this.sendStatus(call, 'canceled');
+    return true;
+  }
+
+  // Current state of a simulated call
+  getCall(callSid) {
+    const call = this.calls.get(callSid);
+    if (!call) {
+      return null;
+    }
+
+    return {
+      sid: call.callSid,
+      status: call.status,
+      duration: call.duration,
+      startTime: call.startTime,
+      endTime: call.endTime,
+      from: call.from,
+      to: call.to
+    };
+  }
+
+  // Twilio-style form body for a call event
+  buildPayload(call, callStatus, extra = {}) {
+    call.sequence += 1;
+
+    return {
+      AccountSid: 'ACsimulated',
+      ApiVersion: '2010-04-01',
+      CallSid: call.callSid,
+      CallStatus: callStatus,
+      Direction: 'outbound-api',
+      From: call.from || '',
+      To: call.to || '',
+      Called: call.to || '',
+      Caller: call.from || '',
+      SequenceNumber: String(call.sequence),
+      Timestamp: new Date().toUTCString(),
+      CallbackSource: 'call-progress-events',
+      ...extra
+    };
+  }
+
+  // Post a status callback
+  async sendStatus(call, callStatus, duration = 0) {
+    const extra = {};
+
+    if (['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(callStatus)) {
+      call.endTime = new Date();
+      call.duration = duration;
+      extra.CallDuration = String(duration);
+      this.finish(call);
+    }
+
+    call.status = callStatus;
+    await this.post('/api/calls/webhook/status', this.buildPayload(call, callStatus, extra));
+  }
+
+  // Post the answer callback
+  async sendAnswer(call) {
+    await this.post('/api/calls/webhook/answer', this.buildPayload(call, 'in-progress'));
+  }
+
+  // Forget a finished call once its last event has been sent
+  finish(call) {
+    call.timers.forEach(timer => clearTimeout(timer));
+    call.timers = [];
+    setTimeout(() => this.calls.delete(call.callSid), 60 * 1000).unref();
+  }
+
+  // POST a signed, form-encoded webhook to our own server
+  async post(webhookPath, payload) {
+    const baseUrl = process.env.SIMULATOR_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}`;
+    // Sign against the public URL, which is what the server validates
+    const signedUrl = `${(process.env.BASE_URL || 'http://localhost:5000').replace(/\/$/, '')}${webhookPath}`;
+
+    const response = await fetch(`${baseUrl}${webhookPath}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': twilio.getExpectedTwilioSignature(this.getAuthToken(), signedUrl, payload)
+      },
+      body: new URLSearchParams(payload).toString()
+    });
+
+    if (!response.ok) {
+      console.warn(`⚠️ Simulator webhook ${webhookPath} (${payload.CallStatus}) returned ${response.status}`);
+    }
+  }
+
+  // Get simulator status
+  getStatus() {
+    const scenario = this.getScenario();
+    return {
+      enabled: this.enabled,
+      scenario: scenario.name,
+      outcomes: scenario.outcomes,
+      timeScale: scenario.timeScale,
+      activeCalls: this.calls.size
+    };
+  }
+}
+
+// Create singleton instance
+const callSimulator = new CallSimulator();
+
+module.exports = {
+  callSimulator
+};
@@ -0,0 +1,60 @@
+// Telephony provider registry.
+// The backend is chosen per deployment with TELEPHONY_PROVIDER; when the chosen
+// provider is not configured we fall back to simulation, outside production and with
+// SIMULATOR_AUTH_TOKEN set. Otherwise resolving the provider throws.
+
+const providers = {
+  twilio: require('./twilioProvider'),
+  asterisk: require('./asteriskProvider'),
+  simulation: require('./simulatedProvider')
+};
+
+let activeProvider = null;
+
+// Use simulation in place of a provider that cannot be used
+const fallbackToSimulation = (problem) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${problem}, and telephony is not simulated in production`);
+  }
+  if (!providers.simulation.isConfigured()) {
+    throw new Error(`${problem}; set SIMULATOR_AUTH_TOKEN to simulate telephony`);
+  }
+
+  console.log(`⚠️ ${problem} - telephony features will be simulated`);
+  return providers.simulation;
+};
+
+// Resolve the provider for this deployment
+const resolveProvider = () => {
+  const requested = (process.env.TELEPHONY_PROVIDER || 'twilio').toLowerCase();
+  const provider = providers[requested];
+
+  if (!provider) {
+    return fallbackToSimulation(`Unknown telephony provider "${requested}"`);
+  }
+
+  if (!provider.isConfigured()) {
+    return fallbackToSimulation(provider === providers.simulation
+      ? 'Simulated telephony is not configured'
+      : `${provider.name} is not configured`);
+  }
+
+  return provider;
+};
+
+// Get the active provider
+const getProvider = () => {
+  if (!activeProvider) {
+    activeProvider = resolveProvider();
+  }
+  return activeProvider;
+};
+
+// Get a provider by name, regardless of which one is active
+const getProviderByName = (name) => providers[name] || null;
+
+module.exports = {
+  getProvider,
+  getProviderByName,
+  providers
+};
@@ -0,0 +1,66 @@
+// Simulation adapter used when no real telephony backend is configured.
+// Speaks the Twilio webhook dialect so the rest of the call flow is unchanged;
+// the call simulator plays each call out against our own webhooks.
+
+const twilioProvider = require('./twilioProvider');
+const { callSimulator } = require('./callSimulator');
+
+// Simulation needs its own webhook token, and is never used in production
+const isConfigured = () => Boolean(callSimulator.getAuthToken()) && process.env.NODE_ENV !== 'production';
+
+// Caller ID used for outbound calls
+const getCallerId = () => process.env.TWILIO_PHONE_NUMBER || '+1234567890';
+
+// Initiate simulated outbound call
+const initiateCall = async ({ to }) => {
+  console.log(`📞 Simulating call to ${to}`);
+
+  const callSid = `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  callSimulator.startCall(callSid, { from: getCallerId(), to });
+
+  return {
+    callSid,
+    status: 'initiated'
+  };
+};
+
+// Get simulated call state
+const getCallDetails = async (callSid) => {
+  const call = callSimulator.getCall(callSid);
+  if (!call) {
+    throw new Error(`Simulated call ${callSid} not found`);
+  }
+
+  return {
+    ...call,
+    status: twilioProvider.parseStatusWebhook({ CallStatus: call.status }).status
+  };
+};
+
+// Cancel simulated call
+const cancelCall = async (callSid) => {
+  await callSimulator.cancelCall(callSid);
+  console.log(`📞 Simulated call ${callSid} canceled`);
+  return { status: 'canceled' };
+};
+
+// Check whether webhook signatures are enforced for simulated calls
+const isWebhookValidationEnabled = () => process.env.SIMULATOR_WEBHOOK_VALIDATION !== 'false';
+
+// Verify a webhook request signed by the call simulator
+const verifyWebhook = (request) => twilioProvider.verifyTwilioSignature(callSimulator.getAuthToken(), request);
+
+module.exports = {
+  name: 'simulation',
+  isConfigured,
+  getCallerId,
+  buildCallFlow: twilioProvider.buildCallFlow,
+  initiateCall,
+  getCallDetails,
+  cancelCall,
+  parseStatusWebhook: twilioProvider.parseStatusWebhook,
+  parseAnswerWebhook: twilioProvider.parseAnswerWebhook,
+  parseRecordingWebhook: twilioProvider.parseRecordingWebhook,
+  isWebhookValidationEnabled,
+  verifyWebhook
+};
@@ -0,0 +1,234 @@
+const twilio = require('twilio');
+const { normalizePhone } = require('../phoneNumber');
+
+// Initialize Twilio client (only if credentials are provided)
+let client = null;
+
+try {
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    client = twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+    console.log('✅ Twilio client initialized successfully');
+  }
+} catch (error) {
+  console.log('⚠️ Twilio initialization failed');
+  console.log(`   Error: ${error.message}`);
+}
+
+const getBaseUrl = () => process.env.BASE_URL || 'http://localhost:5000';
+
+// Map Twilio CallStatus values to our internal call statuses
+const STATUS_MAP = {
+  queued: 'initiated',
+  initiated: 'initiated',
+  ringing: 'ringing',
+  'in-progress': 'answered',
+  answered: 'answered',
+  completed: 'completed',
+  busy: 'busy',
+  'no-answer': 'no-answer',
+  failed: 'failed',
+  canceled: 'canceled'
+};
+
+// Check whether this provider can place real calls
+const isConfigured = () => client !== null;
+
+// Caller ID used for outbound calls
+const getCallerId = () => process.env.TWILIO_PHONE_NUMBER;
+
+// Escape text for use inside TwiML
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// TwiML for call flow
+const buildCallFlow = (action, options = {}) => {
+  const { targetPhone = null, greeting = null } = options;
+  let twiml = '<?xml version="1.0" encoding="UTF-8"?><Response>';
+
+  switch (action) {
+    case 'greeting':
+      twiml += greeting
+        ? `<Say>${escapeXml(greeting)}</Say>`
+        : '<Say>Hello, this is an automated call from our company. Please stay on the line to speak with a representative.</Say>';
+      twiml += '<Pause length="2"/>';
+      break;
+
+    case 'transfer':
+      if (targetPhone) {
+        if (greeting) {
+          twiml += `<Say>${escapeXml(greeting)}</Say>`;
+        }
+        twiml += '<Say>Connecting you to our sales representative now.</Say>';
+        twiml += `<Dial>${targetPhone}</Dial>`;
+      } else {
+        twiml += '<Say>We are unable to connect you at this time. Please try again later.</Say>';
+      }
+      break;
+
+    case 'voicemail':
+      twiml += '<Say>We are unable to reach you at this time. Please call us back or leave a message.</Say>';
+      twiml += '<Record maxLength="30" action="/api/calls/webhook/voicemail" />';
+      break;
+
+    default:
+      twiml += '<Say>Thank you for your time.</Say>';
+  }
+
+  twiml += '</Response>';
+
+  return {
+    contentType: 'text/xml',
+    body: twiml
+  };
+};
+
+// Initiate outbound call
+const initiateCall = async ({ to, callLogId }) => {
+  // Dial in E.164 (stored numbers already are)
+  const formattedPhone = normalizePhone(to) || to;
+
+  // Create call with TwiML that will handle the flow
+  const call = await client.calls.create({
+    url: `${getBaseUrl()}/api/calls/webhook/answer`,
+    to: formattedPhone,
+    from: getCallerId(),
+    statusCallback: `${getBaseUrl()}/api/calls/webhook/status`,
+    statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed', 'busy', 'no-answer', 'failed'],
+    statusCallbackMethod: 'POST',
+    timeout: Math.round((parseInt(process.env.CALL_TIMEOUT) || 30000) / 1000), // CALL_TIMEOUT is in ms
+    record: true, // Record calls for quality assurance
+    recordingStatusCallback: `${getBaseUrl()}/api/calls/webhook/recording`,
+    recordingStatusCallbackMethod: 'POST'
+  });
+
+  console.log(`Call initiated to ${formattedPhone} with SID: ${call.sid} (call log ${callLogId})`);
+
+  return {
+    callSid: call.sid,
+    status: call.status
+  };
+};
+
+// Get call details from Twilio
+const getCallDetails = async (callSid) => {
+  const call = await client.calls(callSid).fetch();
+
+  return {
+    sid: call.sid,
+    status: STATUS_MAP[call.status] || call.status,
+    duration: call.duration,
+    price: call.price,
+    priceUnit: call.priceUnit,
+    startTime: call.startTime,
+    endTime: call.endTime,
+    from: call.from,
+    to: call.to
+  };
+};
+
+// Cancel ongoing call
+const cancelCall = async (callSid) => {
+  const call = await client.calls(callSid).update({ status: 'canceled' });
+  return { status: call.status };
+};
+
+// Parse a status callback body into a normalized call event
+const parseStatusWebhook = (body = {}) => ({
+  callSid: body.CallSid,
+  status: STATUS_MAP[body.CallStatus] || body.CallStatus,
+  duration: parseInt(body.CallDuration) || 0,
+  from: body.From,
+  to: body.To
+});
+
+// Parse an answer callback body into a normalized call event
+const parseAnswerWebhook = (body = {}) => ({
+  callSid: body.CallSid,
+  status: 'answered',
+  from: body.From,
+  to: body.To
+});
+
+// Parse a recording or <Record> action callback body
+const parseRecordingWebhook = (body = {}) => ({
+  callSid: body.CallSid,
+  recordingSid: body.RecordingSid,
+  recordingUrl: body.RecordingUrl,
+  recordingDuration: parseInt(body.RecordingDuration) || 0,
+  recordingStatus: body.RecordingStatus || 'completed'
+});
+
+// Check whether webhook signatures are enforced for Twilio
+const isWebhookValidationEnabled = () => process.env.TWILIO_WEBHOOK_VALIDATION !== 'false';
+
+// Verify an X-Twilio-Signature against the given auth token
+const verifyTwilioSignature = (authToken, { url, body, headers }) => {
+  const signature = headers['x-twilio-signature'];
+  const valid = Boolean(authToken && signature) && twilio.validateRequest(authToken, signature, url, body);
+
+  return {
+    valid,
+    signature,
+    callSid: body.CallSid,
+    // Status callbacks carry an RFC 2822 timestamp; answer callbacks do not
+    timestamp: body.Timestamp ? new Date(body.Timestamp) : null,
+    deliveryId: headers['i-twilio-idempotency-token'] || null
+  };
+};
+
+// Verify a webhook request sent by Twilio
+const verifyWebhook = (request) => verifyTwilioSignature(process.env.TWILIO_AUTH_TOKEN, request);
+
+// Get available phone numbers
+const getAvailablePhoneNumbers = async (countryCode = 'US') => {
+  const numbers = await client.availablePhoneNumbers(countryCode).local.list({
+    limit: 20
+  });
+
+  return numbers.map(num => ({
+    phoneNumber: num.phoneNumber,
+    friendlyName: num.friendlyName,
+    locality: num.locality,
+    region: num.region,
+    country: num.country
+  }));
+};
+
+// List calls between two dates
+const listCalls = async (startDate, endDate) => {
+  const calls = await client.calls.list({
+    startTime: { gte: startDate },
+    endTime: { lte: endDate }
+  });
+
+  return calls.map(call => ({
+    sid: call.sid,
+    status: call.status,
+    duration: parseInt(call.duration) || 0
+  }));
+};
+
+module.exports = {
+  name: 'twilio',
+  isConfigured,
+  getCallerId,
+  buildCallFlow,
+  initiateCall,
+  getCallDetails,
+  cancelCall,
+  parseStatusWebhook,
+  parseAnswerWebhook,
+  parseRecordingWebhook,
+  isWebhookValidationEnabled,
+  verifyWebhook,
+  verifyTwilioSignature,
+  getAvailablePhoneNumbers,
+  listCalls
+};
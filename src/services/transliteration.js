@@ -0,0 +1,109 @@
+// Name matching across scripts. Leads arrive with names in Latin (Uzbek or Russian
+// spelling) and Cyrillic, so "Хуршид Каримов", "Xurshid Karimov" and "Karimov Khurshid"
+// must compare equal. nameKey transliterates Cyrillic to Latin, folds the spellings
+// that differ between the Uzbek and Russian conventions (x/kh/h, q/k, j/zh/dj, ...),
+// drops apostrophes and doubled letters, and sorts the words so their order does not
+// matter. Name keys a typo apart are told by nameSimilarity, and found through
+// nameBlocks, which such names share.
+
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'j', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'x', ц: 's', ч: 'ch', ш: 'sh', щ: 'sh', ъ: '', ы: 'i', ь: '',
+  э: 'e', ю: 'yu', я: 'ya',
+  // Uzbek Cyrillic
+  ў: 'o', қ: 'q', ғ: 'g', ҳ: 'h'
+};
+
+// Applied in order to the transliterated, lowercased text
+const SPELLING_FOLDS = [
+  [/kh/g, 'h'],
+  [/x/g, 'h'],
+  [/q/g, 'k'],
+  [/(dj|dzh|zh)/g, 'j'],
+  [/ts/g, 's'],
+  [/ph/g, 'f'],
+  [/w/g, 'v'],
+  [/iy\b/g, 'i'],
+  [/iye/g, 'ie'],
+  [/ey\b/g, 'ei'],
+  [/\bye/g, 'e'],
+  [/(ia|iya)/g, 'ya'],
+  [/iu/g, 'yu'],
+  [/([a-z])\1+/g, '$1']
+];
+
+// Cyrillic letters to Latin; everything else is kept
+const transliterate = (text) => Array.from(String(text || '').toLowerCase())
+  .map(char => (char in CYRILLIC_TO_LATIN ? CYRILLIC_TO_LATIN[char] : char))
+  .join('');
+
+// Comparable form of a person's name, or null when nothing is left of it
+const nameKey = (name) => {
+  let text = transliterate(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // accents
+    .replace(/['`\u2018\u2019\u02bb\u02bc]/g, ''); // o‘ and g‘ apostrophes
+
+  for (const [pattern, replacement] of SPELLING_FOLDS) {
+    text = text.replace(pattern, replacement);
+  }
+
+  const words = text.split(/[^a-z]+/).filter(Boolean).sort();
+  return words.length > 0 ? words.join(' ') : null;
+};
+
+// Letters of each word that go into its name blocks
+const BLOCK_PREFIX_LENGTH = 3;
+
+// Keys shared by names a few typos apart: the first letters of every two of their words
+// ("hurshid karimov" and "hurshid karimof" both have "hur kar"). Names of one word get none.
+const nameBlocks = (key) => {
+  const prefixes = String(key || '').split(' ').filter(Boolean).map(word => word.slice(0, BLOCK_PREFIX_LENGTH));
+  const blocks = new Set();
+
+  for (let i = 0; i < prefixes.length; i += 1) {
+    for (let j = i + 1; j < prefixes.length; j += 1) {
+      blocks.add(`${prefixes[i]} ${prefixes[j]}`);
+    }
+  }
+
+  return [...blocks];
+};
+
+// Number of single-letter insertions, deletions and substitutions between two texts
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// How alike two name keys are, from 0 to 1 (1 when equal)
+const nameSimilarity = (keyA, keyB) => {
+  if (!keyA || !keyB) {
+    return 0;
+  }
+  if (keyA === keyB) {
+    return 1;
+  }
+  return 1 - editDistance(keyA, keyB) / Math.max(keyA.length, keyB.length);
+};
+
+module.exports = {
+  transliterate,
+  nameKey,
+  nameBlocks,
+  nameSimilarity
+};
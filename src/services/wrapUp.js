@@ -0,0 +1,189 @@
+// Wrap-up after connected calls. A salesperson whose call was answered gets time to
+// record a disposition before the dialer routes them another call: they are in the
+// wrap_up agent state, and back to available when the disposition is submitted or when
+// WRAP_UP_TIMEOUT runs out. The disposition can still be submitted after that.
+
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const CallLog = require('../models/CallLog');
+const DncEntry = require('../models/DncEntry');
+const QueueEntry = require('../models/QueueEntry');
+const { emitCallUpdate, emitToUser } = require('./socketHandler');
+const { scheduleCallback } = require('./callbacks');
+const { setAgentState } = require('./agentState');
+
+// Wrap-up length in ms (0 turns wrap-up off)
+const getWrapUpTimeout = () => {
+  const timeout = parseInt(process.env.WRAP_UP_TIMEOUT);
+  return Number.isNaN(timeout) ? 60000 : Math.max(0, timeout);
+};
+
+// Whether a salesperson is wrapping up right now
+const isWrappingUp = (user, now = new Date()) => Boolean(
+  user && user.wrapUp && user.wrapUp.endsAt && user.wrapUp.endsAt > now
+);
+
+// A connected call of a salesperson ends in wrap-up until it has a disposition
+const needsWrapUp = (callLog) => Boolean(
+  callLog.salesperson &&
+  callLog.answerTime &&
+  !callLog.abandoned &&
+  !(callLog.disposition && callLog.disposition.code)
+);
+
+// Start wrap-up for the salesperson of a finished call. Returns when it ends, or null.
+const startWrapUp = async (callLog) => {
+  const timeout = getWrapUpTimeout();
+  if (timeout === 0 || !needsWrapUp(callLog)) {
+    return null;
+  }
+
+  const startedAt = new Date();
+  const endsAt = new Date(startedAt.getTime() + timeout);
+
+  // A new wrap-up replaces one the salesperson left open on an earlier call
+  const user = await User.findById(callLog.salesperson).select('wrapUp');
+  if (user && user.wrapUp && user.wrapUp.callLog && !user.wrapUp.callLog.equals(callLog._id)) {
+    await CallLog.updateOne(
+      { _id: user.wrapUp.callLog, 'wrapUp.endedAt': null },
+      { $set: { 'wrapUp.endedAt': startedAt, 'wrapUp.endReason': 'next_call' } }
+    );
+  }
+
+  await User.updateOne(
+    { _id: callLog.salesperson },
+    { $set: { wrapUp: { callLog: callLog._id, startedAt, endsAt } } }
+  );
+
+  callLog.wrapUp = { startedAt, endsAt };
+  await callLog.save();
+
+  await setAgentState(callLog.salesperson, 'wrap_up', {
+    callLog,
+    source: 'call',
+    from: ['available', 'ringing', 'on_call', 'wrap_up']
+  });
+
+  emitToUser(callLog.salesperson, 'wrap_up_started', {
+    callId: callLog._id,
+    leadId: callLog.lead,
+    endsAt
+  });
+
+  return endsAt;
+};
+
+// End the wrap-up of a call ('disposition' or 'timeout'). Returns whether it was open.
+const endWrapUp = async (callLog, reason) => {
+  if (!callLog.wrapUp || !callLog.wrapUp.startedAt || callLog.wrapUp.endedAt) {
+    return false;
+  }
+
+  callLog.wrapUp.endedAt = reason === 'timeout' ? callLog.wrapUp.endsAt : new Date();
+  callLog.wrapUp.endReason = reason;
+  await callLog.save();
+
+  // The salesperson may already be wrapping up a later call
+  const result = await User.updateOne(
+    { _id: callLog.salesperson, 'wrapUp.callLog': callLog._id },
+    { $unset: { wrapUp: 1 } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await setAgentState(callLog.salesperson, 'available', {
+      source: reason === 'timeout' ? 'watchdog' : 'agent',
+      from: ['wrap_up']
+    });
+
+    emitToUser(callLog.salesperson, 'wrap_up_ended', {
+      callId: callLog._id,
+      reason
+    });
+  }
+
+  return true;
+};
+
+// End the wrap-ups whose timer ran out. Returns how many were ended.
+const expireWrapUps = async () => {
+  const users = await User.find({ 'wrapUp.endsAt': { $lte: new Date() } }).select('wrapUp');
+
+  for (const user of users) {
+    const callLog = user.wrapUp.callLog ? await CallLog.findById(user.wrapUp.callLog) : null;
+
+    if (!callLog || !(await endWrapUp(callLog, 'timeout'))) {
+      await User.updateOne({ _id: user._id, 'wrapUp.endsAt': user.wrapUp.endsAt }, { $unset: { wrapUp: 1 } });
+      await setAgentState(user._id, 'available', { source: 'watchdog', from: ['wrap_up'] });
+    }
+  }
+
+  return users.length;
+};
+
+// Record a disposition on a finished call and let it move the lead on.
+// `values` are the disposition's field values, already checked with checkFields.
+const submitDisposition = async (callLog, disposition, { values = {}, notes, actor } = {}) => {
+  const lead = await Lead.findById(callLog.lead);
+
+  // The lead goes first: an illegal status change leaves the call without a disposition
+  if (lead) {
+    await lead.applyDisposition(disposition, values, { actor, source: 'disposition' });
+  }
+
+  // A time the lead asked to be called at becomes a callback owned by the salesperson
+  let callback = null;
+  const callbackAt = lead && disposition.scheduleField && values[disposition.scheduleField];
+  if (callbackAt && disposition.leadStatus === 'pending') {
+    callback = await scheduleCallback(lead, {
+      owner: callLog.salesperson,
+      dueAt: callbackAt,
+      note: notes && notes.slice(0, 500),
+      createdBy: actor,
+      sourceCall: callLog._id
+    });
+  }
+
+  if (disposition.addToDnc) {
+    await DncEntry.addNumber(lead ? lead.phone : callLog.to, {
+      reason: 'customer_request',
+      notes,
+      source: 'disposition',
+      addedBy: actor,
+      callLog: callLog._id
+    });
+    await QueueEntry.complete(callLog.lead);
+  }
+
+  callLog.disposition = {
+    code: disposition.code,
+    label: disposition.label,
+    fields: values,
+    submittedBy: actor,
+    submittedAt: new Date()
+  };
+  if (notes !== undefined) {
+    callLog.notes = notes;
+  }
+  await callLog.save();
+
+  await endWrapUp(callLog, 'disposition');
+
+  emitCallUpdate('call_disposition_submitted', {
+    callId: callLog._id,
+    leadId: callLog.lead,
+    salespersonId: callLog.salesperson,
+    disposition: disposition.code,
+    leadStatus: lead ? lead.status : null
+  });
+
+  return { callLog, lead, callback };
+};
+
+module.exports = {
+  getWrapUpTimeout,
+  isWrappingUp,
+  startWrapUp,
+  endWrapUp,
+  expireWrapUps,
+  submitDisposition
+};
@@ -0,0 +1,384 @@
+const mongoose = require('mongoose');
+
+jest.mock('../services/socketHandler', () => ({ emitCallUpdate: jest.fn() }));
+jest.mock('../services/wrapUp', () => ({ startWrapUp: jest.fn() }));
+jest.mock('../services/agentState', () => ({ setAgentState: jest.fn() }));
+jest.mock('../services/callQueue', () => ({ callQueue: { activeCalls: new Map() } }));
+
+const Lead = require('../models/Lead');
+const CallLog = require('../models/CallLog');
+const User = require('../models/User');
+const QueueEntry = require('../models/QueueEntry');
+const RetryPolicy = require('../models/RetryPolicy');
+const HolidayCalendar = require('../models/HolidayCalendar');
+const { emitCallUpdate } = require('../services/socketHandler');
+const { startWrapUp } = require('../services/wrapUp');
+const { setAgentState } = require('../services/agentState');
+const { callQueue } = require('../services/callQueue');
+const { applyCallStatus } = require('../services/callLifecycle');
+
+const MINUTE = 60 * 1000;
+
+const salespersonId = new mongoose.Types.ObjectId();
+
+// Stored documents, so status changes are checked like ones loaded from the database
+const makeLead = (fields = {}) => Lead.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  phone: '+998901234567',
+  status: 'calling',
+  priority: 'medium',
+  callAttempts: 0,
+  callHistory: [],
+  isActive: true,
+  doNotCall: false,
+  assignedTo: salespersonId,
+  ...fields
+});
+
+const makeCall = (lead, fields = {}) => CallLog.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  lead: lead._id,
+  salesperson: salespersonId,
+  from: '+998712000000',
+  to: lead.phone,
+  status: 'initiated',
+  duration: 0,
+  ...fields
+});
+
+let lead;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+
+  // Saves run their hooks (transition checks, status history) but write nothing
+  jest.spyOn(mongoose.Model.prototype, '$__handleSave').mockImplementation(function(options, callback) {
+    callback(null, { matchedCount: 1 });
+  });
+
+  jest.spyOn(Lead, 'findById').mockImplementation(async () => lead);
+  jest.spyOn(RetryPolicy, 'resolveForLead').mockResolvedValue(null);
+  jest.spyOn(HolidayCalendar, 'getDefault').mockResolvedValue(null);
+  jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(QueueEntry, 'complete').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  startWrapUp.mockResolvedValue(null);
+  setAgentState.mockResolvedValue(null);
+  callQueue.activeCalls.clear();
+});
+
+// Stats update sent for the salesperson, or null
+const statsUpdate = () => {
+  const call = User.updateOne.mock.calls.find(([filter]) => filter._id === salespersonId);
+  return call ? call[1].$inc : null;
+};
+
+const expectSlotReleased = (callLog) => {
+  expect(QueueEntry.complete).toHaveBeenCalledWith(callLog.lead);
+  expect(callQueue.activeCalls.has(callLog.lead.toString())).toBe(false);
+};
+
+const expectSlotKept = () => {
+  expect(QueueEntry.complete).not.toHaveBeenCalled();
+};
+
+const expectBackToAvailable = () => {
+  expect(setAgentState).toHaveBeenCalledWith(salespersonId, 'available', {
+    source: 'call',
+    from: ['ringing', 'on_call']
+  });
+};
+
+describe('applyCallStatus', () => {
+  describe('live calls', () => {
+    test('initiated -> ringing leaves the lead calling and the slot taken', async () => {
+      lead = makeLead();
+      const callLog = makeCall(lead);
+
+      const result = await applyCallStatus(callLog, 'ringing');
+
+      expect(result.changed).toBe(true);
+      expect(callLog.status).toBe('ringing');
+      expect(lead.status).toBe('calling');
+      expect(statsUpdate()).toBeNull();
+      expectSlotKept();
+      expect(startWrapUp).not.toHaveBeenCalled();
+      expect(setAgentState).not.toHaveBeenCalled();
+      expect(emitCallUpdate).toHaveBeenCalledWith('call_status_updated', expect.objectContaining({
+        callId: callLog._id,
+        status: 'ringing',
+        source: 'provider'
+      }));
+    });
+
+    test('ringing -> answered moves the lead and puts the salesperson on the call', async () => {
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      await applyCallStatus(callLog, 'answered');
+
+      expect(callLog.status).toBe('answered');
+      expect(callLog.answerTime).toBeInstanceOf(Date);
+      expect(lead.status).toBe('answered');
+      expect(lead.callAttempts).toBe(0);
+      expect(statsUpdate()).toBeNull();
+      expectSlotKept();
+      expect(setAgentState).toHaveBeenCalledWith(salespersonId, 'on_call', { callLog, source: 'call' });
+      expect(startWrapUp).not.toHaveBeenCalled();
+    });
+
+    test('records the change in both status histories', async () => {
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+      const actor = new mongoose.Types.ObjectId();
+
+      await applyCallStatus(callLog, 'answered', { source: 'operator', actor });
+
+      expect(callLog.statusHistory.at(-1)).toMatchObject({ from: 'ringing', to: 'answered', source: 'operator' });
+      expect(callLog.statusHistory.at(-1).actor).toEqual(actor);
+      expect(lead.statusHistory.at(-1)).toMatchObject({ from: 'calling', to: 'answered', source: 'operator' });
+    });
+  });
+
+  describe('completed calls', () => {
+    test('answered -> completed transfers the lead and starts wrap-up', async () => {
+      lead = makeLead({ status: 'answered' });
+      const callLog = makeCall(lead, { status: 'answered', answerTime: new Date(Date.now() - 90 * 1000) });
+      callQueue.activeCalls.set(lead._id.toString(), {});
+      startWrapUp.mockResolvedValue(new Date(Date.now() + MINUTE));
+
+      await applyCallStatus(callLog, 'completed', { duration: 95 });
+
+      expect(callLog.status).toBe('completed');
+      expect(callLog.duration).toBe(95);
+      expect(lead.status).toBe('transferred');
+      expect(lead.nextCallTime).toBeUndefined();
+      expect(lead.callAttempts).toBe(1);
+      expect(lead.callHistory.at(-1)).toMatchObject({ attempt: 1, status: 'answered', duration: 95 });
+      expect(statsUpdate()).toEqual({
+        'callStats.totalCalls': 1,
+        'callStats.successfulCalls': 1,
+        'callStats.totalDuration': 95
+      });
+      expectSlotReleased(callLog);
+      expect(startWrapUp).toHaveBeenCalledWith(callLog);
+      expect(setAgentState).not.toHaveBeenCalledWith(salespersonId, 'available', expect.anything());
+    });
+
+    test('measures the duration from the answer time without one from the provider', async () => {
+      lead = makeLead({ status: 'answered' });
+      const callLog = makeCall(lead, { status: 'answered', answerTime: new Date(Date.now() - 60 * 1000) });
+
+      await applyCallStatus(callLog, 'completed');
+
+      expect(callLog.duration).toBeGreaterThanOrEqual(59);
+      expect(statsUpdate()['callStats.totalDuration']).toBe(callLog.duration);
+    });
+
+    test('puts the salesperson back to available when there is no wrap-up', async () => {
+      lead = makeLead({ status: 'answered' });
+      const callLog = makeCall(lead, { status: 'answered', answerTime: new Date() });
+
+      await applyCallStatus(callLog, 'completed');
+
+      expect(startWrapUp).toHaveBeenCalledWith(callLog);
+      expectBackToAvailable();
+    });
+
+    test('an abandoned call is retried like an unanswered one and not counted as successful', async () => {
+      lead = makeLead({ status: 'answered' });
+      const callLog = makeCall(lead, { status: 'answered', answerTime: new Date(), abandoned: true });
+      const before = Date.now();
+
+      await applyCallStatus(callLog, 'completed', { duration: 12 });
+
+      expect(callLog.status).toBe('completed');
+      expect(lead.status).toBe('pending');
+      expect(lead.callAttempts).toBe(1);
+      expect(lead.callHistory.at(-1)).toMatchObject({ attempt: 1, status: 'no_answer', duration: 12 });
+      expect(lead.nextCallTime.getTime()).toBeGreaterThanOrEqual(before + 30 * MINUTE);
+      expect(lead.isActive).toBe(true);
+      expect(statsUpdate()).toEqual({
+        'callStats.totalCalls': 1,
+        'callStats.successfulCalls': 0,
+        'callStats.totalDuration': 12
+      });
+      expectSlotReleased(callLog);
+      expectBackToAvailable();
+    });
+  });
+
+  describe('unsuccessful calls', () => {
+    test.each([
+      ['no-answer', 'no_answer', 30],
+      ['no_answer', 'no_answer', 30],
+      ['busy', 'busy', 15],
+      ['failed', 'failed', 60]
+    ])('ringing -> %s schedules a retry under the default policy', async (status, outcome, delayMinutes) => {
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+      const before = Date.now();
+
+      await applyCallStatus(callLog, status);
+
+      expect(callLog.status).toBe(status === 'no_answer' ? 'no-answer' : status);
+      expect(callLog.endTime).toBeInstanceOf(Date);
+      expect(lead.status).toBe('pending');
+      expect(lead.callAttempts).toBe(1);
+      expect(lead.callHistory.at(-1)).toMatchObject({ attempt: 1, status: outcome });
+      expect(lead.nextCallTime.getTime()).toBeGreaterThanOrEqual(before + delayMinutes * MINUTE);
+      expect(lead.isActive).toBe(true);
+      expect(statsUpdate()).toEqual({
+        'callStats.totalCalls': 1,
+        'callStats.successfulCalls': 0,
+        'callStats.totalDuration': 0
+      });
+      expectSlotReleased(callLog);
+      expect(startWrapUp).toHaveBeenCalledWith(callLog);
+      expectBackToAvailable();
+    });
+
+    test.each(['no-answer', 'busy', 'failed'])('the last attempt ending %s fails and deactivates the lead', async (status) => {
+      lead = makeLead({ callAttempts: 2, nextCallTime: new Date() });
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      await applyCallStatus(callLog, status);
+
+      expect(lead.status).toBe('failed');
+      expect(lead.callAttempts).toBe(3);
+      expect(lead.nextCallTime).toBeUndefined();
+      expect(lead.isActive).toBe(false);
+      expectSlotReleased(callLog);
+      expectBackToAvailable();
+    });
+
+    test('follows the retry policy of the lead', async () => {
+      RetryPolicy.resolveForLead.mockResolvedValue(new RetryPolicy({
+        name: 'No retries after busy',
+        outcomes: { busy: { retry: false } },
+        finalDisposition: 'busy',
+        deactivateOnFinal: false
+      }));
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      await applyCallStatus(callLog, 'busy');
+
+      expect(lead.status).toBe('busy');
+      expect(lead.nextCallTime).toBeUndefined();
+      expect(lead.isActive).toBe(true);
+    });
+
+    test('an unknown status fails the call and keeps it', async () => {
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      await applyCallStatus(callLog, 'exploded');
+
+      expect(callLog.status).toBe('failed');
+      expect(callLog.errorMessage).toBe('Unknown call status: exploded');
+      expect(lead.status).toBe('pending');
+      expectSlotReleased(callLog);
+    });
+  });
+
+  describe('canceled calls', () => {
+    test('canceled while calling puts the lead back without using an attempt', async () => {
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      await applyCallStatus(callLog, 'canceled');
+
+      expect(callLog.status).toBe('canceled');
+      expect(callLog.endTime).toBeInstanceOf(Date);
+      expect(callLog.duration).toBe(0);
+      expect(lead.status).toBe('pending');
+      expect(lead.assignedTo).toBeUndefined();
+      expect(lead.callAttempts).toBe(0);
+      expect(lead.callHistory).toHaveLength(0);
+      expect(statsUpdate()).toEqual({
+        'callStats.totalCalls': 1,
+        'callStats.successfulCalls': 0,
+        'callStats.totalDuration': 0
+      });
+      expectSlotReleased(callLog);
+      expectBackToAvailable();
+    });
+
+    test('canceled after the answer leaves the lead as it is', async () => {
+      lead = makeLead({ status: 'answered' });
+      const callLog = makeCall(lead, { status: 'answered', answerTime: new Date(Date.now() - 45000) });
+
+      await applyCallStatus(callLog, 'canceled');
+
+      expect(callLog.status).toBe('canceled');
+      expect(callLog.endTime).toBeInstanceOf(Date);
+      expect(callLog.duration).toBe(45);
+      expect(lead.status).toBe('answered');
+      expectSlotReleased(callLog);
+    });
+  });
+
+  describe('late and repeated updates', () => {
+    test('a late webhook for a finished call is ignored but keeps its details', async () => {
+      lead = makeLead({ status: 'transferred' });
+      const callLog = makeCall(lead, { status: 'completed' });
+
+      const result = await applyCallStatus(callLog, 'ringing', { errorCode: '31005' });
+
+      expect(result).toEqual({ callLog, lead: null, changed: false });
+      expect(callLog.status).toBe('completed');
+      expect(callLog.errorCode).toBe('31005');
+      expect(Lead.findById).not.toHaveBeenCalled();
+      expect(lead.status).toBe('transferred');
+      expect(statsUpdate()).toBeNull();
+      expectSlotKept();
+      expect(startWrapUp).not.toHaveBeenCalled();
+      expect(setAgentState).not.toHaveBeenCalled();
+      expect(emitCallUpdate).not.toHaveBeenCalled();
+    });
+
+    test('a disallowed transition throws InvalidTransitionError when strict', async () => {
+      lead = makeLead({ status: 'no_answer' });
+      const callLog = makeCall(lead, { status: 'no-answer' });
+
+      await expect(applyCallStatus(callLog, 'answered', { strict: true, source: 'operator' }))
+        .rejects.toMatchObject({ name: 'InvalidTransitionError', statusCode: 409, from: 'no-answer', to: 'answered' });
+
+      expect(callLog.status).toBe('no-answer');
+      expect(mongoose.Model.prototype.$__handleSave).not.toHaveBeenCalled();
+      expect(Lead.findById).not.toHaveBeenCalled();
+      expect(statsUpdate()).toBeNull();
+      expectSlotKept();
+      expect(setAgentState).not.toHaveBeenCalled();
+    });
+
+    test('a repeated status changes nothing else', async () => {
+      lead = makeLead();
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      const result = await applyCallStatus(callLog, 'ringing', { strict: true });
+
+      expect(result.changed).toBe(false);
+      expect(mongoose.Model.prototype.$__handleSave).not.toHaveBeenCalled();
+      expect(emitCallUpdate).not.toHaveBeenCalled();
+    });
+
+    test('a lead that has moved on is left as it is while the call goes on', async () => {
+      // Reopened by an admin while its call was still ringing
+      lead = makeLead({ status: 'pending' });
+      const callLog = makeCall(lead, { status: 'ringing' });
+
+      const result = await applyCallStatus(callLog, 'answered');
+
+      expect(result.changed).toBe(true);
+      expect(callLog.status).toBe('answered');
+      expect(lead.status).toBe('pending');
+      expect(console.warn).toHaveBeenCalled();
+      expect(setAgentState).toHaveBeenCalledWith(salespersonId, 'on_call', { callLog, source: 'call' });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockSalespersonId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { _id: mockSalespersonId, name: 'Test Salesperson', role: 'salesperson' };
+      next();
+    },
+    requireAdmin: pass,
+    requireSalesperson: pass,
+    optionalAuth: pass
+  };
+});
+jest.mock('../services/socketHandler', () => ({ emitCallUpdate: jest.fn(), emitToUser: jest.fn(), emitToRoom: jest.fn() }));
+jest.mock('../services/agentState', () => ({ setAgentState: jest.fn() }));
+
+const Lead = require('../models/Lead');
+const DncEntry = require('../models/DncEntry');
+const CallLog = require('../models/CallLog');
+const callRoutes = require('../routes/calls');
+const operatorRoutes = require('../routes/operator');
+
+const app = express();
+app.use(express.json());
+app.use('/api/calls', callRoutes);
+app.use('/api/operator', operatorRoutes);
+
+let lead;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+
+  lead = Lead.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    phone: '+998901234567',
+    status: 'pending',
+    priority: 'medium',
+    isActive: true
+  });
+
+  jest.spyOn(Lead, 'findById').mockImplementation(async () => lead);
+  jest.spyOn(DncEntry, 'findActive').mockResolvedValue(DncEntry.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    phone: lead.phone,
+    reason: 'customer_request'
+  }));
+  jest.spyOn(Lead.prototype, 'save');
+  jest.spyOn(CallLog.prototype, 'save');
+});
+
+describe('calls to numbers on the Do-Not-Call list', () => {
+  test('POST /api/calls/initiate refuses them with 403', async () => {
+    const res = await request(app).post('/api/calls/initiate').send({ leadId: lead._id.toString() });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Number is on the Do-Not-Call list');
+    expect(DncEntry.findActive).toHaveBeenCalledWith('+998901234567');
+    expect(Lead.prototype.save).not.toHaveBeenCalled();
+    expect(CallLog.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('POST /api/operator/calls/start refuses them with 403', async () => {
+    const res = await request(app).post('/api/operator/calls/start').send({ leadId: lead._id.toString() });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Number is on the Do-Not-Call list');
+    expect(DncEntry.findActive).toHaveBeenCalledWith('+998901234567');
+    expect(Lead.prototype.save).not.toHaveBeenCalled();
+    expect(CallLog.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('a malformed lead id is rejected with 400', async () => {
+    const res = await request(app).post('/api/calls/initiate').send({ leadId: 'abc' });
+
+    expect(res.status).toBe(400);
+    expect(Lead.findById).not.toHaveBeenCalled();
+  });
+});